@@ -103,14 +103,18 @@ function authenticate() {
     return null;
   }
 
-  return response.json('token');
+  // Tasks and comments must be created as the logged-in user
+  return {
+    token: response.json('token'),
+    userID: response.json('session.id'),
+  };
 }
 
 // Main test scenario
 export default function () {
   // Authentication test
-  const token = authenticate();
-  if (!token) {
+  const login = authenticate();
+  if (!login) {
     sleep(1);
     return; // Skip this iteration if auth failed
   }
@@ -118,7 +122,7 @@ export default function () {
   // Common headers for authenticated requests
   const authHeaders = {
     'Content-Type': 'application/json',
-    'Authorization': `Bearer ${token}`,
+    'Authorization': `Bearer ${login.token}`,
   };
 
   // Scenario selection - simulate different user behaviors
@@ -126,16 +130,16 @@ export default function () {
   
   if (scenario < 0.4) {
     // 40% - Task creation workflow
-    taskCreationWorkflow(authHeaders);
+    taskCreationWorkflow(authHeaders, login.userID);
   } else if (scenario < 0.7) {
     // 30% - Task update workflow  
-    taskUpdateWorkflow(authHeaders);
+    taskUpdateWorkflow(authHeaders, login.userID);
   } else if (scenario < 0.9) {
     // 20% - Comment creation workflow
-    commentCreationWorkflow(authHeaders);
+    commentCreationWorkflow(authHeaders, login.userID);
   } else {
     // 10% - Heavy mixed operations
-    mixedOperationsWorkflow(authHeaders);
+    mixedOperationsWorkflow(authHeaders, login.userID);
   }
 
   // Realistic user think time
@@ -143,7 +147,7 @@ export default function () {
 }
 
 // Task creation workflow
-function taskCreationWorkflow(headers) {
+function taskCreationWorkflow(headers, userID) {
   console.log('🆕 Executing task creation workflow');
   
   const taskId = generateUniqueId();
@@ -152,7 +156,7 @@ function taskCreationWorkflow(headers) {
       id: taskId,
       name: getRandomTaskName(),
       isComplete: false,
-      owner: 'Dev', // Using known user
+      owner: userID,
     },
   });
 
@@ -176,7 +180,7 @@ function taskCreationWorkflow(headers) {
 }
 
 // Task update workflow
-function taskUpdateWorkflow(headers) {
+function taskUpdateWorkflow(headers, userID) {
   console.log('🔄 Executing task update workflow');
   
   // First create a task to update
@@ -186,7 +190,7 @@ function taskUpdateWorkflow(headers) {
       id: taskId,
       name: getRandomTaskName(),
       isComplete: false,
-      owner: 'Dev',
+      owner: userID,
     },
   });
 
@@ -205,7 +209,7 @@ function taskUpdateWorkflow(headers) {
       id: taskId,
       name: `${getRandomTaskName()} (Updated)`,
       isComplete: true,
-      owner: 'Dev',
+      owner: userID,
     },
   });
 
@@ -224,14 +228,25 @@ function taskUpdateWorkflow(headers) {
 }
 
 // Comment creation workflow
-function commentCreationWorkflow(headers) {
+function commentCreationWorkflow(headers, userID) {
   console.log('💬 Executing comment creation workflow');
   
+  // Comments can only be left on tasks the user can access, so create one first
+  const taskId = generateUniqueId();
+  http.post(`${BASE_URL}/task/new`, JSON.stringify({
+    task: {
+      id: taskId,
+      name: getRandomTaskName(),
+      isComplete: false,
+      owner: userID,
+    },
+  }), { headers, timeout: '10s' });
+
   const commentPayload = JSON.stringify({
     comment: {
       id: generateUniqueId(),
-      task: 'existing-task-id', // Assuming some tasks exist
-      owner: 'Dev',
+      task: taskId,
+      owner: userID,
       content: `Performance test comment - ${Date.now()}`,
     },
   });
@@ -249,17 +264,19 @@ function commentCreationWorkflow(headers) {
 }
 
 // Mixed operations workflow - simulate power user
-function mixedOperationsWorkflow(headers) {
+function mixedOperationsWorkflow(headers, userID) {
   console.log('🔥 Executing mixed operations workflow');
   
   // Create multiple tasks rapidly
+  const taskIds = [];
   for (let i = 0; i < 3; i++) {
+    taskIds.push(generateUniqueId());
     const taskPayload = JSON.stringify({
       task: {
-        id: generateUniqueId(),
+        id: taskIds[i],
         name: `Bulk Task ${i + 1}`,
         isComplete: Math.random() > 0.5,
-        owner: 'Dev',
+        owner: userID,
       },
     });
 
@@ -277,8 +294,8 @@ function mixedOperationsWorkflow(headers) {
     const commentPayload = JSON.stringify({
       comment: {
         id: generateUniqueId(),
-        task: 'bulk-task-ref',
-        owner: 'Dev',
+        task: taskIds[0],
+        owner: userID,
         content: `Bulk comment ${i + 1} - ${Date.now()}`,
       },
     });
@@ -1,20 +1,109 @@
 /**
  * The dashboard is a simple React component that contains several lists of tasks,
  * one for each group that belongs to the user.
+ * The Today, Upcoming and Overdue filters replace the groups with a single list of open tasks, fetched from the server
+ * each time the dashboard is opened so edits made elsewhere are reflected.
+ * Picking labels narrows every list to the tasks with any, or all, of them.
  */
 
 import { connect } from 'react-redux';
 import React from 'react';
 import { ConnectedTaskList } from './TaskList';
+import { ConnectedTaskListItem } from './TaskListItem';
+import { LabelChip } from './LabelChip';
+import { requestTaskView, setLabelFilter } from '../store/mutations';
+import { upcomingDays } from '../../shared/dates';
+import { matchesLabels } from '../../shared/labels';
 
-const Dashboard = ({groups})=>(
-    <div className="row">
-        {groups.map(group=>(
-            <ConnectedTaskList key={group.id} {...group} className="col"/>
-        ))}
-    </div>
-);
+const filters = [
+    {view:`all`, label:`All`},
+    {view:`today`, label:`Today`, empty:`Nothing is due or starting today.`},
+    {view:`upcoming`, label:`Upcoming`, empty:`Nothing is due or starting in the next ${upcomingDays} days.`},
+    {view:`overdue`, label:`Overdue`, empty:`Nothing is overdue.`}
+];
 
-const mapStateToProps = ({groups})=>({groups});
+class Dashboard extends React.Component {
+    componentDidMount(){
+        this.props.requestTaskView(this.props.taskView.view);
+    }
 
-export const ConnectedDashboard = connect(mapStateToProps)(Dashboard);
+    render(){
+        let {groups, labels, labelFilter, taskView, viewTaskIDs, requestTaskView, toggleLabel, setLabelMatch} = this.props;
+        let filter = filters.find(filter=>filter.view === taskView.view);
+        return <div>
+            <div className="btn-group m-2">
+                {filters.map(({view, label})=>(
+                    <button key={view} onClick={()=>requestTaskView(view)}
+                            className={`btn ${view === taskView.view ? `btn-primary` : `btn-outline-primary`}`}>
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {labels.length ?
+                <div className="form-inline m-2">
+                    {labels.map(label=>(
+                        <button key={label.id} onClick={()=>toggleLabel(labelFilter, label.id)}
+                                style={{opacity:labelFilter.labelIDs.includes(label.id) ? 1 : 0.4}}
+                                className="btn btn-link p-0 mr-1">
+                            <LabelChip {...label}/>
+                        </button>
+                    ))}
+                    {labelFilter.labelIDs.length > 1 ?
+                        <select value={labelFilter.match} onChange={e=>setLabelMatch(labelFilter, e.target.value)}
+                                className="form-control form-control-sm ml-2">
+                            <option value="any">Any of these labels</option>
+                            <option value="all">All of these labels</option>
+                        </select> : null
+                    }
+                </div> : null
+            }
+
+            {taskView.view === `all` ?
+                <div className="row">
+                    {groups.map(group=>(
+                        <ConnectedTaskList key={group.id} {...group} className="col"/>
+                    ))}
+                </div>
+                    :
+                <div className="card p-2 m-2">
+                    <h2>
+                        {filter.label}
+                    </h2>
+                    {viewTaskIDs.map(id=>(
+                        <ConnectedTaskListItem id={id} key={id}/>
+                    ))}
+                    {!taskView.loading && !taskView.taskIDs.length ? <p>{filter.empty}</p> : null}
+                    {!taskView.loading && taskView.taskIDs.length && !viewTaskIDs.length ?
+                        <p>No tasks here have the chosen labels.</p> : null
+                    }
+                </div>
+            }
+        </div>;
+    }
+}
+
+const mapStateToProps = ({groups, labels, labelFilter, tasks, taskView})=>({
+    groups,
+    labels,
+    labelFilter,
+    taskView,
+    viewTaskIDs:taskView.taskIDs.filter(id=>{
+        let task = tasks.find(task=>task.id === id) || {};
+        return matchesLabels(task, labelFilter.labelIDs, labelFilter.match);
+    })
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    requestTaskView(view){
+        dispatch(requestTaskView(view));
+    },
+    toggleLabel({labelIDs, match}, labelID){
+        dispatch(setLabelFilter(labelIDs.includes(labelID) ? labelIDs.filter(id=>id !== labelID) : [...labelIDs, labelID], match));
+    },
+    setLabelMatch({labelIDs}, match){
+        dispatch(setLabelFilter(labelIDs, match));
+    }
+});
+
+export const ConnectedDashboard = connect(mapStateToProps, mapDispatchToProps)(Dashboard);
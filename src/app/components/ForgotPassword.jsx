@@ -0,0 +1,44 @@
+/**
+ * The forgot password route asks for an account name and has the server email that account a reset link.
+ */
+
+import React from 'react';
+import * as mutations from '../store/mutations';
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+
+const ForgotPasswordComponent = ({requestPasswordResetEmail,authenticated})=>(
+    <div className="card p-3 col-6">
+        <h2>
+            Forgot your password?
+        </h2>
+        {authenticated === mutations.PASSWORD_RESET_EMAIL_SENT ?
+            <p>
+                If that account has an email address, a reset link is on its way.
+            </p> :
+            <form onSubmit={requestPasswordResetEmail}>
+                <input type="text" placeholder="username" name="username" className="form-control"/>
+                <button type="submit" className="form-control mt-2 btn btn-primary">
+                    Send Reset Link
+                </button>
+            </form>
+        }
+        <Link to="/">
+            Back to login
+        </Link>
+    </div>
+);
+
+const mapStateToProps = ({session})=>({
+    authenticated:session.authenticated
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    requestPasswordResetEmail(e){
+        e.preventDefault();
+        let username = e.target[`username`].value;
+        dispatch(mutations.requestPasswordResetEmail(username));
+    }
+});
+
+export const ConnectedForgotPassword = connect(mapStateToProps, mapDispatchToProps)(ForgotPasswordComponent);
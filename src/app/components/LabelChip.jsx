@@ -0,0 +1,18 @@
+import React from 'react';
+import { labelTextColor } from '../../shared/labels';
+
+/* A label in its own colour. With `onRemove` it gets a button that takes it off whatever it is attached to. */
+export const LabelChip = ({name, color, onRemove})=>(
+    <span className="badge mr-1" style={{backgroundColor:color, color:labelTextColor(color)}}>
+        {name}
+        {onRemove ?
+            <button type="button" onClick={onRemove} aria-label={`Remove ${name}`}
+                    className="btn btn-link btn-sm p-0 ml-1" style={{color:`inherit`, lineHeight:1}}>
+                ×
+            </button> : null
+        }
+    </span>
+);
+
+/* The task's labels in the user's label order. Ids of labels the user cannot see are skipped. */
+export const labelsOf = (task, labels)=>labels.filter(label=>(task.labels || []).includes(label.id));
@@ -0,0 +1,105 @@
+/**
+ * The labels route lets the user create, rename, recolour and delete their labels.
+ * Tasks refer to labels by id, so every change shows up on the tasks straight away.
+ */
+
+import React from 'react';
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+import * as mutations from '../store/mutations';
+import { LabelChip } from './LabelChip';
+import { labelColors, labelNameLength } from '../../shared/labels';
+
+const ColorOptions = ()=>(
+    <datalist id="label-colors">
+        {labelColors.map(color=><option key={color} value={color}/>)}
+    </datalist>
+);
+
+const Labels = ({labels, taskCounts, labelStatus, requestLabelCreation, renameLabel, recolorLabel, requestLabelDeletion})=>(
+    <div className="card p-3 col-6">
+        <h2>
+            Labels
+        </h2>
+        <ColorOptions/>
+
+        {labels.length ?
+            <ul className="list-group">
+                {labels.map(label=>(
+                    <li key={label.id} className="list-group-item form-inline">
+                        <LabelChip {...label}/>
+                        <input type="text" defaultValue={label.name} maxLength={labelNameLength.max}
+                               onBlur={e=>renameLabel(label, e.target)} className="form-control form-control-sm ml-2"/>
+                        <input type="color" list="label-colors" value={label.color}
+                               onChange={e=>recolorLabel(label, e.target.value)} className="ml-2"/>
+                        <span className="ml-2 text-muted">
+                            {taskCounts[label.id] || 0} tasks
+                        </span>
+                        <button onClick={()=>requestLabelDeletion(label, taskCounts[label.id] || 0)} className="btn btn-secondary btn-sm ml-2">
+                            Delete
+                        </button>
+                    </li>
+                ))}
+            </ul> :
+            <p>
+                You have no labels yet.
+            </p>
+        }
+
+        <form onSubmit={requestLabelCreation} className="form-inline mt-3">
+            <input type="text" name="name" placeholder="New label" autoComplete="off" required
+                   maxLength={labelNameLength.max} className="form-control"/>
+            <input type="color" name="color" list="label-colors" defaultValue={labelColors[0]} className="ml-2"/>
+            <button type="submit" className="btn btn-primary ml-2">
+                Add Label
+            </button>
+        </form>
+        {labelStatus === mutations.LABEL_NAME_TAKEN ? <p className="mt-2">You already have a label with that name.</p> : null}
+
+        <Link to="/dashboard">
+            <button className="btn btn-primary mt-2">
+                Done
+            </button>
+        </Link>
+    </div>
+);
+
+/* Counts only the tasks loaded into the dashboard; trashed tasks keep their labels until they are purged. */
+const mapStateToProps = ({labels, tasks, labelStatus})=>({
+    labels,
+    labelStatus,
+    taskCounts:tasks.reduce((counts, task)=>{
+        (task.labels || []).forEach(id=>counts[id] = (counts[id] || 0) + 1);
+        return counts;
+    }, {})
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    requestLabelCreation(e){
+        let {name, color} = e.target;
+        e.preventDefault();
+        if (name.value.trim()) {
+            dispatch(mutations.requestLabelCreation(name.value.trim(), color.value));
+            name.value = ``;
+        }
+    },
+    /* an empty name puts the old one back */
+    renameLabel(label, input){
+        let name = input.value.trim();
+        if (!name) {
+            input.value = label.name;
+        } else if (name !== label.name) {
+            dispatch(mutations.requestLabelUpdate(label.id, {name}));
+        }
+    },
+    recolorLabel(label, color){
+        dispatch(mutations.requestLabelUpdate(label.id, {color}));
+    },
+    requestLabelDeletion(label, taskCount){
+        if (window.confirm(`Delete the label "${label.name}"? It will be removed from ${taskCount} tasks.`)) {
+            dispatch(mutations.requestLabelDeletion(label.id));
+        }
+    }
+});
+
+export const ConnectedLabels = connect(mapStateToProps, mapDispatchToProps)(Labels);
@@ -1,5 +1,6 @@
 /**
  * The login route component contains a simple form that checks authentication data via the server.
+ * Accounts with two-factor authentication enabled are then asked for a code from their authenticator app.
  */
 
 import React from 'react';
@@ -7,7 +8,27 @@ import * as mutations from '../store/mutations';
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 
-const LoginComponent = ({authenticateUser,authenticated})=>(
+const SecondFactorForm = ({verifySecondFactor,authenticated})=>(
+    <form onSubmit={verifySecondFactor}>
+        <p>
+            Enter the code from your authenticator app, or one of your recovery codes.
+        </p>
+        <input type="text" placeholder="123456" name="code" autoComplete="one-time-code" autoFocus className="form-control"/>
+        {authenticated === mutations.SECOND_FACTOR_INCORRECT ?
+            <p>
+                That code is not correct.
+            </p> : null
+        }
+        <button type="submit" className="form-control mt-2 btn btn-primary">
+            Verify
+        </button>
+    </form>
+);
+
+const needsSecondFactor = authenticated =>
+    authenticated === mutations.SECOND_FACTOR_REQUIRED || authenticated === mutations.SECOND_FACTOR_INCORRECT;
+
+const LoginComponent = ({authenticateUser,verifySecondFactor,authenticated,retryAfter})=>(
     <div className="card p-3 col-6">
         <h2>
             Please login
@@ -17,23 +38,35 @@ const LoginComponent = ({authenticateUser,authenticated})=>(
                 Don't have an account? Sign up.
             </Link>
         </h3>
-        <form onSubmit={authenticateUser}>
-            <input type="text" placeholder="username" name="username" defaultValue="Dev" className="form-control"/>
-            <input type="password" placeholder="password" name="password" defaultValue="TUPLES" className="form-control mt-2"/>
-            {authenticated === mutations.NOT_AUTHENTICATED ?
-                <p>
-                    Login incorrect.
-                </p> : null
-            }
-            <button type="submit" disabled={authenticated === `PROCESSING`} className="form-control mt-2 btn btn-primary">
-                Login
-            </button>
-        </form>
+        {needsSecondFactor(authenticated) ?
+            <SecondFactorForm verifySecondFactor={verifySecondFactor} authenticated={authenticated}/> :
+            <form onSubmit={authenticateUser}>
+                <input type="text" placeholder="username" name="username" defaultValue="Dev" className="form-control"/>
+                <input type="password" placeholder="password" name="password" defaultValue="TUPLES" className="form-control mt-2"/>
+                {authenticated === mutations.NOT_AUTHENTICATED ?
+                    <p>
+                        Login incorrect.
+                    </p> : null
+                }
+                {authenticated === mutations.LOGIN_THROTTLED ?
+                    <p>
+                        Too many attempts, try again in {Math.ceil(retryAfter / 60)} minute{Math.ceil(retryAfter / 60) === 1 ? `` : `s`}.
+                    </p> : null
+                }
+                <button type="submit" disabled={authenticated === `PROCESSING`} className="form-control mt-2 btn btn-primary">
+                    Login
+                </button>
+            </form>
+        }
+        <Link to="forgot" className="mt-2">
+            Forgot your password?
+        </Link>
     </div>
 );
 
 const mapStateToProps = ({session})=>({
-    authenticated:session.authenticated
+    authenticated:session.authenticated,
+    retryAfter:session.retryAfter
 });
 
 const mapDispatchToProps = (dispatch)=>({
@@ -42,6 +75,11 @@ const mapDispatchToProps = (dispatch)=>({
         let username = e.target[`username`].value;
         let password = e.target[`password`].value;
         dispatch(mutations.requestAuthenticateUser(username,password));
+    },
+    verifySecondFactor(e){
+        e.preventDefault();
+        let code = e.target[`code`].value.trim();
+        dispatch(mutations.requestSecondFactor(code));
     }
 });
 
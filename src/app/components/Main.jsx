@@ -1,19 +1,35 @@
 import React from 'react';
 import { Route, Router } from 'react-router-dom';
-import { Provider } from 'react-redux';
+import { Provider, connect } from 'react-redux';
 import { ConnectedTaskDetail } from './TaskDetail'
 import { ConnectedDashboard } from './Dashboard'
 import { ConnectedNavigation } from './Navigation'
 import { ConnectedLogin } from './Login'
 import { ConnectedSignup } from './Signup'
+import { ConnectedForgotPassword } from './ForgotPassword'
+import { ConnectedResetPassword } from './ResetPassword'
+import { ConnectedSettings } from './Settings'
+import { ConnectedTrash } from './Trash'
+import { ConnectedLabels } from './Labels'
 import { store } from '../store';
 import { history } from '../store/history';
 import { Redirect } from 'react-router';
+import * as mutations from '../store/mutations';
+
+/* Guarded routes render nothing while a stored session is being restored, rather than bouncing to the login page. */
+const Guard = ({authenticated, component:Component, match})=>{
+    if (authenticated === mutations.RESTORING_SESSION) {
+        return null;
+    }
+    return authenticated === mutations.AUTHENTICATED ?
+        <Component match={match}/> :
+        <Redirect to="/"/>;
+};
+
+const ConnectedGuard = connect(({session})=>({authenticated:session.authenticated}))(Guard);
 
 const RouteGuard = Component =>({match})=>
-    !store.getState().session.authenticated ?
-        <Redirect to="/"/> :
-        <Component match={match}/>;
+    <ConnectedGuard component={Component} match={match}/>;
 
 export const Main = ()=>(
     <Router history={history}>
@@ -22,6 +38,8 @@ export const Main = ()=>(
                 <ConnectedNavigation/>
                 <Route exact path="/" component={ConnectedLogin} />
                 <Route exact path="/signup" component={ConnectedSignup}/>
+                <Route exact path="/forgot" component={ConnectedForgotPassword}/>
+                <Route exact path="/reset/:token" component={ConnectedResetPassword}/>
                 <Route exact
                        path="/dashboard"
                        render={RouteGuard(ConnectedDashboard)}/>
@@ -29,6 +47,18 @@ export const Main = ()=>(
                 <Route exact
                        path="/task/:id"
                        render={RouteGuard(ConnectedTaskDetail)} />
+
+                <Route exact
+                       path="/settings"
+                       render={RouteGuard(ConnectedSettings)} />
+
+                <Route exact
+                       path="/trash"
+                       render={RouteGuard(ConnectedTrash)} />
+
+                <Route exact
+                       path="/labels"
+                       render={RouteGuard(ConnectedLabels)} />
             </div>
         </Provider>
     </Router>
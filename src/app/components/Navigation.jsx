@@ -1,6 +1,6 @@
 /**
  * The navigation component is present on all non-login pages,
- * and contains a link back to the dashboard, and the user's name.
+ * and contains a link back to the dashboard, the user's name, and links to settings, labels, the trash and logout.
  */
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
@@ -9,7 +9,7 @@ import React from 'react';
 import { ConnectedUsernameDisplay } from './UsernameDisplay'
 import * as mutations from '../store/mutations';
 
-const Navigation = ({id, authenticated})=>(
+const Navigation = ({id, authenticated, logout})=>(
     <div className="header">
         <Link to="/dashboard">
             <h1>
@@ -20,6 +20,18 @@ const Navigation = ({id, authenticated})=>(
         { authenticated ?
             <h4>
                 Welcome, <ConnectedUsernameDisplay id={id}/>!
+                <Link to="/settings" className="btn btn-link">
+                    Settings
+                </Link>
+                <Link to="/labels" className="btn btn-link">
+                    Labels
+                </Link>
+                <Link to="/trash" className="btn btn-link">
+                    Trash
+                </Link>
+                <button className="btn btn-link" onClick={logout}>
+                    Logout
+                </button>
             </h4>
             : null
         }
@@ -31,5 +43,11 @@ const mapStateToProps = ({session})=>({
     authenticated:session.authenticated == mutations.AUTHENTICATED
 });
 
-export const ConnectedNavigation = connect(mapStateToProps)(Navigation);
+const mapDispatchToProps = (dispatch)=>({
+    logout(){
+        dispatch(mutations.requestLogout());
+    }
+});
+
+export const ConnectedNavigation = connect(mapStateToProps, mapDispatchToProps)(Navigation);
 
@@ -0,0 +1,52 @@
+/**
+ * The reset password route is reached from the emailed link, and sets a new password using the token in the URL.
+ */
+
+import React from 'react';
+import * as mutations from '../store/mutations';
+import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
+import { passwordRules } from '../../shared/account-policy';
+
+const ResetPasswordComponent = ({requestPasswordReset,authenticated})=>(
+    <div className="card p-3 col-6">
+        <h2>
+            Choose a new password
+        </h2>
+        {authenticated === mutations.PASSWORD_RESET_COMPLETE ?
+            <p>
+                Your password has been reset. <Link to="/">Log in</Link> with your new password.
+            </p> :
+            <form onSubmit={requestPasswordReset}>
+                <input type="password" placeholder="new password" name="password" className="form-control"/>
+                {authenticated === mutations.PASSWORD_RESET_FAILED ?
+                    <p>
+                        This reset link is invalid or has expired. <Link to="/forgot">Request a new one.</Link>
+                    </p> : null
+                }
+                {authenticated === mutations.PASSWORD_RESET_REJECTED ?
+                    <p>
+                        That password is not allowed. Passwords need: {passwordRules.map(rule=>rule.label.toLowerCase()).join(`; `)}.
+                    </p> : null
+                }
+                <button type="submit" className="form-control mt-2 btn btn-primary">
+                    Reset Password
+                </button>
+            </form>
+        }
+    </div>
+);
+
+const mapStateToProps = ({session})=>({
+    authenticated:session.authenticated
+});
+
+const mapDispatchToProps = (dispatch, ownProps)=>({
+    requestPasswordReset(e){
+        e.preventDefault();
+        let password = e.target[`password`].value;
+        dispatch(mutations.requestPasswordReset(ownProps.match.params.token, password));
+    }
+});
+
+export const ConnectedResetPassword = connect(mapStateToProps, mapDispatchToProps)(ResetPasswordComponent);
@@ -0,0 +1,330 @@
+/**
+ * The settings route shows the user's account details and lets them change their display name and password,
+ * turn two-factor authentication on or off, manage personal access tokens for scripts, and export, import or delete
+ * everything in the account.
+ * Account details are fetched from the server each time the route is opened.
+ */
+
+import React from 'react';
+import { connect } from 'react-redux';
+import * as mutations from '../store/mutations';
+import { passwordRules } from '../../shared/account-policy';
+
+const formatDate = date => date ? new Date(date).toLocaleString() : `Never`;
+
+const TwoFactorSettings = ({account, requestTwoFactorEnrolment, requestTwoFactorConfirmation, requestTwoFactorDisable})=>{
+    let {twoFactorEnabled, twoFactorEnrolment, recoveryCodes, twoFactorStatus} = account;
+
+    if (recoveryCodes) {
+        return <div>
+            <p>
+                Two-factor authentication is on. Save these recovery codes somewhere safe.
+                Each one can be used once to log in if you lose your authenticator. They will not be shown again.
+            </p>
+            <ul>
+                {recoveryCodes.map(code=>(
+                    <li key={code}><code>{code}</code></li>
+                ))}
+            </ul>
+        </div>;
+    }
+
+    if (twoFactorEnabled) {
+        return <form onSubmit={requestTwoFactorDisable}>
+            <p>
+                Two-factor authentication is on.
+            </p>
+            <input type="password" placeholder="password" name="password" className="form-control"/>
+            {twoFactorStatus === mutations.TWO_FACTOR_DISABLE_FAILED ? <p>Password is incorrect.</p> : null}
+            <button type="submit" className="form-control mt-2 btn btn-secondary">
+                Turn Off Two-Factor Authentication
+            </button>
+        </form>;
+    }
+
+    if (twoFactorEnrolment) {
+        return <form onSubmit={requestTwoFactorConfirmation}>
+            <p>
+                Add this account to your authenticator app by opening <a href={twoFactorEnrolment.otpauthURI}>this link</a> on
+                your phone, or by entering the key <code>{twoFactorEnrolment.secret}</code>.
+                Then enter the code it shows.
+            </p>
+            <input type="text" placeholder="123456" name="code" autoComplete="one-time-code" className="form-control"/>
+            {twoFactorStatus === mutations.TWO_FACTOR_CODE_INCORRECT ? <p>That code did not match.</p> : null}
+            <button type="submit" className="form-control mt-2 btn btn-primary">
+                Confirm
+            </button>
+        </form>;
+    }
+
+    return <div>
+        <p>
+            Two-factor authentication is off.
+        </p>
+        <button onClick={requestTwoFactorEnrolment} className="form-control btn btn-primary">
+            Turn On Two-Factor Authentication
+        </button>
+    </div>;
+};
+
+const AccessTokenSettings = ({account, requestAccessTokenCreation, requestAccessTokenRevocation})=>{
+    let {accessTokens = [], newAccessToken} = account;
+    return <div>
+        <p>
+            Personal access tokens let scripts use the API as you, without your password.
+            Send one in an <code>Authorization: Bearer</code> header.
+        </p>
+        {newAccessToken ?
+            <p>
+                Your new token is <code>{newAccessToken}</code>. Copy it now, it will not be shown again.
+            </p> : null
+        }
+        {accessTokens.length ?
+            <ul className="list-group">
+                {accessTokens.map(token=>(
+                    <li key={token.id} className="list-group-item">
+                        <strong>{token.name}</strong> ({token.scope === `write` ? `read and write` : `read only`})
+                        <br/>
+                        Created {formatDate(token.createdAt)}, last used {formatDate(token.lastUsedAt)}
+                        <button onClick={()=>requestAccessTokenRevocation(token.id)} className="btn btn-secondary btn-sm ml-2">
+                            Revoke
+                        </button>
+                    </li>
+                ))}
+            </ul> : null
+        }
+        <form onSubmit={requestAccessTokenCreation} className="mt-2">
+            <input type="text" placeholder="token name" name="name" className="form-control"/>
+            <select name="scope" defaultValue="read" className="form-control mt-2">
+                <option value="read">Read only</option>
+                <option value="write">Read and write</option>
+            </select>
+            <button type="submit" className="form-control mt-2 btn btn-primary">
+                Create Token
+            </button>
+        </form>
+    </div>;
+};
+
+/* Deleting cannot be undone, so the button stays disabled until the username has been typed out. */
+class AccountDataSettings extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {confirmUsername:``};
+    }
+
+    render(){
+        let {account, requestAccountExport, requestAccountImport, requestAccountDeletion} = this.props;
+        let {dataStatus, imported} = account;
+        let {confirmUsername} = this.state;
+        return <div>
+            <form onSubmit={requestAccountExport}>
+                <p>
+                    Download your account details, groups, tasks and comments as a JSON file.
+                </p>
+                <input type="password" placeholder="password" name="password" className="form-control"/>
+                {dataStatus === mutations.ACCOUNT_EXPORT_FAILED ? <p>Password is incorrect.</p> : null}
+                <button type="submit" className="form-control mt-2 btn btn-secondary">
+                    Export My Data
+                </button>
+            </form>
+
+            <form onSubmit={requestAccountImport} className="mt-3">
+                <p>
+                    Add the labels, groups, tasks and comments from an export to this account.
+                </p>
+                <input type="file" accept="application/json,.json" name="archive" className="form-control-file"/>
+                {dataStatus === mutations.ACCOUNT_IMPORTED ?
+                    <p>
+                        Imported {imported.labels} labels, {imported.groups} groups, {imported.tasks} tasks and {imported.comments} comments.
+                    </p> : null
+                }
+                {dataStatus === mutations.ACCOUNT_IMPORT_FAILED ? <p>That file is not an export this application can read.</p> : null}
+                <button type="submit" className="form-control mt-2 btn btn-secondary">
+                    Import
+                </button>
+            </form>
+
+            <form onSubmit={e=>requestAccountDeletion(confirmUsername, e)} className="mt-3">
+                <p>
+                    Deleting your account removes your groups and tasks for good and signs you out everywhere.
+                    Comments you left on other people's tasks stay, without your name. Type <strong>{account.name}</strong> to confirm.
+                </p>
+                <input type="text" placeholder="username" value={confirmUsername} autoComplete="off"
+                       onChange={e=>this.setState({confirmUsername:e.target.value})} className="form-control"/>
+                <input type="password" placeholder="password" name="password" className="form-control mt-2"/>
+                {dataStatus === mutations.ACCOUNT_DELETION_FAILED ? <p>Your account could not be deleted. Check your password.</p> : null}
+                <button type="submit" disabled={confirmUsername !== account.name} className="form-control mt-2 btn btn-danger">
+                    Delete My Account
+                </button>
+            </form>
+        </div>;
+    }
+}
+
+class Settings extends React.Component {
+    componentDidMount(){
+        this.props.requestAccount();
+        this.props.requestAccessTokens();
+    }
+
+    render(){
+        let {account, setDisplayName, requestPasswordChange} = this.props;
+        return (
+            <div className="card p-3 col-6">
+                <h2>
+                    Account Settings
+                </h2>
+
+                <dl>
+                    <dt>Username</dt>
+                    <dd>{account.name}</dd>
+                    <dt>Email</dt>
+                    <dd>{account.email || `None`}</dd>
+                    <dt>Member since</dt>
+                    <dd>{formatDate(account.createdAt)}</dd>
+                    <dt>Password last changed</dt>
+                    <dd>{formatDate(account.passwordChangedAt)}</dd>
+                </dl>
+
+                <form onSubmit={e=>setDisplayName(account.id, e)} key={account.displayName}>
+                    <label>
+                        <span>Display Name</span>
+                        <input type="text" name="displayName" defaultValue={account.displayName} className="form-control"/>
+                    </label>
+                    <button type="submit" className="btn btn-primary ml-2">Save</button>
+                </form>
+
+                <form onSubmit={requestPasswordChange} className="mt-3">
+                    <h4>
+                        Change Password
+                    </h4>
+                    <input type="password" placeholder="current password" name="currentPassword" className="form-control"/>
+                    <input type="password" placeholder="new password" name="newPassword" className="form-control mt-2"/>
+                    {account.passwordChangeStatus === mutations.PASSWORD_CHANGED ?
+                        <p>
+                            Your password has been changed. You have been logged out everywhere else.
+                        </p> : null
+                    }
+                    {account.passwordChangeStatus === mutations.PASSWORD_CHANGE_FAILED ?
+                        <p>
+                            Your current password was not correct.
+                        </p> : null
+                    }
+                    {account.passwordChangeStatus === mutations.PASSWORD_CHANGE_REJECTED ?
+                        <p>
+                            That password is not allowed. Passwords need: {passwordRules.map(rule=>rule.label.toLowerCase()).join(`; `)}.
+                        </p> : null
+                    }
+                    <button type="submit"
+                            disabled={account.passwordChangeStatus === mutations.CHANGING_PASSWORD}
+                            className="form-control mt-2 btn btn-primary">
+                        Change Password
+                    </button>
+                </form>
+
+                <div className="mt-3">
+                    <h4>
+                        Two-Factor Authentication
+                    </h4>
+                    <TwoFactorSettings {...this.props}/>
+                </div>
+
+                <div className="mt-3">
+                    <h4>
+                        Personal Access Tokens
+                    </h4>
+                    <AccessTokenSettings {...this.props}/>
+                </div>
+
+                <div className="mt-3">
+                    <h4>
+                        Your Data
+                    </h4>
+                    <AccountDataSettings {...this.props}/>
+                </div>
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = ({account})=>({account});
+
+const mapDispatchToProps = (dispatch)=>({
+    requestAccount(){
+        dispatch(mutations.requestAccount());
+    },
+    setDisplayName(userID, e){
+        e.preventDefault();
+        let displayName = e.target[`displayName`].value.trim();
+        if (displayName !== ``) {
+            dispatch(mutations.setDisplayName(userID, displayName));
+        }
+    },
+    requestPasswordChange(e){
+        e.preventDefault();
+        let currentPassword = e.target[`currentPassword`].value;
+        let newPassword = e.target[`newPassword`].value;
+        e.target.reset();
+        dispatch(mutations.requestPasswordChange(currentPassword, newPassword));
+    },
+    requestTwoFactorEnrolment(){
+        dispatch(mutations.requestTwoFactorEnrolment());
+    },
+    requestTwoFactorConfirmation(e){
+        e.preventDefault();
+        dispatch(mutations.requestTwoFactorConfirmation(e.target[`code`].value.trim()));
+    },
+    requestTwoFactorDisable(e){
+        e.preventDefault();
+        let password = e.target[`password`].value;
+        e.target.reset();
+        dispatch(mutations.requestTwoFactorDisable(password));
+    },
+    requestAccessTokens(){
+        dispatch(mutations.requestAccessTokens());
+    },
+    requestAccessTokenCreation(e){
+        e.preventDefault();
+        let name = e.target[`name`].value.trim();
+        let scope = e.target[`scope`].value;
+        if (name !== ``) {
+            e.target.reset();
+            dispatch(mutations.requestAccessTokenCreation(name, scope));
+        }
+    },
+    requestAccessTokenRevocation(id){
+        dispatch(mutations.requestAccessTokenRevocation(id));
+    },
+    requestAccountExport(e){
+        e.preventDefault();
+        let password = e.target[`password`].value;
+        e.target.reset();
+        dispatch(mutations.requestAccountExport(password));
+    },
+    requestAccountImport(e){
+        e.preventDefault();
+        let [file] = e.target[`archive`].files;
+        if (!file) {
+            return;
+        }
+        let reader = new FileReader();
+        reader.onload = ()=>{
+            try {
+                dispatch(mutations.requestAccountImport(JSON.parse(reader.result)));
+            } catch (error) {
+                dispatch(mutations.setAccount({dataStatus:mutations.ACCOUNT_IMPORT_FAILED}));
+            }
+        };
+        reader.readAsText(file);
+        e.target.reset();
+    },
+    requestAccountDeletion(confirmUsername, e){
+        e.preventDefault();
+        let password = e.target[`password`].value;
+        e.target[`password`].value = ``;
+        dispatch(mutations.requestAccountDeletion(password, confirmUsername));
+    }
+});
+
+export const ConnectedSettings = connect(mapStateToProps, mapDispatchToProps)(Settings);
@@ -1,32 +1,82 @@
 import React from 'react';
 import * as mutations from '../store/mutations';
 import { connect } from 'react-redux';
+import { usernameRules, passwordRules, checkRules } from '../../shared/account-policy';
 
-const SignupComponent = ({requestCreateUserAccount,authenticated})=>{
-    return <div className="card p-3 col-6">
-        <h2>
-            Complete the following form to create a new account.
-        </h2>
-
-        <form onSubmit={requestCreateUserAccount}>
-            <label>
-                <span>User Name</span>
-                <input type="text" placeholder="username" name="username" defaultValue="Morty" className="form-control"/>
-            </label>
-            <label>
-                <span>Password</span>
-                <input type="text" placeholder="password" name="password" defaultValue="COURAGE" className="form-control mt-2"/>
-            </label>
-
-            {authenticated == mutations.USERNAME_RESERVED ? <p>A user by that name already exists.</p> : null}
-            <button type="submit" className="form-control mt-2 btn btn-primary">Sign Up</button>
-        </form>
-
-    </div>
-};
+/* Shows each rule ticked or crossed as the user types; the server enforces the same rules. */
+const RuleChecklist = ({rules, value})=>(
+    <ul className="list-unstyled small mb-0">
+        {checkRules(rules, value).map(({label, passed})=>(
+            <li key={label} className={passed ? `text-success` : `text-muted`}>
+                {passed ? `✓` : `✗`} {label}
+            </li>
+        ))}
+    </ul>
+);
+
+class SignupComponent extends React.Component {
+    constructor(props){
+        super(props);
+        /* invite links look like /signup?invite=CODE, so the code is filled in for the user */
+        let inviteCode = new URLSearchParams(props.location.search).get(`invite`) || ``;
+        this.state = {username:`Morty`, password:`COURAGE-42`, inviteCode};
+    }
+
+    componentDidMount(){
+        this.props.requestRegistration();
+    }
+
+    render(){
+        let {requestCreateUserAccount, authenticated, inviteRequired} = this.props;
+        let {username, password, inviteCode} = this.state;
+        let valid = checkRules(usernameRules, username).every(rule=>rule.passed) &&
+            checkRules(passwordRules, password).every(rule=>rule.passed);
+
+        return <div className="card p-3 col-6">
+            <h2>
+                Complete the following form to create a new account.
+            </h2>
+
+            <form onSubmit={requestCreateUserAccount}>
+                <label>
+                    <span>User Name</span>
+                    <input type="text" placeholder="username" name="username" value={username}
+                           onChange={e=>this.setState({username:e.target.value})} className="form-control"/>
+                </label>
+                <RuleChecklist rules={usernameRules} value={username}/>
+                <label>
+                    <span>Password</span>
+                    <input type="text" placeholder="password" name="password" value={password}
+                           onChange={e=>this.setState({password:e.target.value})} className="form-control mt-2"/>
+                </label>
+                <RuleChecklist rules={passwordRules} value={password}/>
+                <label>
+                    <span>Email (optional, for password resets)</span>
+                    <input type="email" placeholder="email" name="email" className="form-control mt-2"/>
+                </label>
+                {inviteRequired ?
+                    <label>
+                        <span>Invite Code</span>
+                        <input type="text" placeholder="XXXX-XXXX-XXXX" name="inviteCode" value={inviteCode} required
+                               onChange={e=>this.setState({inviteCode:e.target.value})} className="form-control mt-2"/>
+                    </label> : null}
+
+                {authenticated == mutations.USERNAME_RESERVED ? <p>A user by that name already exists.</p> : null}
+                {authenticated == mutations.INVITE_REJECTED ? <p>That invite code is invalid, has expired or has already been used.</p> : null}
+                {authenticated == mutations.SIGNUP_FAILED ? <p>Your account could not be created. Please try again.</p> : null}
+                {authenticated == mutations.SOLVING_SIGNUP_CHALLENGE ? <p>Checking your browser, this can take a few seconds…</p> : null}
+                <button type="submit"
+                        disabled={!valid || authenticated == mutations.SOLVING_SIGNUP_CHALLENGE}
+                        className="form-control mt-2 btn btn-primary">Sign Up</button>
+            </form>
+
+        </div>;
+    }
+}
 
 const mapStateToProps = state=>({
-    authenticated:state.session.authenticated
+    authenticated:state.session.authenticated,
+    inviteRequired:Boolean(state.session.inviteRequired)
 });
 
 const mapDispatchToProps = (dispatch)=>({
@@ -34,9 +84,13 @@ const mapDispatchToProps = (dispatch)=>({
         e.preventDefault();
         let username = e.target[`username`].value;
         let password = e.target[`password`].value;
-        console.log("Creating!",username,password);
-        dispatch(mutations.requestCreateUserAccount(username,password));
+        let email = e.target[`email`].value;
+        let inviteCode = e.target[`inviteCode`] ? e.target[`inviteCode`].value : undefined;
+        dispatch(mutations.requestCreateUserAccount(username,password,email,inviteCode));
+    },
+    requestRegistration(){
+        dispatch(mutations.requestRegistration());
     }
 })
 
-export const ConnectedSignup = connect(mapStateToProps, mapDispatchToProps)(SignupComponent);
\ No newline at end of file
+export const ConnectedSignup = connect(mapStateToProps, mapDispatchToProps)(SignupComponent);
@@ -0,0 +1,15 @@
+import React from 'react';
+import { isOverdue } from '../../shared/dates';
+
+/**
+ * Shows a task date in the time zone it was set in, or the browser's when it has none.
+ */
+export const formatTaskDate = (date, timeZone) => new Date(date).toLocaleString(undefined, {
+    timeZone:timeZone || undefined,
+    dateStyle:`medium`,
+    timeStyle:`short`
+});
+
+export const OverdueBadge = ({task})=>(
+    isOverdue(task) ? <span className="badge badge-danger">Overdue</span> : null
+);
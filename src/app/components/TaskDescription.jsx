@@ -0,0 +1,54 @@
+import React from 'react';
+import { renderMarkdown, maxDescriptionLength } from '../../shared/markdown';
+
+/* `renderMarkdown` escapes everything it is given, so its output can be inserted as it is. */
+export const Markdown = ({source})=>(
+    <div className="task-description" dangerouslySetInnerHTML={{__html:renderMarkdown(source)}}/>
+);
+
+/**
+ * A Markdown editor with a preview tab. The draft is kept here and only saved when the text area loses focus,
+ * rather than on every keystroke as the task's other fields are.
+ */
+export class DescriptionEditor extends React.Component {
+    constructor(props){
+        super(props);
+        this.state = {draft:props.description || ``, previewing:false};
+    }
+
+    save(){
+        if (this.state.draft !== (this.props.description || ``)) {
+            this.props.setDescription(this.state.draft);
+        }
+    }
+
+    render(){
+        let {draft, previewing} = this.state;
+        return (
+            <div className="mt-2">
+                <div className="btn-group btn-group-sm">
+                    <button type="button" onClick={()=>this.setState({previewing:false})}
+                            className={`btn ${previewing ? `btn-outline-secondary` : `btn-secondary`}`}>
+                        Write
+                    </button>
+                    <button type="button" onClick={()=>this.setState({previewing:true})}
+                            className={`btn ${previewing ? `btn-secondary` : `btn-outline-secondary`}`}>
+                        Preview
+                    </button>
+                </div>
+                {previewing ?
+                    (draft ? <div className="border rounded p-2 mt-1"><Markdown source={draft}/></div> : <p className="text-muted mt-1">Nothing to preview.</p>) :
+                    <div>
+                        <textarea value={draft} rows={8} maxLength={maxDescriptionLength}
+                                  placeholder="Add a description. Markdown is supported: # headings, - lists, ``` code blocks, [links](https://…), **bold** and *italics*."
+                                  onChange={e=>this.setState({draft:e.target.value})} onBlur={()=>this.save()}
+                                  className="form-control mt-1"/>
+                        <small className="text-muted">
+                            {draft.length} / {maxDescriptionLength} characters
+                        </small>
+                    </div>
+                }
+            </div>
+        );
+    }
+}
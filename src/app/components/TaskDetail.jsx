@@ -8,13 +8,37 @@ import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 
 import { ConnectedUsernameDisplay } from './UsernameDisplay'
+import { OverdueBadge, formatTaskDate } from './TaskDates'
+import { PriorityBadge } from './TaskListItem'
+import { LabelChip, labelsOf } from './LabelChip'
+import { Markdown, DescriptionEditor } from './TaskDescription'
+import { priorities } from '../../shared/task-order'
+import { maxLabelsPerTask } from '../../shared/labels'
 import {
     setTaskCompletion,
     addTaskComment,
     setTaskGroup,
-    setTaskName
+    setTaskName,
+    setTaskDescription,
+    setTaskDates,
+    setTaskPriority,
+    setTaskLabels,
+    trashTask
 } from '../store/mutations'
 
+/* `datetime-local` inputs show and return wall-clock times in the browser's time zone, without an offset. */
+const pad = number => String(number).padStart(2, `0`);
+const toInputValue = date => {
+    if (!date) {
+        return ``;
+    }
+    let local = new Date(date);
+    return `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}T${pad(local.getHours())}:${pad(local.getMinutes())}`;
+};
+const fromInputValue = value => value ? new Date(value).toISOString() : null;
+
+const browserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
 const TaskDetail = ({
     id,
     comments,
@@ -23,12 +47,36 @@ const TaskDetail = ({
     isComplete,
     sessionID,
     groups,
+    labels,
+    attachedLabels,
 
     setTaskCompletion,
     addTaskComment,
     setTaskGroup,
-    setTaskName
+    setTaskName,
+    setTaskDescription,
+    setTaskDate,
+    setTaskPriority,
+    attachLabel,
+    detachLabel,
+    trashTask
 })=>{
+    /* the task may have been moved to the trash, or the link may be out of date */
+    if (!task) {
+        return (
+            <div className="card p-3 col-6">
+                <p>
+                    This task does not exist or has been moved to the trash.
+                </p>
+                <Link to="/dashboard">
+                    <button className="btn btn-primary">
+                        Back to Dashboard
+                    </button>
+                </Link>
+            </div>
+        );
+    }
+
     return (
         <div className="card p-3 col-6">
             {isOwner ?
@@ -37,10 +85,16 @@ const TaskDetail = ({
                 </div>
                     :
                 <h3>
+                    <PriorityBadge priority={task.priority}/>
                     {task.name} {isComplete ? `✓` : null}
                 </h3>
             }
 
+            {isOwner ?
+                <DescriptionEditor key={id} description={task.description} setDescription={setTaskDescription}/> :
+                <Markdown source={task.description}/>
+            }
+
             <div className="mt-3">
                 {isOwner ?
                     <div>
@@ -49,6 +103,9 @@ const TaskDetail = ({
                             <button  className="btn btn-primary ml-2" onClick={() => setTaskCompletion(id,!isComplete)}>
                                 {isComplete ? `Reopen` : `Complete`} This Task
                             </button>
+                            <button className="btn btn-secondary ml-2" onClick={trashTask}>
+                                Delete
+                            </button>
                         </div>
                     </div>
                     :
@@ -56,6 +113,72 @@ const TaskDetail = ({
                         <ConnectedUsernameDisplay id={task.owner}/> is the owner of this task.
                     </div>}
             </div>
+            {isOwner ?
+                <form className="form-inline mt-2">
+                    <label>
+                        <span className="mr-2">Priority</span>
+                        <select value={task.priority || `none`} onChange={setTaskPriority} className="form-control">
+                            {priorities.map(priority=>(
+                                <option key={priority} value={priority}>
+                                    {priority}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                </form> : null
+            }
+
+            <div className="mt-2">
+                {attachedLabels.map(label=>(
+                    <LabelChip key={label.id} {...label} onRemove={isOwner ? ()=>detachLabel(task, label.id) : null}/>
+                ))}
+            </div>
+            {isOwner ?
+                <form className="form-inline mt-2">
+                    <select value="" onChange={e=>attachLabel(task, e.target.value)} className="form-control"
+                            disabled={attachedLabels.length >= maxLabelsPerTask}>
+                        <option value="">
+                            Add a label…
+                        </option>
+                        {labels.filter(label=>!attachedLabels.includes(label)).map(label=>(
+                            <option key={label.id} value={label.id}>
+                                {label.name}
+                            </option>
+                        ))}
+                    </select>
+                    <Link to="/labels" className="btn btn-link">
+                        Manage labels
+                    </Link>
+                </form> : null
+            }
+
+            {isOwner ?
+                <form className="form-inline mt-2">
+                    <label className="mr-2">
+                        <span className="mr-2">Starts</span>
+                        <input type="datetime-local" value={toInputValue(task.startAt)} max={toInputValue(task.dueAt)}
+                               onChange={e=>setTaskDate(task, `startAt`, e.target.value)} className="form-control"/>
+                    </label>
+                    <label className="mr-2">
+                        <span className="mr-2">Due</span>
+                        <input type="datetime-local" value={toInputValue(task.dueAt)} min={toInputValue(task.startAt)}
+                               onChange={e=>setTaskDate(task, `dueAt`, e.target.value)} className="form-control"/>
+                    </label>
+                    <OverdueBadge task={task}/>
+                </form>
+                    :
+                <div className="mt-2">
+                    {task.startAt ? <div>Starts {formatTaskDate(task.startAt, task.timeZone)}</div> : null}
+                    {task.dueAt ? <div>Due {formatTaskDate(task.dueAt, task.timeZone)} <OverdueBadge task={task}/></div> : null}
+                </div>
+            }
+            {task.timeZone && task.timeZone !== browserTimeZone() && (task.dueAt || task.startAt) ?
+                <p className="small text-muted">
+                    These dates were set in {task.timeZone}
+                    {task.dueAt ? `, where the task is due ${formatTaskDate(task.dueAt, task.timeZone)}` : null}.
+                </p> : null
+            }
+
             <div className="mt-2">
                 {comments.map(comment=>(
                     <div key={comment.id}>
@@ -97,8 +220,11 @@ function mapStateToProps(state,ownProps){
     let id = ownProps.match.params.id;
     let task = state.tasks.find(task=>task.id === id);
     let comments = state.comments.filter(comment=>comment.task === id);
-    let isOwner = state.session.id === task.owner;
     let groups = state.groups;
+    if (!task) {
+        return {id, task, comments, groups};
+    }
+    let isOwner = state.session.id === task.owner;
 
     return {
         id,
@@ -107,7 +233,9 @@ function mapStateToProps(state,ownProps){
         isOwner,
         sessionID: state.session.id,
         isComplete: task.isComplete,
-        groups
+        groups,
+        labels: state.labels,
+        attachedLabels: labelsOf(task, state.labels)
     }
 }
 
@@ -123,6 +251,31 @@ function mapDispatchToProps(dispatch, ownProps){
         setTaskName(e){
             dispatch(setTaskName(id,e.target.value));
         },
+        setTaskDescription(description){
+            dispatch(setTaskDescription(id,description));
+        },
+        /* a change that would start the task after it is due is ignored, as the server would refuse it */
+        setTaskDate(task, field, value){
+            let dates = {dueAt:task.dueAt, startAt:task.startAt, [field]:fromInputValue(value)};
+            if (dates.dueAt && dates.startAt && new Date(dates.startAt) > new Date(dates.dueAt)) {
+                return;
+            }
+            dispatch(setTaskDates(id, {[field]:dates[field], timeZone:browserTimeZone()}));
+        },
+        setTaskPriority(e){
+            dispatch(setTaskPriority(id,e.target.value));
+        },
+        attachLabel(task, labelID){
+            if (labelID) {
+                dispatch(setTaskLabels(id, [...(task.labels || []), labelID]));
+            }
+        },
+        detachLabel(task, labelID){
+            dispatch(setTaskLabels(id, task.labels.filter(attached=>attached !== labelID)));
+        },
+        trashTask(){
+            dispatch(trashTask(id));
+        },
         addTaskComment(taskID, ownerID, e) {
             let input = e.target[`commentContents`];
             let commentID = uuid();
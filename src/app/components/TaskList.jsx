@@ -1,16 +1,43 @@
 import { connect } from 'react-redux';
 import React from 'react';
-import { requestTaskCreation } from '../store/mutations'
+import { requestTaskCreation, setGroupSortMode, moveTask } from '../store/mutations'
 import { ConnectedTaskListItem } from './TaskListItem'
+import { sortTasks, defaultSortMode } from '../../shared/task-order'
+import { matchesLabels } from '../../shared/labels'
 
-export const TaskList = ({tasks,name,createNewTask,id})=>(
+const sortModeLabels = {
+    manual:`Manual`,
+    priority:`Priority`,
+    dueDate:`Due date`,
+    created:`Newest first`,
+    name:`Name`
+};
+
+export const TaskList = ({tasks,name,sortMode,reorderable,createNewTask,setSortMode,moveTask,id})=>(
     <div className="card p-2 m-2">
         <h2>
             {name}
         </h2>
+        <select value={sortMode} onChange={setSortMode} className="form-control form-control-sm">
+            {Object.keys(sortModeLabels).map(mode=>(
+                <option key={mode} value={mode}>
+                    Sort: {sortModeLabels[mode]}
+                </option>
+            ))}
+        </select>
         <div>
-            {tasks.map(task=>(
-                <ConnectedTaskListItem {...task} key={task.id}/>
+            {tasks.map((task, index)=>(
+                reorderable ?
+                    <div key={task.id} className="d-flex align-items-center">
+                        <div className="flex-grow-1">
+                            <ConnectedTaskListItem {...task}/>
+                        </div>
+                        <div className="btn-group-vertical ml-1 mt-2">
+                            <button className="btn btn-light btn-sm" disabled={index === 0} onClick={()=>moveTask(task.id, -1)}>▲</button>
+                            <button className="btn btn-light btn-sm" disabled={index === tasks.length - 1} onClick={()=>moveTask(task.id, 1)}>▼</button>
+                        </div>
+                    </div> :
+                    <ConnectedTaskListItem {...task} key={task.id}/>
             ))}
         </div>
         <div>
@@ -19,10 +46,14 @@ export const TaskList = ({tasks,name,createNewTask,id})=>(
     </div>
 );
 
-const mapStateToProps = (state, {name, id})=>{
+/* Tasks hidden by the label filter would make the manual order ambiguous, so it can only be changed unfiltered. */
+const mapStateToProps = (state, {name, id, sortMode = defaultSortMode})=>{
+    let {labelIDs, match} = state.labelFilter;
     return {
         name:name,
-        tasks: state.tasks.filter(task=>task.group === id),
+        sortMode,
+        reorderable: sortMode === `manual` && !labelIDs.length,
+        tasks: sortTasks(state.tasks.filter(task=>task.group === id && matchesLabels(task, labelIDs, match)), sortMode),
         id
     };
 };
@@ -30,7 +61,13 @@ const mapStateToProps = (state, {name, id})=>{
 const mapDispatchToProps = (dispatch, {id})=>({
     createNewTask(){
         dispatch(requestTaskCreation(id));
+    },
+    setSortMode(e){
+        dispatch(setGroupSortMode(id, e.target.value));
+    },
+    moveTask(taskID, offset){
+        dispatch(moveTask(id, taskID, offset));
     }
 });
 
-export const ConnectedTaskList = connect(mapStateToProps, mapDispatchToProps)(TaskList);
\ No newline at end of file
+export const ConnectedTaskList = connect(mapStateToProps, mapDispatchToProps)(TaskList);
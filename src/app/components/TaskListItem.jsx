@@ -1,20 +1,48 @@
 import { connect } from 'react-redux';
 import { Link } from 'react-router-dom';
 import React from 'react';
+import { OverdueBadge, formatTaskDate } from './TaskDates';
+import { LabelChip, labelsOf } from './LabelChip';
 
-export const TaskListItem = ({id,name,commentCount,isComplete})=>(
+/* Tasks without a priority get no badge. */
+const priorityClasses = {
+    low:`badge-secondary`,
+    medium:`badge-info`,
+    high:`badge-warning`,
+    urgent:`badge-danger`
+};
+
+export const PriorityBadge = ({priority})=>(
+    priorityClasses[priority] ? <span className={`badge ${priorityClasses[priority]} mr-1`}>{priority}</span> : null
+);
+
+export const TaskListItem = ({id,name,descriptionExcerpt,commentCount,isComplete,priority,dueAt,timeZone,labels})=>(
     <Link to={`/task/${id}`}>
         <div className="card p-2 mt-2">
             <span>
+                <PriorityBadge priority={priority}/>
                 {name} ({commentCount}) {isComplete ? `✓` : null}
             </span>
+            {descriptionExcerpt ? <small className="text-muted">{descriptionExcerpt}</small> : null}
+            {labels.length ?
+                <div>
+                    {labels.map(label=><LabelChip key={label.id} {...label}/>)}
+                </div> : null
+            }
+            {dueAt ?
+                <small>
+                    Due {formatTaskDate(dueAt, timeZone)} <OverdueBadge task={{dueAt, isComplete}}/>
+                </small> : null
+            }
         </div>
     </Link>
 );
 
 export const ConnectedTaskListItem = connect((state, ownProps)=>{
+    let task = state.tasks.find(task=>task.id === ownProps.id) || {};
     return {
-        ...state.tasks.find(task=>task.id === ownProps.id),
+        ...task,
+        labels:labelsOf(task, state.labels),
         commentCount:state.comments.filter(comment=>comment.task === ownProps.id).length
     };
 })(TaskListItem);
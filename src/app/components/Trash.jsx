@@ -0,0 +1,88 @@
+/**
+ * The trash route lists the user's deleted tasks, newest first, and lets them restore a task or delete it for good.
+ * Anything left in the trash is deleted automatically once the retention period has passed.
+ * The list is fetched from the server each time the route is opened.
+ */
+
+import React from 'react';
+import { connect } from 'react-redux';
+import * as mutations from '../store/mutations';
+
+const formatDate = date => new Date(date).toLocaleDateString();
+
+class Trash extends React.Component {
+    componentDidMount(){
+        this.props.requestTrash();
+    }
+
+    render(){
+        let {tasks, retentionDays, requestTaskRestore, requestTaskPurge, requestEmptyTrash} = this.props;
+        return (
+            <div className="card p-3 col-6">
+                <h2>
+                    Trash
+                </h2>
+                {retentionDays ?
+                    <p>
+                        Deleted tasks are kept here for {retentionDays} days, then deleted for good.
+                    </p> : null
+                }
+
+                {tasks.length ?
+                    <ul className="list-group">
+                        {tasks.map(task=>(
+                            <li key={task.id} className="list-group-item">
+                                <strong>{task.name}</strong> ({task.commentCount}) {task.isComplete ? `✓` : null}
+                                <br/>
+                                Deleted {formatDate(task.trashedAt)}, will be deleted for good on {formatDate(task.purgeAt)}
+                                <div>
+                                    <button onClick={()=>requestTaskRestore(task.id)} className="btn btn-primary btn-sm">
+                                        Restore
+                                    </button>
+                                    <button onClick={()=>requestTaskPurge(task.id)} className="btn btn-secondary btn-sm ml-2">
+                                        Delete Forever
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul> :
+                    <p>
+                        The trash is empty.
+                    </p>
+                }
+
+                {tasks.length ?
+                    <button onClick={requestEmptyTrash} className="form-control mt-2 btn btn-danger">
+                        Empty Trash
+                    </button> : null
+                }
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = ({trash})=>({
+    tasks:trash.tasks,
+    retentionDays:trash.retentionDays
+});
+
+const mapDispatchToProps = (dispatch)=>({
+    requestTrash(){
+        dispatch(mutations.requestTrash());
+    },
+    requestTaskRestore(taskID){
+        dispatch(mutations.requestTaskRestore(taskID));
+    },
+    requestTaskPurge(taskID){
+        if (window.confirm(`Delete this task and its comments for good? This cannot be undone.`)) {
+            dispatch(mutations.requestTaskPurge(taskID));
+        }
+    },
+    requestEmptyTrash(){
+        if (window.confirm(`Delete everything in the trash for good? This cannot be undone.`)) {
+            dispatch(mutations.requestEmptyTrash());
+        }
+    }
+});
+
+export const ConnectedTrash = connect(mapStateToProps, mapDispatchToProps)(Trash);
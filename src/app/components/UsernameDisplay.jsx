@@ -1,11 +1,12 @@
 import React from 'react';
 import { connect } from 'react-redux';
 
-export const UsernameDisplay = ({name})=>(
-    <span>{name}</span>
+export const UsernameDisplay = ({name, displayName})=>(
+    <span>{displayName || name || `Deleted user`}</span>
 );
 
+/* Comments outlive the accounts that wrote them, so the owner may be null or unknown. */
 const mapStateToProps = (state,ownProps)=>{
-    return state.users.find(user=>user.id===ownProps.id)
+    return state.users.find(user=>user.id===ownProps.id) || {};
 };
 export const ConnectedUsernameDisplay = connect(mapStateToProps)(UsernameDisplay);
\ No newline at end of file
@@ -1,17 +1,80 @@
 export const SET_TASK_COMPLETE = `SET_TASK_COMPLETE`;
 export const SET_TASK_GROUP = `SET_TASK_GROUP`;
 export const SET_TASK_NAME = `SET_TASK_NAME`;
+export const SET_TASK_DESCRIPTION = `SET_TASK_DESCRIPTION`;
 export const ADD_TASK_COMMENT = `ADD_TASK_COMMENT`;
 export const REQUEST_TASK_CREATION = `REQUEST_TASK_CREATION`;
 export const CREATE_TASK = `CREATE_TASK`;
+export const SET_TASK_DATES = `SET_TASK_DATES`;
+export const SET_TASK_PRIORITY = `SET_TASK_PRIORITY`;
+export const SET_GROUP_SORT_MODE = `SET_GROUP_SORT_MODE`;
+export const MOVE_TASK = `MOVE_TASK`;
+export const SET_TASK_LABELS = `SET_TASK_LABELS`;
+export const REQUEST_LABEL_CREATION = `REQUEST_LABEL_CREATION`;
+export const REQUEST_LABEL_UPDATE = `REQUEST_LABEL_UPDATE`;
+export const REQUEST_LABEL_DELETION = `REQUEST_LABEL_DELETION`;
+export const SET_LABEL = `SET_LABEL`;
+export const SET_LABEL_STATUS = `SET_LABEL_STATUS`;
+export const LABEL_NAME_TAKEN = `LABEL_NAME_TAKEN`;
+export const SET_LABEL_FILTER = `SET_LABEL_FILTER`;
+export const REQUEST_TASK_VIEW = `REQUEST_TASK_VIEW`;
+export const SET_TASK_VIEW = `SET_TASK_VIEW`;
+export const TRASH_TASK = `TRASH_TASK`;
+export const REQUEST_TRASH = `REQUEST_TRASH`;
+export const SET_TRASH = `SET_TRASH`;
+export const REQUEST_TASK_RESTORE = `REQUEST_TASK_RESTORE`;
+export const REQUEST_TASK_PURGE = `REQUEST_TASK_PURGE`;
+export const REQUEST_EMPTY_TRASH = `REQUEST_EMPTY_TRASH`;
 export const REQUEST_AUTHENTICATE_USER = `REQUEST_AUTHENTICATE_USER`;
 export const PROCESSING_AUTHENTICATE_USER = `PROCESSING_AUTHENTICATE_USER`;
 export const AUTHENTICATING = `AUTHENTICATING`;
 export const AUTHENTICATED = `AUTHENTICATED`;
 export const NOT_AUTHENTICATED = `NOT_AUTHENTICATED`;
+export const RESTORING_SESSION = `RESTORING_SESSION`;
+export const LOGIN_THROTTLED = `LOGIN_THROTTLED`;
+export const SECOND_FACTOR_REQUIRED = `SECOND_FACTOR_REQUIRED`;
+export const SECOND_FACTOR_INCORRECT = `SECOND_FACTOR_INCORRECT`;
+export const REQUEST_SECOND_FACTOR = `REQUEST_SECOND_FACTOR`;
 export const SET_STATE = `SET_STATE`;
 export const USERNAME_RESERVED = `USERNAME_RESERVED`;
+export const SOLVING_SIGNUP_CHALLENGE = `SOLVING_SIGNUP_CHALLENGE`;
+export const SIGNUP_FAILED = `SIGNUP_FAILED`;
+export const INVITE_REJECTED = `INVITE_REJECTED`;
+export const REQUEST_REGISTRATION = `REQUEST_REGISTRATION`;
+export const SET_REGISTRATION = `SET_REGISTRATION`;
 export const REQUEST_USER_ACCOUNT_CREATION = `REQUEST_USER_ACCOUNT_CREATION`;
+export const REQUEST_LOGOUT = `REQUEST_LOGOUT`;
+export const REQUEST_PASSWORD_RESET_EMAIL = `REQUEST_PASSWORD_RESET_EMAIL`;
+export const PASSWORD_RESET_EMAIL_SENT = `PASSWORD_RESET_EMAIL_SENT`;
+export const REQUEST_PASSWORD_RESET = `REQUEST_PASSWORD_RESET`;
+export const PASSWORD_RESET_COMPLETE = `PASSWORD_RESET_COMPLETE`;
+export const PASSWORD_RESET_FAILED = `PASSWORD_RESET_FAILED`;
+export const PASSWORD_RESET_REJECTED = `PASSWORD_RESET_REJECTED`;
+export const REQUEST_ACCOUNT = `REQUEST_ACCOUNT`;
+export const SET_ACCOUNT = `SET_ACCOUNT`;
+export const SET_DISPLAY_NAME = `SET_DISPLAY_NAME`;
+export const REQUEST_PASSWORD_CHANGE = `REQUEST_PASSWORD_CHANGE`;
+export const SET_PASSWORD_CHANGE_STATUS = `SET_PASSWORD_CHANGE_STATUS`;
+export const CHANGING_PASSWORD = `CHANGING_PASSWORD`;
+export const PASSWORD_CHANGED = `PASSWORD_CHANGED`;
+export const PASSWORD_CHANGE_FAILED = `PASSWORD_CHANGE_FAILED`;
+export const PASSWORD_CHANGE_REJECTED = `PASSWORD_CHANGE_REJECTED`;
+export const REQUEST_TWO_FACTOR_ENROLMENT = `REQUEST_TWO_FACTOR_ENROLMENT`;
+export const REQUEST_TWO_FACTOR_CONFIRMATION = `REQUEST_TWO_FACTOR_CONFIRMATION`;
+export const REQUEST_TWO_FACTOR_DISABLE = `REQUEST_TWO_FACTOR_DISABLE`;
+export const TWO_FACTOR_CODE_INCORRECT = `TWO_FACTOR_CODE_INCORRECT`;
+export const TWO_FACTOR_DISABLE_FAILED = `TWO_FACTOR_DISABLE_FAILED`;
+export const REQUEST_ACCESS_TOKENS = `REQUEST_ACCESS_TOKENS`;
+export const REQUEST_ACCESS_TOKEN_CREATION = `REQUEST_ACCESS_TOKEN_CREATION`;
+export const REQUEST_ACCESS_TOKEN_REVOCATION = `REQUEST_ACCESS_TOKEN_REVOCATION`;
+export const REQUEST_ACCOUNT_EXPORT = `REQUEST_ACCOUNT_EXPORT`;
+export const REQUEST_ACCOUNT_IMPORT = `REQUEST_ACCOUNT_IMPORT`;
+export const REQUEST_ACCOUNT_DELETION = `REQUEST_ACCOUNT_DELETION`;
+export const ACCOUNT_EXPORT_FAILED = `ACCOUNT_EXPORT_FAILED`;
+export const ACCOUNT_IMPORTED = `ACCOUNT_IMPORTED`;
+export const ACCOUNT_IMPORT_FAILED = `ACCOUNT_IMPORT_FAILED`;
+export const ACCOUNT_DELETION_FAILED = `ACCOUNT_DELETION_FAILED`;
+export const LOGOUT = `LOGOUT`;
 
 export const setTaskCompletion = (id, isComplete = true)=>({
     type:SET_TASK_COMPLETE,
@@ -51,12 +114,134 @@ export const setTaskName = (taskID, name)=>({
     name
 });
 
+/* `description` is Markdown; see shared/markdown.js. */
+export const setTaskDescription = (taskID, description)=>({
+    type:SET_TASK_DESCRIPTION,
+    taskID,
+    description
+});
+
+/* `dates` holds any of `dueAt` and `startAt`, as ISO strings or null to clear them, and the `timeZone` they were picked in. */
+export const setTaskDates = (taskID, dates)=>({
+    type:SET_TASK_DATES,
+    taskID,
+    ...dates
+});
+
+export const setTaskPriority = (taskID, priority)=>({
+    type:SET_TASK_PRIORITY,
+    taskID,
+    priority
+});
+
+export const setGroupSortMode = (groupID, sortMode)=>({
+    type:SET_GROUP_SORT_MODE,
+    groupID,
+    sortMode
+});
+
+/* Moves a task `offset` places within its group's manual order; negative offsets move it up. */
+export const moveTask = (groupID, taskID, offset)=>({
+    type:MOVE_TASK,
+    groupID,
+    taskID,
+    offset
+});
+
+/* `labels` is the complete list of label ids attached to the task. */
+export const setTaskLabels = (taskID, labels)=>({
+    type:SET_TASK_LABELS,
+    taskID,
+    labels
+});
+
+export const requestLabelCreation = (name, color)=>({
+    type:REQUEST_LABEL_CREATION,
+    name,
+    color
+});
+
+/* `changes` holds a new `name`, `color` or both. */
+export const requestLabelUpdate = (labelID, changes)=>({
+    type:REQUEST_LABEL_UPDATE,
+    labelID,
+    changes
+});
+
+export const requestLabelDeletion = (labelID)=>({
+    type:REQUEST_LABEL_DELETION,
+    labelID
+});
+
+/* Adds the label, or replaces the one with the same id, as the server returned it. */
+export const setLabel = (label)=>({
+    type:SET_LABEL,
+    label
+});
+
+export const setLabelStatus = (status)=>({
+    type:SET_LABEL_STATUS,
+    status
+});
+
+/* `match` is `any` or `all`; see shared/labels.js. */
+export const setLabelFilter = (labelIDs, match)=>({
+    type:SET_LABEL_FILTER,
+    labelIDs,
+    match
+});
+
+/* `view` is `all` or one of the date views in shared/dates.js. */
+export const requestTaskView = (view)=>({
+    type:REQUEST_TASK_VIEW,
+    view
+});
+
+export const setTaskView = (view, taskIDs)=>({
+    type:SET_TASK_VIEW,
+    view,
+    taskIDs
+});
+
+export const trashTask = (taskID)=>({
+    type:TRASH_TASK,
+    taskID
+});
+
+export const requestTrash = ()=>({
+    type:REQUEST_TRASH
+});
+
+export const setTrash = (trash)=>({
+    type:SET_TRASH,
+    trash
+});
+
+export const requestTaskRestore = (taskID)=>({
+    type:REQUEST_TASK_RESTORE,
+    taskID
+});
+
+export const requestTaskPurge = (taskID)=>({
+    type:REQUEST_TASK_PURGE,
+    taskID
+});
+
+export const requestEmptyTrash = ()=>({
+    type:REQUEST_EMPTY_TRASH
+});
+
 export const requestAuthenticateUser = (username, password)=>({
     type:REQUEST_AUTHENTICATE_USER,
     username,
     password
 });
 
+export const requestSecondFactor = (code)=>({
+    type:REQUEST_SECOND_FACTOR,
+    code
+});
+
 export const processAuthenticateUser = (status = AUTHENTICATING, session = null)=>({
     type: PROCESSING_AUTHENTICATE_USER,
     session,
@@ -69,8 +254,109 @@ export const setState = (state = {})=>({
 });
 
 
-export const requestCreateUserAccount = (username,password)=>({
+export const requestCreateUserAccount = (username,password,email,inviteCode)=>({
     type:REQUEST_USER_ACCOUNT_CREATION,
     username,
+    password,
+    email,
+    inviteCode
+});
+
+export const requestRegistration = ()=>({
+    type:REQUEST_REGISTRATION
+});
+
+export const setRegistration = (inviteRequired)=>({
+    type:SET_REGISTRATION,
+    inviteRequired
+});
+
+export const requestLogout = ()=>({
+    type:REQUEST_LOGOUT
+});
+
+export const logout = ()=>({
+    type:LOGOUT
+});
+
+export const requestPasswordResetEmail = (username)=>({
+    type:REQUEST_PASSWORD_RESET_EMAIL,
+    username
+});
+
+export const requestPasswordReset = (token, password)=>({
+    type:REQUEST_PASSWORD_RESET,
+    token,
+    password
+});
+
+export const requestAccount = ()=>({
+    type:REQUEST_ACCOUNT
+});
+
+export const setAccount = (account)=>({
+    type:SET_ACCOUNT,
+    account
+});
+
+export const setDisplayName = (userID, displayName)=>({
+    type:SET_DISPLAY_NAME,
+    userID,
+    displayName
+});
+
+export const requestPasswordChange = (currentPassword, newPassword)=>({
+    type:REQUEST_PASSWORD_CHANGE,
+    currentPassword,
+    newPassword
+});
+
+export const setPasswordChangeStatus = (status)=>({
+    type:SET_PASSWORD_CHANGE_STATUS,
+    status
+});
+
+export const requestTwoFactorEnrolment = ()=>({
+    type:REQUEST_TWO_FACTOR_ENROLMENT
+});
+
+export const requestTwoFactorConfirmation = (code)=>({
+    type:REQUEST_TWO_FACTOR_CONFIRMATION,
+    code
+});
+
+export const requestTwoFactorDisable = (password)=>({
+    type:REQUEST_TWO_FACTOR_DISABLE,
     password
-});
\ No newline at end of file
+});
+
+export const requestAccessTokens = ()=>({
+    type:REQUEST_ACCESS_TOKENS
+});
+
+export const requestAccessTokenCreation = (name, scope)=>({
+    type:REQUEST_ACCESS_TOKEN_CREATION,
+    name,
+    scope
+});
+
+export const requestAccessTokenRevocation = (id)=>({
+    type:REQUEST_ACCESS_TOKEN_REVOCATION,
+    id
+});
+
+export const requestAccountExport = (password)=>({
+    type:REQUEST_ACCOUNT_EXPORT,
+    password
+});
+
+export const requestAccountImport = (archive)=>({
+    type:REQUEST_ACCOUNT_IMPORT,
+    archive
+});
+
+export const requestAccountDeletion = (password, confirmUsername)=>({
+    type:REQUEST_ACCOUNT_DELETION,
+    password,
+    confirmUsername
+});
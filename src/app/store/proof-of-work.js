@@ -0,0 +1,52 @@
+/**
+ * Solves the server's signup challenge (see src/server/proof-of-work.js) in a Web Worker, so the page stays responsive
+ * while the hashes are computed. Resolves to the nonce as a string.
+ */
+
+/* Runs inside the worker from its own source text, so it must not refer to anything outside itself. */
+function challengeWorker(){
+    const leadingZeroBits = bytes=>{
+        let bits = 0;
+        for (let byte of bytes) {
+            if (byte === 0) {
+                bits += 8;
+                continue;
+            }
+            bits += Math.clz32(byte) - 24;
+            break;
+        }
+        return bits;
+    };
+
+    self.onmessage = ({data})=>{
+        const { challenge, difficulty } = data;
+        const encoder = new TextEncoder();
+        const attempt = nonce=>crypto.subtle.digest(`SHA-256`, encoder.encode(`${challenge}:${nonce}`)).then(hash=>{
+            if (leadingZeroBits(new Uint8Array(hash)) >= difficulty) {
+                self.postMessage(String(nonce));
+            } else {
+                attempt(nonce + 1);
+            }
+        });
+        attempt(0);
+    };
+}
+
+export const solveChallenge = (challenge, difficulty)=>new Promise((resolve, reject)=>{
+    const source = new Blob([`(${challengeWorker.toString()})()`], {type:`application/javascript`});
+    const sourceURL = URL.createObjectURL(source);
+    const worker = new Worker(sourceURL);
+    const finish = ()=>{
+        worker.terminate();
+        URL.revokeObjectURL(sourceURL);
+    };
+    worker.onmessage = ({data})=>{
+        finish();
+        resolve(data);
+    };
+    worker.onerror = e=>{
+        finish();
+        reject(e);
+    };
+    worker.postMessage({challenge, difficulty});
+});
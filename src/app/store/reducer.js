@@ -1,15 +1,26 @@
 import { combineReducers } from 'redux';
 import * as mutations from './mutations'
+import { moveTask } from '../../shared/task-order'
+import { excerpt } from '../../shared/markdown'
 
 let defaultState = {
     session:{},
+    account:{},
     comments:[],
     users:[],
     groups:[],
-    tasks:[]
+    labels:[],
+    labelStatus:null,
+    labelFilter:{labelIDs:[], match:`any`},
+    tasks:[],
+    trash:{tasks:[], retentionDays:null},
+    taskView:{view:`all`, taskIDs:[], loading:false}
 };
 
-export const reducer = combineReducers({
+/* The server leaves trashed tasks and comments out of the state, but they are never shown outside the Trash view. */
+const notTrashed = item=>!item.trashedAt;
+
+const appReducer = combineReducers({
     session(userSession = defaultState.session,action){
         let {type,authenticated, session} = action;
         switch(type){
@@ -18,7 +29,9 @@ export const reducer = combineReducers({
             case mutations.REQUEST_AUTHENTICATE_USER:
                 return {...userSession, authenticated:mutations.AUTHENTICATING};
             case mutations.PROCESSING_AUTHENTICATE_USER:
-                return {...userSession, authenticated};
+                return {...userSession, ...session, authenticated};
+            case mutations.SET_REGISTRATION:
+                return {...userSession, inviteRequired:action.inviteRequired};
             default:
                 return userSession;
         }
@@ -29,14 +42,33 @@ export const reducer = combineReducers({
                 let {type,owner,task,content,id} = action;
                 return [...comments,{owner,task,content,id}];
             case mutations.SET_STATE:
-                return action.state.comments;
+                return action.state.comments.filter(notTrashed);
+            case mutations.TRASH_TASK:
+                return comments.filter(comment=>comment.task !== action.taskID);
         }
         return comments;
     },
+    account(account = defaultState.account,action){
+        switch (action.type) {
+            case mutations.SET_ACCOUNT:
+                return {...account, ...action.account};
+            case mutations.SET_DISPLAY_NAME:
+                return {...account, displayName:action.displayName};
+            case mutations.REQUEST_PASSWORD_CHANGE:
+                return {...account, passwordChangeStatus:mutations.CHANGING_PASSWORD};
+            case mutations.SET_PASSWORD_CHANGE_STATUS:
+                return {...account, passwordChangeStatus:action.status};
+        }
+        return account;
+    },
     users:(users = defaultState.users,action)=>{
         switch (action.type) {
             case mutations.SET_STATE:
                 return action.state.users;
+            case mutations.SET_DISPLAY_NAME:
+                return users.map(user=>{
+                    return (user.id === action.userID) ? {...user, displayName:action.displayName} : user;
+                });
         }
         return users;
     },
@@ -44,13 +76,50 @@ export const reducer = combineReducers({
         switch (action.type) {
             case mutations.SET_STATE:
                 return action.state.groups;
+            case mutations.SET_GROUP_SORT_MODE:
+                return groups.map(group=>{
+                    return (group.id === action.groupID) ? {...group, sortMode:action.sortMode} : group;
+                });
         }
         return groups;
     },
+    labels(labels = defaultState.labels,action){
+        switch (action.type) {
+            case mutations.SET_STATE:
+                return action.state.labels || [];
+            case mutations.SET_LABEL:
+                return [...labels.filter(label=>label.id !== action.label.id), action.label]
+                    .sort((a, b)=>a.name.localeCompare(b.name, undefined, {sensitivity:`base`}));
+            case mutations.REQUEST_LABEL_DELETION:
+                return labels.filter(label=>label.id !== action.labelID);
+        }
+        return labels;
+    },
+    labelStatus(labelStatus = defaultState.labelStatus,action){
+        switch (action.type) {
+            case mutations.SET_LABEL_STATUS:
+                return action.status;
+            case mutations.REQUEST_LABEL_CREATION:
+            case mutations.REQUEST_LABEL_UPDATE:
+                return null;
+        }
+        return labelStatus;
+    },
+    labelFilter(labelFilter = defaultState.labelFilter,action){
+        switch (action.type) {
+            case mutations.SET_LABEL_FILTER:
+                return {labelIDs:action.labelIDs, match:action.match};
+            case mutations.REQUEST_LABEL_DELETION:
+                return {...labelFilter, labelIDs:labelFilter.labelIDs.filter(id=>id !== action.labelID)};
+        }
+        return labelFilter;
+    },
     tasks(tasks = defaultState.tasks,action){
         switch(action.type) {
             case mutations.SET_STATE:
-                return action.state.tasks;
+                return action.state.tasks.filter(notTrashed);
+            case mutations.TRASH_TASK:
+                return tasks.filter(task=>task.id !== action.taskID);
             case mutations.SET_TASK_COMPLETE:
                 return tasks.map(task=>{
                     return (task.id === action.taskID) ? {...task,isComplete:action.isComplete} : task;
@@ -63,15 +132,78 @@ export const reducer = combineReducers({
                 return tasks.map(task=> {
                     return (task.id === action.taskID) ? {...task, name: action.name} : task;
                 });
+            case mutations.SET_TASK_DESCRIPTION:
+                return tasks.map(task=>{
+                    return (task.id === action.taskID) ?
+                        {...task, description:action.description, descriptionExcerpt:excerpt(action.description)} : task;
+                });
+            case mutations.SET_TASK_PRIORITY:
+                return tasks.map(task=>{
+                    return (task.id === action.taskID) ? {...task, priority:action.priority} : task;
+                });
+            case mutations.SET_TASK_LABELS:
+                return tasks.map(task=>{
+                    return (task.id === action.taskID) ? {...task, labels:action.labels} : task;
+                });
+            case mutations.REQUEST_LABEL_DELETION:
+                return tasks.map(task=>{
+                    return (task.labels || []).includes(action.labelID) ?
+                        {...task, labels:task.labels.filter(id=>id !== action.labelID)} : task;
+                });
+            case mutations.MOVE_TASK:
+                let order = moveTask(tasks.filter(task=>task.group === action.groupID), action.taskID, action.offset);
+                return tasks.map(task=>{
+                    return (task.group === action.groupID) ? {...task, position:order.indexOf(task.id)} : task;
+                });
+            case mutations.SET_TASK_DATES:
+                return tasks.map(task=>{
+                    let {dueAt = task.dueAt, startAt = task.startAt, timeZone = task.timeZone} = action;
+                    return (task.id === action.taskID) ? {...task, dueAt, startAt, timeZone} : task;
+                });
             case mutations.CREATE_TASK:
                 return [...tasks,{
                     id:action.taskID,
                     name:"New Task",
                     group:action.groupID,
                     owner:action.ownerID,
-                    isComplete:false
+                    isComplete:false,
+                    priority:`none`,
+                    labels:[],
+                    description:``,
+                    descriptionExcerpt:``,
+                    createdAt:new Date().toISOString(),
+                    dueAt:null,
+                    startAt:null,
+                    timeZone:null
                 }]
         }
         return tasks;
+    },
+    trash(trash = defaultState.trash,action){
+        switch(action.type) {
+            case mutations.SET_TRASH:
+                return {...trash, ...action.trash};
+            case mutations.REQUEST_TASK_RESTORE:
+            case mutations.REQUEST_TASK_PURGE:
+                return {...trash, tasks:trash.tasks.filter(task=>task.id !== action.taskID)};
+            case mutations.REQUEST_EMPTY_TRASH:
+                return {...trash, tasks:[]};
+        }
+        return trash;
+    },
+    taskView(taskView = defaultState.taskView,action){
+        switch(action.type) {
+            case mutations.REQUEST_TASK_VIEW:
+                return {view:action.view, taskIDs:[], loading:action.view !== `all`};
+            case mutations.SET_TASK_VIEW:
+                return {view:action.view, taskIDs:action.taskIDs, loading:false};
+            case mutations.TRASH_TASK:
+                return {...taskView, taskIDs:taskView.taskIDs.filter(id=>id !== action.taskID)};
+        }
+        return taskView;
     }
 });
+
+/* Logging out discards everything the previous user loaded, returning every slice to its default. */
+export const reducer = (state, action)=>
+    appReducer(action.type === mutations.LOGOUT ? undefined : state, action);
@@ -1,11 +1,22 @@
-import { take, put, select } from 'redux-saga/effects';
+import { take, put, select, call } from 'redux-saga/effects';
 import uuid from 'uuid';
 import axios from 'axios';
 
 import { history } from './history'
+import { loadSessionToken, saveSessionToken, clearSessionToken } from './session-storage';
+import { solveChallenge } from './proof-of-work';
+import { sortTasks } from '../../shared/task-order';
 import * as mutations from './mutations';
 const url = process.env.NODE_ENV === 'production' ? `` : `http://localhost:7777`;
 
+/**
+ * Builds the axios config that carries the session token issued by `/authenticate`.
+ */
+function* authorizationConfig(){
+    const token = yield select(state=>state.session.token);
+    return {headers:{Authorization:`Bearer ${token}`}};
+}
+
 export function* taskCreationSaga(){
     while (true){
         const {groupID} = yield take(mutations.REQUEST_TASK_CREATION);
@@ -18,7 +29,7 @@ export function* taskCreationSaga(){
             owner: ownerID,
             isComplete:false,
             name:"New task"
-        }});
+        }}, yield* authorizationConfig());
         yield put(mutation);
     }
 }
@@ -26,20 +37,185 @@ export function* taskCreationSaga(){
 export function* commentCreationSaga(){
     while (true) {
         const comment = yield take (mutations.ADD_TASK_COMMENT);
-        axios.post(url + `/comment/new`,{comment})
+        axios.post(url + `/comment/new`,{comment}, yield* authorizationConfig());
     }
 }
 
 export function* taskModificationSaga(){
     while (true){
-        const task = yield take([mutations.SET_TASK_GROUP, mutations.SET_TASK_NAME,mutations.SET_TASK_COMPLETE]);
+        const task = yield take([mutations.SET_TASK_GROUP, mutations.SET_TASK_NAME,mutations.SET_TASK_DESCRIPTION,mutations.SET_TASK_COMPLETE,mutations.SET_TASK_DATES,mutations.SET_TASK_PRIORITY,mutations.SET_TASK_LABELS]);
         axios.post(url + `/task/update`,{
             task:{
                 id:task.taskID,
                 group:task.groupID,
                 name:task.name,
-                isComplete:task.isComplete
-            }});
+                description:task.description,
+                isComplete:task.isComplete,
+                priority:task.priority,
+                labels:task.labels,
+                dueAt:task.dueAt,
+                startAt:task.startAt,
+                timeZone:task.timeZone
+            }}, yield* authorizationConfig());
+    }
+}
+
+export function* groupSortModeSaga(){
+    while (true) {
+        const { groupID, sortMode } = yield take(mutations.SET_GROUP_SORT_MODE);
+        axios.post(url + `/group/sort`, {id:groupID, sortMode}, yield* authorizationConfig());
+    }
+}
+
+/* The reducer has already renumbered the group, so its new order is read back from the store. */
+export function* taskMoveSaga(){
+    while (true) {
+        const { groupID } = yield take(mutations.MOVE_TASK);
+        const tasks = yield select(state=>state.tasks.filter(task=>task.group === groupID));
+        const taskIDs = sortTasks(tasks, `manual`).map(task=>task.id);
+        axios.post(url + `/group/order`, {id:groupID, taskIDs}, yield* authorizationConfig());
+    }
+}
+
+export function* labelCreationSaga(){
+    while (true) {
+        const { name, color } = yield take(mutations.REQUEST_LABEL_CREATION);
+        try {
+            const { data } = yield axios.post(url + `/labels`, {name, color}, yield* authorizationConfig());
+            yield put(mutations.setLabel(data.label));
+        } catch (e) {
+            yield* labelFailure(e);
+        }
+    }
+}
+
+export function* labelUpdateSaga(){
+    while (true) {
+        const { labelID, changes } = yield take(mutations.REQUEST_LABEL_UPDATE);
+        try {
+            const { data } = yield axios.post(url + `/labels/update`, {id:labelID, ...changes}, yield* authorizationConfig());
+            yield put(mutations.setLabel(data.label));
+        } catch (e) {
+            yield* labelFailure(e);
+        }
+    }
+}
+
+function* labelFailure(e){
+    if (e.response && e.response.status === 409) {
+        yield put(mutations.setLabelStatus(mutations.LABEL_NAME_TAKEN));
+    } else {
+        console.error("Error",e);
+    }
+}
+
+/* The reducer has already taken the label off every task, as the server does. */
+export function* labelDeletionSaga(){
+    while (true) {
+        const { labelID } = yield take(mutations.REQUEST_LABEL_DELETION);
+        axios.post(url + `/labels/delete`, {id:labelID}, yield* authorizationConfig());
+    }
+}
+
+/* The date views are worked out on the server, in the browser's time zone. */
+export function* taskViewSaga(){
+    while (true) {
+        const { view } = yield take(mutations.REQUEST_TASK_VIEW);
+        if (view === `all`) {
+            continue;
+        }
+        try {
+            const config = yield* authorizationConfig();
+            const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+            const { data } = yield axios.get(url + `/tasks`, {...config, params:{view, timeZone}});
+            yield put(mutations.setTaskView(view, data.tasks.map(task=>task.id)));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* taskTrashSaga(){
+    while (true) {
+        const { taskID } = yield take(mutations.TRASH_TASK);
+        history.push(`/dashboard`);
+        try {
+            yield axios.post(url + `/task/trash`, {id:taskID}, yield* authorizationConfig());
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* trashSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_TRASH);
+        try {
+            const { data } = yield axios.get(url + `/trash`, yield* authorizationConfig());
+            yield put(mutations.setTrash(data));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+/* A restored task comes back with its comments, so the whole state is fetched again. */
+export function* taskRestoreSaga(){
+    while (true) {
+        const { taskID } = yield take(mutations.REQUEST_TASK_RESTORE);
+        try {
+            const config = yield* authorizationConfig();
+            yield axios.post(url + `/trash/restore`, {id:taskID}, config);
+            const { data } = yield axios.get(url + `/session/state`, config);
+            yield put(mutations.setState(data.state));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* taskPurgeSaga(){
+    while (true) {
+        const { taskID } = yield take(mutations.REQUEST_TASK_PURGE);
+        try {
+            yield axios.post(url + `/trash/purge`, {id:taskID}, yield* authorizationConfig());
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* emptyTrashSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_EMPTY_TRASH);
+        try {
+            yield axios.post(url + `/trash/empty`, {}, yield* authorizationConfig());
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+/**
+ * Stores the session issued once every login factor has been verified and opens the dashboard.
+ */
+function* completeAuthentication(data){
+    saveSessionToken(data.token);
+    yield put(mutations.setState(data.state));
+    yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, data.session));
+    history.push(`/dashboard`);
+}
+
+/* True when the server refused a new password for breaking the password policy. */
+const passwordRejected = e=>Boolean(e.response && e.response.status === 400 && e.response.data.error.details);
+
+function* authenticationFailed(e, status = mutations.NOT_AUTHENTICATED){
+    if (e.response && e.response.status === 429) {
+        yield put(mutations.processAuthenticateUser(mutations.LOGIN_THROTTLED, {
+            retryAfter:e.response.data.error.details.retryAfter
+        }));
+    } else {
+        yield put(mutations.processAuthenticateUser(status));
     }
 }
 
@@ -48,35 +224,305 @@ export function* userAuthenticationSaga(){
         const {username,password} = yield take(mutations.REQUEST_AUTHENTICATE_USER);
         try {
             const { data } = yield axios.post(url + `/authenticate`,{username,password});
-            yield put(mutations.setState(data.state));
-            yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, {
-                id:"U1", // todo... get ID from response
-                token:data.token
-            }));
-            history.push(`/dashboard`);
+            if (data.secondFactorRequired) {
+                yield put(mutations.processAuthenticateUser(mutations.SECOND_FACTOR_REQUIRED, {
+                    challenge:data.challenge
+                }));
+            } else {
+                yield* completeAuthentication(data);
+            }
         } catch (e) {
             /* catch block handles failed login */
-            yield put(mutations.processAuthenticateUser(mutations.NOT_AUTHENTICATED));
+            yield* authenticationFailed(e);
+        }
+    }
+}
+
+export function* secondFactorSaga(){
+    while (true){
+        const {code} = yield take(mutations.REQUEST_SECOND_FACTOR);
+        const challenge = yield select(state=>state.session.challenge);
+        try {
+            const { data } = yield axios.post(url + `/authenticate/second-factor`,{challenge,code});
+            yield* completeAuthentication(data);
+        } catch (e) {
+            /* a wrong code can be retried; an expired challenge sends the user back to the password form */
+            const incorrect = e.response && e.response.status === 401;
+            yield* authenticationFailed(e, incorrect ? mutations.SECOND_FACTOR_INCORRECT : mutations.NOT_AUTHENTICATED);
         }
     }
 }
 
+/* Maps a failed signup to the status the form shows. */
+const signupFailure = e=>{
+    const { status, data } = e.response || {};
+    if (status === 409) {
+        return mutations.USERNAME_RESERVED;
+    }
+    const details = status === 400 && data && data.error && data.error.details || [];
+    return details.some(({field})=>field === `inviteCode`) ? mutations.INVITE_REJECTED : mutations.SIGNUP_FAILED;
+};
 
 export function* userAccountCreationSaga(){
     while (true) {
-        const {username, password } = yield take(mutations.REQUEST_USER_ACCOUNT_CREATION);
+        const {username, password, email, inviteCode } = yield take(mutations.REQUEST_USER_ACCOUNT_CREATION);
         try {
-            const { data } = yield axios.post(url + `/user/create`, {username,password});
-            console.log(data);
+            /* every signup has to solve a fresh proof-of-work challenge first */
+            yield put(mutations.processAuthenticateUser(mutations.SOLVING_SIGNUP_CHALLENGE));
+            const { data:{challenge, difficulty} } = yield axios.post(url + `/user/challenge`, {});
+            const nonce = yield call(solveChallenge, challenge, difficulty);
 
-            yield put(mutations.setState({...data.state,session:{id:data.userID}}));
-            yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED));
+            const { data } = yield axios.post(url + `/user/create`, {username,password,email,inviteCode,proof:{challenge,nonce}});
+            saveSessionToken(data.token);
+
+            yield put(mutations.setState(data.state));
+            yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, data.session));
 
             history.push('/dashboard');
 
+        } catch (e) {
+            yield put(mutations.processAuthenticateUser(signupFailure(e)));
+        }
+    }
+}
+
+export function* registrationSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_REGISTRATION);
+        try {
+            const { data } = yield axios.get(url + `/registration`);
+            yield put(mutations.setRegistration(data.inviteRequired));
+        } catch (e) {
+            /* without the mode the form stays open; the server still refuses signups that need an invite */
+        }
+    }
+}
+
+export function* logoutSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_LOGOUT);
+        try {
+            yield axios.post(url + `/logout`, {}, yield* authorizationConfig());
+        } catch (e) {
+            /* the session is discarded locally even if the server could not be reached */
+        }
+        clearSessionToken();
+        yield put(mutations.logout());
+        history.push(`/`);
+    }
+}
+
+export function* passwordResetEmailSaga(){
+    while (true) {
+        const { username } = yield take(mutations.REQUEST_PASSWORD_RESET_EMAIL);
+        try {
+            yield axios.post(url + `/password/forgot`, {username});
+        } catch (e) {
+            console.error("Error",e);
+        }
+        /* the server answers the same way whether or not the account exists */
+        yield put(mutations.processAuthenticateUser(mutations.PASSWORD_RESET_EMAIL_SENT));
+    }
+}
+
+export function* passwordResetSaga(){
+    while (true) {
+        const { token, password } = yield take(mutations.REQUEST_PASSWORD_RESET);
+        try {
+            yield axios.post(url + `/password/reset`, {token, password});
+            yield put(mutations.processAuthenticateUser(mutations.PASSWORD_RESET_COMPLETE));
+        } catch (e) {
+            yield put(mutations.processAuthenticateUser(
+                passwordRejected(e) ? mutations.PASSWORD_RESET_REJECTED : mutations.PASSWORD_RESET_FAILED
+            ));
+        }
+    }
+}
+
+export function* accountSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_ACCOUNT);
+        try {
+            const { data } = yield axios.get(url + `/account`, yield* authorizationConfig());
+            yield put(mutations.setAccount(data.account));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* displayNameSaga(){
+    while (true) {
+        const { displayName } = yield take(mutations.SET_DISPLAY_NAME);
+        axios.post(url + `/account/display-name`, {displayName}, yield* authorizationConfig());
+    }
+}
+
+export function* passwordChangeSaga(){
+    while (true) {
+        const { currentPassword, newPassword } = yield take(mutations.REQUEST_PASSWORD_CHANGE);
+        try {
+            yield axios.post(url + `/account/password`, {currentPassword, newPassword}, yield* authorizationConfig());
+            yield put(mutations.setPasswordChangeStatus(mutations.PASSWORD_CHANGED));
+        } catch (e) {
+            yield put(mutations.setPasswordChangeStatus(
+                passwordRejected(e) ? mutations.PASSWORD_CHANGE_REJECTED : mutations.PASSWORD_CHANGE_FAILED
+            ));
+        }
+    }
+}
+
+export function* twoFactorEnrolmentSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_TWO_FACTOR_ENROLMENT);
+        try {
+            const { data } = yield axios.post(url + `/account/two-factor/enrol`, {}, yield* authorizationConfig());
+            yield put(mutations.setAccount({twoFactorEnrolment:data, recoveryCodes:null, twoFactorStatus:null}));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* twoFactorConfirmationSaga(){
+    while (true) {
+        const { code } = yield take(mutations.REQUEST_TWO_FACTOR_CONFIRMATION);
+        try {
+            const { data } = yield axios.post(url + `/account/two-factor/confirm`, {code}, yield* authorizationConfig());
+            yield put(mutations.setAccount({
+                twoFactorEnabled:true,
+                twoFactorEnrolment:null,
+                recoveryCodes:data.recoveryCodes,
+                twoFactorStatus:null
+            }));
+        } catch (e) {
+            yield put(mutations.setAccount({twoFactorStatus:mutations.TWO_FACTOR_CODE_INCORRECT}));
+        }
+    }
+}
+
+export function* twoFactorDisableSaga(){
+    while (true) {
+        const { password } = yield take(mutations.REQUEST_TWO_FACTOR_DISABLE);
+        try {
+            yield axios.post(url + `/account/two-factor/disable`, {password}, yield* authorizationConfig());
+            yield put(mutations.setAccount({twoFactorEnabled:false, recoveryCodes:null, twoFactorStatus:null}));
+        } catch (e) {
+            yield put(mutations.setAccount({twoFactorStatus:mutations.TWO_FACTOR_DISABLE_FAILED}));
+        }
+    }
+}
+
+export function* accessTokensSaga(){
+    while (true) {
+        yield take(mutations.REQUEST_ACCESS_TOKENS);
+        try {
+            const { data } = yield axios.get(url + `/account/tokens`, yield* authorizationConfig());
+            yield put(mutations.setAccount({accessTokens:data.tokens, newAccessToken:null}));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* accessTokenCreationSaga(){
+    while (true) {
+        const { name, scope } = yield take(mutations.REQUEST_ACCESS_TOKEN_CREATION);
+        try {
+            const { data } = yield axios.post(url + `/account/tokens`, {name, scope}, yield* authorizationConfig());
+            const accessTokens = yield select(state=>state.account.accessTokens || []);
+            /* the token itself is only kept in memory until the settings page is next opened */
+            yield put(mutations.setAccount({
+                accessTokens:[data.accessToken, ...accessTokens],
+                newAccessToken:data.token
+            }));
+        } catch (e) {
+            console.error("Error",e);
+        }
+    }
+}
+
+export function* accessTokenRevocationSaga(){
+    while (true) {
+        const { id } = yield take(mutations.REQUEST_ACCESS_TOKEN_REVOCATION);
+        try {
+            yield axios.post(url + `/account/tokens/revoke`, {id}, yield* authorizationConfig());
+            const accessTokens = yield select(state=>state.account.accessTokens || []);
+            yield put(mutations.setAccount({accessTokens:accessTokens.filter(token=>token.id !== id)}));
         } catch (e) {
             console.error("Error",e);
-            yield put(mutations.processAuthenticateUser(mutations.USERNAME_RESERVED));
         }
     }
+}
+
+/* Hands data to the browser as a file download. */
+const downloadJSON = (filename, data)=>{
+    const link = document.createElement(`a`);
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], {type:`application/json`}));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+};
+
+export function* accountExportSaga(){
+    while (true) {
+        const { password } = yield take(mutations.REQUEST_ACCOUNT_EXPORT);
+        try {
+            const { data } = yield axios.post(url + `/account/export`, {password}, yield* authorizationConfig());
+            yield call(downloadJSON, `organizer-export-${data.exportedAt.slice(0, 10)}.json`, data);
+            yield put(mutations.setAccount({dataStatus:null}));
+        } catch (e) {
+            yield put(mutations.setAccount({dataStatus:mutations.ACCOUNT_EXPORT_FAILED}));
+        }
+    }
+}
+
+export function* accountImportSaga(){
+    while (true) {
+        const { archive } = yield take(mutations.REQUEST_ACCOUNT_IMPORT);
+        try {
+            const config = yield* authorizationConfig();
+            const { data:{imported} } = yield axios.post(url + `/account/import`, {archive}, config);
+            const { data } = yield axios.get(url + `/session/state`, config);
+            yield put(mutations.setState(data.state));
+            yield put(mutations.setAccount({dataStatus:mutations.ACCOUNT_IMPORTED, imported}));
+        } catch (e) {
+            yield put(mutations.setAccount({dataStatus:mutations.ACCOUNT_IMPORT_FAILED}));
+        }
+    }
+}
+
+export function* accountDeletionSaga(){
+    while (true) {
+        const { password, confirmUsername } = yield take(mutations.REQUEST_ACCOUNT_DELETION);
+        try {
+            yield axios.post(url + `/account/delete`, {password, confirmUsername}, yield* authorizationConfig());
+            clearSessionToken();
+            yield put(mutations.logout());
+            history.push(`/`);
+        } catch (e) {
+            yield put(mutations.setAccount({dataStatus:mutations.ACCOUNT_DELETION_FAILED}));
+        }
+    }
+}
+
+/**
+ * Runs once on boot. If a token survived the page reload, the user's state is fetched again
+ * and the session marked authenticated without leaving the current route, so deep links keep working.
+ */
+export function* sessionRestorationSaga(){
+    const token = loadSessionToken();
+    if (!token) {
+        return;
+    }
+    yield put(mutations.processAuthenticateUser(mutations.RESTORING_SESSION));
+    try {
+        const { data } = yield axios.get(url + `/session/state`, {headers:{Authorization:`Bearer ${token}`}});
+        yield put(mutations.setState(data.state));
+        yield put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, data.session));
+    } catch (e) {
+        /* the stored session has expired or been revoked */
+        clearSessionToken();
+        yield put(mutations.logout());
+    }
 }
\ No newline at end of file
@@ -0,0 +1,10 @@
+/**
+ * The session token is kept in localStorage so a page reload can restore the session instead of logging the user out.
+ */
+const key = `sessionToken`;
+
+export const loadSessionToken = ()=>localStorage.getItem(key);
+
+export const saveSessionToken = token=>localStorage.setItem(key, token);
+
+export const clearSessionToken = ()=>localStorage.removeItem(key);
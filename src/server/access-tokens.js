@@ -0,0 +1,75 @@
+import crypto from 'crypto';
+import uuid from 'uuid';
+import { indexedCollection } from './collections'
+
+/**
+ * Personal access tokens let scripts call the API without a password. Each token has a name, a scope and never expires,
+ * but can be revoked from the settings page. `read` tokens may only make GET requests; `write` tokens may do anything a
+ * login session can, apart from managing passwords, two-factor authentication, sessions and tokens.
+ */
+/* Distinguishes access tokens from session tokens, so `requireAuthentication` knows where to look one up. */
+const tokenPrefix = `pat_`;
+
+export const isAccessToken = token => token.startsWith(tokenPrefix);
+
+/* Only a hash of each token is stored, so a leaked collection cannot be used to call the API. */
+const hashToken = token => crypto.createHash(`sha256`).update(String(token)).digest(`hex`);
+
+const accessTokensCollection = ()=>indexedCollection(`accessTokens`, [
+    [{tokenHash:1},{unique:true}],
+    [{userID:1}]
+]);
+
+/* The details shown in the settings UI. Never includes the hash. */
+export const accessTokenDetails = ({id, name, scope, createdAt, lastUsedAt})=>({id, name, scope, createdAt, lastUsedAt});
+
+/**
+ * Creates a token, resolving to the token itself and its details. The token cannot be recovered afterwards.
+ */
+export async function createAccessToken(userID, {name, scope}){
+    let collection = await accessTokensCollection();
+    let token = tokenPrefix + crypto.randomBytes(32).toString(`hex`);
+    let accessToken = {
+        id:uuid(),
+        tokenHash:hashToken(token),
+        userID,
+        name,
+        scope,
+        createdAt:new Date(),
+        lastUsedAt:null
+    };
+    await collection.insertOne(accessToken);
+    return {token, accessToken};
+}
+
+/**
+ * Looks up a token and records that it was used. Returns null for unknown or revoked tokens.
+ */
+export async function findAccessToken(token){
+    let collection = await accessTokensCollection();
+    let { value } = await collection.findOneAndUpdate(
+        {tokenHash:hashToken(token)},
+        {$set:{lastUsedAt:new Date()}},
+        {returnOriginal:false}
+    );
+    return value || null;
+}
+
+export async function listAccessTokens(userID){
+    let collection = await accessTokensCollection();
+    return await collection.find({userID}).sort({createdAt:-1}).toArray();
+}
+
+/**
+ * Deletes one of a user's tokens by its id. Resolves to false if the user has no such token.
+ */
+export async function revokeAccessToken(userID, id){
+    let collection = await accessTokensCollection();
+    let { deletedCount } = await collection.deleteOne({userID, id});
+    return deletedCount === 1;
+}
+
+export async function revokeAllAccessTokens(userID){
+    let collection = await accessTokensCollection();
+    await collection.deleteMany({userID});
+}
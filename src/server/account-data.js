@@ -0,0 +1,155 @@
+import uuid from 'uuid';
+import { connectDB } from './connect-db'
+import { revokeAllSessions } from './sessions';
+import { revokeAllAccessTokens } from './access-tokens';
+import { storedDates } from './task-dates';
+import { listLabels, createLabel, deleteAllLabels } from './labels';
+import { defaultSortMode } from '../shared/task-order';
+import { excerpt } from '../shared/markdown';
+
+/**
+ * Exporting, importing and deleting everything tied to an account.
+ *
+ * An export holds the account's details, labels, groups and tasks, the comments on those tasks and the comments the
+ * user left on other people's tasks. Importing one recreates its groups, tasks and comments under fresh ids for the importing
+ * user, so an archive can be loaded into a new account or a different server. Credentials are never exported.
+ * Labels are matched by name instead, so importing never duplicates a label the user already has. Tasks in the trash,
+ * and comments on them, are left out, so importing an archive never brings deleted tasks back.
+ */
+export const exportFormat = `organizer-account-export`;
+export const exportVersion = 1;
+
+/* Archives are larger than any other request body; see server.js. */
+export const importSizeLimit = `5mb`;
+
+const accountFields = ({id, name, displayName, email, role, createdAt})=>({
+    id,
+    name,
+    displayName:displayName || name,
+    email:email || null,
+    role:role || `user`,
+    createdAt:createdAt || null
+});
+const groupFields = ({id, name, sortMode})=>({id, name, sortMode:sortMode || defaultSortMode});
+const labelFields = ({id, name, color})=>({id, name, color});
+const taskFields = ({id, name, description, group, isComplete, priority, labels, position, createdAt, dueAt, startAt, timeZone})=>({
+    id,
+    name,
+    description:description || ``,
+    group,
+    isComplete:Boolean(isComplete),
+    priority:priority || `none`,
+    labels:labels || [],
+    position:position === undefined ? null : position,
+    createdAt:createdAt || null,
+    dueAt:dueAt || null,
+    startAt:startAt || null,
+    timeZone:timeZone || null
+});
+const commentFields = ({id, task, owner, content})=>({id, task, owner, content});
+
+export async function exportAccount(user){
+    let db = await connectDB();
+    let labels = await listLabels(user.id);
+    let groups = await db.collection(`groups`).find({owner:user.id}).toArray();
+    let tasks = await db.collection(`tasks`).find({owner:user.id, trashedAt:null}).toArray();
+    let comments = await db.collection(`comments`).find({trashedAt:null, $or:[
+        {task:{$in:tasks.map(task=>task.id)}},
+        {owner:user.id}
+    ]}).toArray();
+
+    return {
+        format:exportFormat,
+        version:exportVersion,
+        exportedAt:new Date(),
+        account:accountFields(user),
+        labels:labels.map(labelFields),
+        groups:groups.map(groupFields),
+        tasks:tasks.map(taskFields),
+        comments:comments.map(commentFields)
+    };
+}
+
+/**
+ * Adds an archive's contents to a user's account. Tasks in groups missing from the archive go into the first imported
+ * group, or the user's own first group when the archive has none, and comments on tasks missing from it are skipped.
+ * Comments the archive's owner wrote become the importing user's; anyone else's are imported anonymised, since their
+ * authors may not exist here.
+ * Resolves to how many of each were imported.
+ */
+export async function importAccount(userID, archive){
+    let db = await connectDB();
+    let { labelIDs, created } = await importLabels(userID, archive.labels || []);
+    let groupIDs = new Map(archive.groups.map(group=>[group.id, uuid()]));
+    let taskIDs = new Map(archive.tasks.map(task=>[task.id, uuid()]));
+    let archiveOwner = archive.account ? archive.account.id : null;
+
+    let groups = archive.groups.map(group=>({...groupFields(group), id:groupIDs.get(group.id), owner:userID}));
+    let fallbackGroup = groups.length ? groups[0] : await db.collection(`groups`).findOne({owner:userID});
+    let tasks = archive.tasks
+        .map(task=>({
+            ...taskFields(task),
+            ...storedDates(taskFields(task)),
+            descriptionExcerpt:excerpt(task.description),
+            createdAt:task.createdAt ? new Date(task.createdAt) : null,
+            labels:[...new Set((task.labels || []).map(id=>labelIDs.get(id)).filter(Boolean))],
+            id:taskIDs.get(task.id),
+            group:groupIDs.get(task.group) || (fallbackGroup && fallbackGroup.id),
+            owner:userID
+        }))
+        .filter(task=>task.group);
+    let importedTasks = new Set(tasks.map(task=>task.id));
+    let comments = archive.comments
+        .map(comment=>({
+            ...commentFields(comment),
+            id:uuid(),
+            task:taskIDs.get(comment.task),
+            owner:comment.owner === archiveOwner ? userID : null
+        }))
+        .filter(comment=>importedTasks.has(comment.task));
+
+    if (groups.length) {
+        await db.collection(`groups`).insertMany(groups);
+    }
+    if (tasks.length) {
+        await db.collection(`tasks`).insertMany(tasks);
+    }
+    if (comments.length) {
+        await db.collection(`comments`).insertMany(comments);
+    }
+    return {labels:created, groups:groups.length, tasks:tasks.length, comments:comments.length};
+}
+
+/* Maps each archived label's id to the user's label of the same name, creating the ones the user doesn't have. */
+async function importLabels(userID, labels){
+    let byName = new Map((await listLabels(userID)).map(label=>[label.name.toLowerCase(), label.id]));
+    let labelIDs = new Map();
+    let created = 0;
+    for (let label of labels) {
+        let name = label.name.trim().toLowerCase();
+        if (!byName.has(name)) {
+            byName.set(name, (await createLabel(userID, label)).id);
+            created++;
+        }
+        labelIDs.set(label.id, byName.get(name));
+    }
+    return {labelIDs, created};
+}
+
+/**
+ * Deletes an account with its groups, tasks and the comments on them, and signs it out everywhere.
+ * Comments the user left on other people's tasks are kept for the conversation's sake, but no longer name them.
+ */
+export async function deleteAccount(userID){
+    let db = await connectDB();
+    let tasks = await db.collection(`tasks`).find({owner:userID}).toArray();
+    await db.collection(`comments`).deleteMany({task:{$in:tasks.map(task=>task.id)}});
+    await db.collection(`comments`).updateMany({owner:userID}, {$set:{owner:null}});
+    await db.collection(`tasks`).deleteMany({owner:userID});
+    await db.collection(`groups`).deleteMany({owner:userID});
+    await deleteAllLabels(userID);
+    await revokeAllSessions(userID);
+    await revokeAllAccessTokens(userID);
+    await db.collection(`passwordResets`).deleteMany({userID});
+    await db.collection(`users`).deleteOne({id:userID});
+}
@@ -0,0 +1,160 @@
+import { connectDB } from './connect-db'
+import { requireAuthentication, requireLoginSession } from './authenticate';
+import { roleOf } from './authorize';
+import { recordEvent, auditEvents } from './audit';
+import { createAccessToken, listAccessTokens, revokeAccessToken, accessTokenDetails } from './access-tokens';
+import { exportAccount, importAccount, deleteAccount } from './account-data';
+import { hashPassword, verifyPassword } from './passwords';
+import { revokeAllSessions } from './sessions';
+import { isTwoFactorEnabled, beginEnrolment, confirmEnrolment, disableTwoFactor } from './two-factor';
+import { validateBody, enforcePolicy } from './validate';
+import { passwordRules } from '../shared/account-policy';
+import * as schemas from './schemas';
+import { asyncHandler, ConflictError, ForbiddenError, NotFoundError, ValidationError } from './errors';
+
+/* Exporting and deleting both ask for the password again, so an unattended session cannot be used for either. */
+const confirmPassword = async (req, password) => {
+    if (!await verifyPassword(password, req.user.passwordHash)) {
+        throw new ForbiddenError(`Password is incorrect.`);
+    }
+};
+
+/* Ids must be unique within each list of an archive, or its comments could not be matched to their tasks. */
+const duplicateIDErrors = archive => [`groups`, `tasks`, `comments`]
+    .filter(list=>new Set(archive[list].map(item=>item.id)).size !== archive[list].length)
+    .map(list=>({field:`archive.${list}`, message:`must not repeat ids`}));
+
+/**
+ * The account metadata shown on the settings page. Never includes the password hash.
+ */
+const accountDetails = user=>({
+    id:user.id,
+    name:user.name,
+    displayName:user.displayName || user.name,
+    email:user.email || null,
+    role:roleOf(user),
+    createdAt:user.createdAt || null,
+    passwordChangedAt:user.passwordChangedAt || null,
+    twoFactorEnabled:isTwoFactorEnabled(user)
+});
+
+export const accountRoute = app => {
+    app.get('/account',requireAuthentication,asyncHandler(async (req,res)=>{
+        res.send({account:accountDetails(req.user)});
+    }));
+
+    /* Changing the password ends every other session, so a stolen session cannot outlive the old password. */
+    app.post('/account/password',requireAuthentication,requireLoginSession,validateBody(schemas.changePassword),enforcePolicy({newPassword:passwordRules}),asyncHandler(async (req,res)=>{
+        let { currentPassword, newPassword } = req.body;
+
+        let passwordCorrect = await verifyPassword(currentPassword, req.user.passwordHash);
+        if (!passwordCorrect) {
+            throw new ForbiddenError(`Current password is incorrect.`);
+        }
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:req.user.id},{$set:{
+            passwordHash:await hashPassword(newPassword),
+            passwordChangedAt:new Date()
+        }});
+        await revokeAllSessions(req.user.id, req.session.id);
+        await recordEvent(req, auditEvents.PASSWORD_CHANGED);
+
+        res.status(200).send();
+    }));
+
+    app.post('/account/display-name',requireAuthentication,validateBody(schemas.changeDisplayName),asyncHandler(async (req,res)=>{
+        let { displayName } = req.body;
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:req.user.id},{$set:{displayName}});
+
+        res.status(200).send({account:accountDetails({...req.user, displayName})});
+    }));
+
+    app.post('/account/two-factor/enrol',requireAuthentication,requireLoginSession,validateBody(schemas.empty),asyncHandler(async (req,res)=>{
+        if (isTwoFactorEnabled(req.user)) {
+            throw new ConflictError(`Two-factor authentication is already enabled.`);
+        }
+        let { secret, otpauthURI } = await beginEnrolment(req.user);
+        res.send({secret, otpauthURI});
+    }));
+
+    app.post('/account/two-factor/confirm',requireAuthentication,requireLoginSession,validateBody(schemas.confirmTwoFactor),asyncHandler(async (req,res)=>{
+        let recoveryCodes = await confirmEnrolment(req.user, req.body.code);
+        if (!recoveryCodes) {
+            throw new ValidationError(`That code did not match. Check your authenticator app and try again.`);
+        }
+        await recordEvent(req, auditEvents.TWO_FACTOR_ENABLED);
+        res.send({recoveryCodes});
+    }));
+
+    app.post('/account/two-factor/disable',requireAuthentication,requireLoginSession,validateBody(schemas.disableTwoFactor),asyncHandler(async (req,res)=>{
+        let passwordCorrect = await verifyPassword(req.body.password, req.user.passwordHash);
+        if (!passwordCorrect) {
+            throw new ForbiddenError(`Password is incorrect.`);
+        }
+        await disableTwoFactor(req.user);
+        await recordEvent(req, auditEvents.TWO_FACTOR_DISABLED);
+        res.status(200).send();
+    }));
+
+    /* Tokens can only be managed from a login session, so a leaked token cannot be used to mint more. */
+    app.get('/account/tokens',requireAuthentication,requireLoginSession,asyncHandler(async (req,res)=>{
+        let tokens = await listAccessTokens(req.user.id);
+        res.send({tokens:tokens.map(accessTokenDetails)});
+    }));
+
+    /* The token itself is only ever returned here. */
+    app.post('/account/tokens',requireAuthentication,requireLoginSession,validateBody(schemas.createAccessToken),asyncHandler(async (req,res)=>{
+        let { token, accessToken } = await createAccessToken(req.user.id, req.body);
+        await recordEvent(req, auditEvents.TOKEN_CREATED, {details:{tokenID:accessToken.id, name:accessToken.name, scope:accessToken.scope}});
+        res.send({token, accessToken:accessTokenDetails(accessToken)});
+    }));
+
+    app.post('/account/tokens/revoke',requireAuthentication,requireLoginSession,validateBody(schemas.revokeAccessToken),asyncHandler(async (req,res)=>{
+        let revoked = await revokeAccessToken(req.user.id, req.body.id);
+        if (!revoked) {
+            throw new NotFoundError(`Token not found`);
+        }
+        await recordEvent(req, auditEvents.TOKEN_REVOKED, {details:{tokenID:req.body.id}});
+        res.status(200).send();
+    }));
+
+    /* Downloads everything tied to the account as a JSON archive that `/account/import` accepts. */
+    app.post('/account/export',requireAuthentication,requireLoginSession,validateBody(schemas.exportAccount),asyncHandler(async (req,res)=>{
+        await confirmPassword(req, req.body.password);
+        let archive = await exportAccount(req.user);
+        await recordEvent(req, auditEvents.ACCOUNT_EXPORTED);
+        res.attachment(`organizer-export-${archive.exportedAt.toISOString().slice(0, 10)}.json`);
+        res.send(archive);
+    }));
+
+    app.post('/account/import',requireAuthentication,validateBody(schemas.importAccount),asyncHandler(async (req,res)=>{
+        let errors = duplicateIDErrors(req.body.archive);
+        if (errors.length) {
+            throw new ValidationError(`Invalid archive`, errors);
+        }
+        let imported = await importAccount(req.user.id, req.body.archive);
+        await recordEvent(req, auditEvents.ACCOUNT_IMPORTED, {details:imported});
+        res.send({imported});
+    }));
+
+    app.post('/account/delete',requireAuthentication,requireLoginSession,validateBody(schemas.deleteAccount),asyncHandler(async (req,res)=>{
+        await confirmPassword(req, req.body.password);
+        if (req.body.confirmUsername !== req.user.name) {
+            throw new ValidationError(`Type your username to confirm.`, [{field:`confirmUsername`, message:`does not match your username`}]);
+        }
+        /* like the admin routes, this never leaves the application without an admin */
+        if (roleOf(req.user) === `admin`) {
+            let db = await connectDB();
+            let otherAdmins = await db.collection(`users`).countDocuments({role:`admin`, id:{$ne:req.user.id}});
+            if (!otherAdmins) {
+                throw new ConflictError(`The only admin cannot delete their account.`);
+            }
+        }
+        await recordEvent(req, auditEvents.ACCOUNT_DELETED, {details:{username:req.user.name}});
+        await deleteAccount(req.user.id);
+        res.status(200).send();
+    }));
+};
@@ -0,0 +1,216 @@
+import { connectDB } from './connect-db'
+import { requireAuthentication, requireLoginSession } from './authenticate';
+import { requireAdmin, roleOf } from './authorize';
+import { revokeAllSessions } from './sessions';
+import { revokeAllAccessTokens } from './access-tokens';
+import { createResetToken, resetLink, resetLinkLifetimeText } from './password-reset';
+import { isTwoFactorEnabled } from './two-factor';
+import { sendMail } from './mail';
+import { recordEvent, queryEvents, auditEvents } from './audit';
+import { deleteAccount } from './account-data';
+import { createInvite, listInvites, revokeInvite, inviteDetails } from './invites';
+import { validateBody } from './validate';
+import * as schemas from './schemas';
+import { asyncHandler, ForbiddenError, NotFoundError, ValidationError } from './errors';
+
+/**
+ * The `/admin` API for managing user accounts. Every route requires the admin role and a login session,
+ * so a personal access token cannot be used for admin actions even if it belongs to an admin.
+ */
+const adminOnly = [requireAuthentication, requireLoginSession, requireAdmin];
+
+/* The most entries a single page of the user list or audit log may hold. */
+const maxPageSize = 100;
+
+const adminUserDetails = user=>({
+    id:user.id,
+    name:user.name,
+    displayName:user.displayName || user.name,
+    email:user.email || null,
+    role:roleOf(user),
+    disabled:Boolean(user.disabled),
+    twoFactorEnabled:isTwoFactorEnabled(user),
+    createdAt:user.createdAt || null
+});
+
+/* Reads an optional ISO date from the query string. */
+const queryDate = (req, name) => {
+    let value = req.query[name];
+    if (value === undefined) {
+        return null;
+    }
+    let date = new Date(value);
+    if (typeof value !== `string` || isNaN(date.getTime())) {
+        throw new ValidationError(`Invalid query`, [{field:name, message:`is not a valid date`}]);
+    }
+    return date;
+};
+
+/* Reads a query parameter that may be given more than once, or as a comma-separated list. */
+const queryList = (req, name) => [].concat(req.query[name] || [])
+    .filter(value=>typeof value === `string`)
+    .reduce((list, value)=>[...list, ...value.split(`,`)], [])
+    .map(value=>value.trim())
+    .filter(Boolean);
+
+const pageOf = req => ({
+    limit:Math.min(Math.max(parseInt(req.query.limit) || maxPageSize, 1), maxPageSize),
+    offset:Math.max(parseInt(req.query.offset) || 0, 0)
+});
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, `\\$&`);
+
+const findUser = async id => {
+    let db = await connectDB();
+    let user = await db.collection(`users`).findOne({id});
+    if (!user) {
+        throw new NotFoundError(`User not found`);
+    }
+    return user;
+};
+
+/* Admins cannot lock themselves out, which also guarantees at least one admin is left. */
+const checkNotSelf = (req, action) => {
+    if (req.body.id === req.user.id) {
+        throw new ForbiddenError(`Admins cannot ${action} their own account`);
+    }
+};
+
+/* Ends every session and token, so a disabled or reset account is signed out everywhere at once. */
+const signOutEverywhere = async userID => {
+    await revokeAllSessions(userID);
+    await revokeAllAccessTokens(userID);
+};
+
+export const adminRoute = app => {
+    /* `search` matches the start of the username or email, ignoring case. */
+    app.get('/admin/users',adminOnly,asyncHandler(async (req,res)=>{
+        let search = typeof req.query.search === `string` ? req.query.search.trim() : ``;
+        let { limit, offset } = pageOf(req);
+
+        let filter = {};
+        if (search) {
+            let pattern = new RegExp(`^${escapeRegExp(search)}`, `i`);
+            filter = {$or:[{name:pattern}, {email:pattern}]};
+        }
+
+        let db = await connectDB();
+        let collection = db.collection(`users`);
+        let users = await collection.find(filter).sort({name:1}).skip(offset).limit(limit).toArray();
+        let total = await collection.countDocuments(filter);
+
+        res.send({users:users.map(adminUserDetails), total});
+    }));
+
+    app.get('/admin/users/:id',adminOnly,asyncHandler(async (req,res)=>{
+        let user = await findUser(req.params.id);
+        res.send({user:adminUserDetails(user)});
+    }));
+
+    app.post('/admin/users/role',adminOnly,validateBody(schemas.setUserRole),asyncHandler(async (req,res)=>{
+        checkNotSelf(req, `change the role of`);
+        let user = await findUser(req.body.id);
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:user.id},{$set:{role:req.body.role}});
+        await recordEvent(req, auditEvents.ADMIN_ROLE_CHANGED, {userID:user.id, details:{from:roleOf(user), to:req.body.role}});
+
+        res.send({user:adminUserDetails({...user, role:req.body.role})});
+    }));
+
+    app.post('/admin/users/disable',adminOnly,validateBody(schemas.adminUserAction),asyncHandler(async (req,res)=>{
+        checkNotSelf(req, `disable`);
+        let user = await findUser(req.body.id);
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:user.id},{$set:{disabled:true, disabledAt:new Date()}});
+        await signOutEverywhere(user.id);
+        await recordEvent(req, auditEvents.ADMIN_USER_DISABLED, {userID:user.id});
+
+        res.send({user:adminUserDetails({...user, disabled:true})});
+    }));
+
+    app.post('/admin/users/enable',adminOnly,validateBody(schemas.adminUserAction),asyncHandler(async (req,res)=>{
+        let user = await findUser(req.body.id);
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:user.id},{$unset:{disabled:``, disabledAt:``}});
+        await recordEvent(req, auditEvents.ADMIN_USER_ENABLED, {userID:user.id});
+
+        res.send({user:adminUserDetails({...user, disabled:false})});
+    }));
+
+    app.post('/admin/users/delete',adminOnly,validateBody(schemas.adminUserAction),asyncHandler(async (req,res)=>{
+        checkNotSelf(req, `delete`);
+        let user = await findUser(req.body.id);
+
+        await deleteAccount(user.id);
+        await recordEvent(req, auditEvents.ADMIN_USER_DELETED, {userID:user.id, details:{username:user.name}});
+
+        res.status(200).send();
+    }));
+
+    /**
+     * Clears the user's password and signs them out everywhere; they must choose a new one through a reset link.
+     * The link is emailed to the user when they have an address, and otherwise returned so the admin can pass it on.
+     */
+    app.post('/admin/users/reset-password',adminOnly,validateBody(schemas.adminUserAction),asyncHandler(async (req,res)=>{
+        let user = await findUser(req.body.id);
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:user.id},{$set:{passwordHash:null, passwordChangedAt:new Date()}});
+        await signOutEverywhere(user.id);
+
+        let token = await createResetToken(user.id);
+        await recordEvent(req, auditEvents.ADMIN_PASSWORD_RESET, {userID:user.id, details:{emailed:Boolean(user.email)}});
+        if (!user.email) {
+            return res.send({emailed:false, resetLink:resetLink(token)});
+        }
+
+        await sendMail({
+            to:user.email,
+            subject:`Your password has been reset`,
+            text:`Hi ${user.name},\n\n` +
+                `An administrator has reset your password, and you have been logged out everywhere.\n` +
+                `Follow this link to choose a new password:\n${resetLink(token)}\n\n` +
+                `The link can be used once and expires in ${resetLinkLifetimeText()}.`
+        });
+        res.send({emailed:true});
+    }));
+
+    /**
+     * Queries the audit log. Filters are `userID`, `type` (repeated or comma-separated), and `from` and `to` as ISO dates.
+     */
+    app.get('/admin/audit',adminOnly,asyncHandler(async (req,res)=>{
+        let userID = typeof req.query.userID === `string` ? req.query.userID : null;
+        let { events, total } = await queryEvents({
+            userID,
+            types:queryList(req, `type`),
+            from:queryDate(req, `from`),
+            to:queryDate(req, `to`),
+            ...pageOf(req)
+        });
+        res.send({events, total});
+    }));
+
+    /* Invite codes for REGISTRATION_MODE=invite. They can be issued while signup is open, ready for the switch. */
+    app.get('/admin/invites',adminOnly,asyncHandler(async (req,res)=>{
+        let invites = await listInvites();
+        res.send({invites:invites.map(inviteDetails)});
+    }));
+
+    /* The code itself is only ever returned here. */
+    app.post('/admin/invites',adminOnly,validateBody(schemas.createInvite),asyncHandler(async (req,res)=>{
+        let { code, invite } = await createInvite(req.user.id, req.body);
+        await recordEvent(req, auditEvents.ADMIN_INVITE_CREATED, {details:{inviteID:invite.id, maxUses:invite.maxUses}});
+        res.send({code, invite:inviteDetails(invite)});
+    }));
+
+    app.post('/admin/invites/revoke',adminOnly,validateBody(schemas.revokeInvite),asyncHandler(async (req,res)=>{
+        if (!await revokeInvite(req.body.id)) {
+            throw new NotFoundError(`Invite not found`);
+        }
+        await recordEvent(req, auditEvents.ADMIN_INVITE_REVOKED, {details:{inviteID:req.body.id}});
+        res.status(200).send();
+    }));
+};
@@ -0,0 +1,91 @@
+import uuid from 'uuid';
+import { indexedCollection } from './collections'
+
+/**
+ * The security audit log. Events are only ever inserted into the `audit` collection, never changed or removed, and
+ * outlive the accounts they describe.
+ *
+ * Each event records its `type`, the user it concerns (`userID`), the user who caused it (`actorID`, which differs
+ * from `userID` for admin actions and is null for anonymous requests), where the request came from and any
+ * type-specific `details`.
+ */
+export const auditEvents = {
+    LOGIN:`login`,
+    LOGIN_FAILED:`login.failed`,
+    LOGOUT:`logout`,
+    SESSION_REVOKED:`session.revoked`,
+    SIGNUP:`signup`,
+    PASSWORD_CHANGED:`password.changed`,
+    PASSWORD_RESET:`password.reset`,
+    TWO_FACTOR_ENABLED:`two_factor.enabled`,
+    TWO_FACTOR_DISABLED:`two_factor.disabled`,
+    TOKEN_CREATED:`token.created`,
+    TOKEN_REVOKED:`token.revoked`,
+    ACCOUNT_EXPORTED:`account.exported`,
+    ACCOUNT_IMPORTED:`account.imported`,
+    ACCOUNT_DELETED:`account.deleted`,
+    ADMIN_ROLE_CHANGED:`admin.role_changed`,
+    ADMIN_USER_DISABLED:`admin.user_disabled`,
+    ADMIN_USER_ENABLED:`admin.user_enabled`,
+    ADMIN_USER_DELETED:`admin.user_deleted`,
+    ADMIN_PASSWORD_RESET:`admin.password_reset`,
+    ADMIN_INVITE_CREATED:`admin.invite_created`,
+    ADMIN_INVITE_REVOKED:`admin.invite_revoked`
+};
+
+const auditCollection = ()=>indexedCollection(`audit`, [
+    [{createdAt:-1}],
+    [{userID:1, createdAt:-1}],
+    [{actorID:1, createdAt:-1}],
+    [{type:1, createdAt:-1}]
+]);
+
+/**
+ * Records an event for a request. The actor is the authenticated user, if there is one.
+ */
+export async function recordEvent(req, type, {userID = null, details = {}} = {}){
+    let collection = await auditCollection();
+    let actorID = req.user ? req.user.id : null;
+    await collection.insertOne({
+        id:uuid(),
+        type,
+        userID:userID || actorID,
+        actorID,
+        ip:req.ip || null,
+        device:req.headers[`user-agent`] || null,
+        details,
+        createdAt:new Date()
+    });
+}
+
+/**
+ * Finds events, newest first. `userID` matches events about or caused by that user, `types` is a list of event types
+ * and `from` and `to` bound `createdAt`. Every filter is optional.
+ */
+export async function queryEvents({userID, types, from, to, limit = 100, offset = 0} = {}){
+    let collection = await auditCollection();
+    let filter = {};
+    if (userID) {
+        filter.$or = [{userID}, {actorID:userID}];
+    }
+    if (types && types.length) {
+        filter.type = {$in:types};
+    }
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) {
+            filter.createdAt.$gte = from;
+        }
+        if (to) {
+            filter.createdAt.$lte = to;
+        }
+    }
+
+    let events = await collection.find(filter, {projection:{_id:0}})
+        .sort({createdAt:-1, _id:-1})
+        .skip(offset)
+        .limit(limit)
+        .toArray();
+    let total = await collection.countDocuments(filter);
+    return {events, total};
+}
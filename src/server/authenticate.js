@@ -1,58 +1,232 @@
 import uuid from 'uuid';
-import md5 from 'md5';
 import { connectDB } from './connect-db'
 import { assembleUserState } from './utility';
+import { createSession, findSession, listSessions, revokeSession } from './sessions';
+import { hashPassword, verifyPassword, needsRehash } from './passwords';
+import { getLockout, recordLoginFailure, resetLoginFailures } from './login-throttle';
+import { isTwoFactorEnabled, verifySecondFactor, createChallenge, findChallenge, consumeChallenge } from './two-factor';
+import { validateBody, enforcePolicy } from './validate';
+import { usernameRules, passwordRules } from '../shared/account-policy';
+import * as schemas from './schemas';
+import { isAccessToken, findAccessToken } from './access-tokens';
+import { createSignupChallenge, redeemSignupChallenge, recordSignup } from './proof-of-work';
+import { recordEvent, auditEvents } from './audit';
+import { inviteOnly, claimInvite, recordRedemption } from './invites';
+import { asyncHandler, AuthenticationError, ConflictError, ForbiddenError, NotFoundError, TooManyRequestsError, ValidationError } from './errors';
 
-const authenticationTokens = [];
+/* Methods a `read` personal access token may use. */
+const readMethods = [`GET`, `HEAD`];
 
+/**
+ * Express middleware that resolves an `Authorization: Bearer <token>` header to a user. The token is either a login
+ * session token or a personal access token.
+ * The user document is attached to the request as `req.user`, and the session or access token as `req.session` or
+ * `req.accessToken`; the other one is null. Requests without a known token fail with an `AuthenticationError`.
+ */
+export const requireAuthentication = asyncHandler(async (req,res,next)=>{
+    let [scheme, token] = (req.headers.authorization || ``).split(` `);
+    if (scheme !== `Bearer` || !token) {
+        throw new AuthenticationError(`Authentication required`);
+    }
+
+    let session = null;
+    let accessToken = null;
+    if (isAccessToken(token)) {
+        accessToken = await findAccessToken(token);
+    } else {
+        session = await findSession(token);
+    }
+    if (!session && !accessToken) {
+        throw new AuthenticationError(`Invalid authentication token`);
+    }
+
+    let db = await connectDB();
+    let user = await db.collection(`users`).findOne({id:(session || accessToken).userID});
+    if (!user || user.disabled) {
+        throw new AuthenticationError(`Invalid authentication token`);
+    }
+
+    if (accessToken && accessToken.scope === `read` && !readMethods.includes(req.method)) {
+        throw new ForbiddenError(`This token only has read access`);
+    }
+
+    req.user = user;
+    req.session = session;
+    req.accessToken = accessToken;
+    next();
+});
+
+/**
+ * Express middleware for routes that manage credentials or sessions, which personal access tokens may not use.
+ * Runs after `requireAuthentication`.
+ */
+export const requireLoginSession = (req,res,next)=>{
+    if (!req.session) {
+        return next(new ForbiddenError(`This action requires logging in with a password`));
+    }
+    next();
+};
+
+/**
+ * The session payload returned to the client after a login, signup or session restore.
+ */
+const sessionPayload = (user, session) => ({
+    id:user.id,
+    name:user.name,
+    token:session.token,
+    expiresAt:session.expiresAt
+});
+
+const describeClient = req => ({
+    device:req.headers[`user-agent`] || `Unknown device`,
+    ip:req.ip
+});
+
+/* Sets the Retry-After header and returns the error to throw for a locked-out login. */
+const lockoutError = (res, lockout) => {
+    let retryAfter = Math.ceil(lockout / 1000);
+    res.set(`Retry-After`, String(retryAfter));
+    return new TooManyRequestsError(`Too many failed login attempts.`, {retryAfter});
+};
+
+/* Every refused login is audited with the reason; only wrong credentials count towards a lockout. */
+const loginFailed = async (req, username, user, reason) => {
+    if (reason !== `locked_out` && reason !== `disabled`) {
+        await recordLoginFailure(username, req.ip);
+    }
+    await recordEvent(req, auditEvents.LOGIN_FAILED, {userID:user ? user.id : null, details:{username, reason}});
+};
+
+/**
+ * Finishes a login once every factor has been verified: failure counters are cleared and a session is issued.
+ */
+const completeLogin = async (req, res, user) => {
+    await resetLoginFailures(user.name, req.ip);
+
+    let session = await createSession(user.id, describeClient(req));
+    await recordEvent(req, auditEvents.LOGIN, {userID:user.id, details:{secondFactor:isTwoFactorEnabled(user)}});
+
+    let state = await assembleUserState(user);
+
+    res.send({token:session.token,session:sessionPayload(user, session),state});
+};
 
 export const authenticationRoute = app => {
-    app.post('/authenticate',async (req,res)=>{
+    /* Unknown users and wrong passwords get the same answer, so the response does not reveal which account names exist. */
+    app.post('/authenticate',validateBody(schemas.authenticate),asyncHandler(async (req,res)=>{
         let { username, password } = req.body;
+
+        let lockout = await getLockout(username, req.ip);
+        if (lockout) {
+            await loginFailed(req, username, null, `locked_out`);
+            throw lockoutError(res, lockout);
+        }
+
         let db = await connectDB();
         let collection = db.collection(`users`);
 
         let user = await collection.findOne({name:username});
         if (!user) {
-            return res.status(500).send(`User not found`);
+            await loginFailed(req, username, null, `unknown_user`);
+            throw new AuthenticationError(`Username or password is incorrect`);
         }
 
-        let hash = md5(password);
-        let passwordCorrect = hash === user.passwordHash;
+        let passwordCorrect = await verifyPassword(password, user.passwordHash);
         if (!passwordCorrect) {
-            return res.status(500).send('Password incorrect');
+            await loginFailed(req, username, user, `wrong_password`);
+            throw new AuthenticationError(`Username or password is incorrect`);
         }
 
-        let token = uuid();
+        if (needsRehash(user.passwordHash)) {
+            await collection.updateOne({id:user.id},{$set:{passwordHash:await hashPassword(password)}});
+        }
 
-        authenticationTokens.push({
-            token,
-            userID: user.id
-        });
+        if (user.disabled) {
+            await loginFailed(req, username, user, `disabled`);
+            throw new ForbiddenError(`This account has been disabled.`);
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            let challenge = await createChallenge(user.id);
+            return res.send({secondFactorRequired:true, challenge});
+        }
+
+        await completeLogin(req, res, user);
+    }));
+
+    app.post('/authenticate/second-factor',validateBody(schemas.secondFactor),asyncHandler(async (req,res)=>{
+        let { challenge, code } = req.body;
 
-        let state = await assembleUserState(user);
+        let userID = await findChallenge(challenge);
+        if (!userID) {
+            throw new ValidationError(`This login has expired. Please log in again.`);
+        }
+
+        let db = await connectDB();
+        let user = await db.collection(`users`).findOne({id:userID});
+        if (!user || user.disabled) {
+            throw new ForbiddenError(`This account has been disabled.`);
+        }
+
+        let lockout = await getLockout(user.name, req.ip);
+        if (lockout) {
+            await loginFailed(req, user.name, user, `locked_out`);
+            throw lockoutError(res, lockout);
+        }
 
-        res.send({token,state});
+        if (!await verifySecondFactor(user, code)) {
+            await loginFailed(req, user.name, user, `wrong_code`);
+            throw new AuthenticationError(`Code incorrect`);
+        }
+
+        await consumeChallenge(challenge);
+        await completeLogin(req, res, user);
+    }));
+
+    /* Tells the Signup form whether to ask for an invite code. */
+    app.get('/registration',(req,res)=>{
+        res.send({inviteRequired:inviteOnly()});
     });
 
-    app.post('/user/create',async(req,res)=>{
-        let {username,password} = req.body;
-        console.log(username,password);
+    /* A signup must first solve one of these; see proof-of-work.js. */
+    app.post('/user/challenge',validateBody(schemas.empty),asyncHandler(async (req,res)=>{
+        let { challenge, difficulty, expiresAt } = await createSignupChallenge(req.ip);
+        res.send({challenge, difficulty, expiresAt});
+    }));
+
+    app.post('/user/create',validateBody(schemas.createUser),enforcePolicy({username:usernameRules, password:passwordRules}),asyncHandler(async(req,res)=>{
+        let {username,password,email,proof,inviteCode} = req.body;
+        if (!await redeemSignupChallenge(proof.challenge, proof.nonce)) {
+            throw new ValidationError(`The signup challenge was not solved or has expired. Please try again.`);
+        }
+
         let db = await connectDB();
         let collection = db.collection(`users`);
         let user = await collection.findOne({name:username});
         if (user) {
-            res.status(500).send({message:"A user with that account name already exists."});
-            return;
+            throw new ConflictError(`A user with that account name already exists.`);
         };
 
+        let inviteID = null;
+        if (inviteOnly()) {
+            inviteID = inviteCode ? await claimInvite(inviteCode) : null;
+            if (!inviteID) {
+                throw new ValidationError(`A valid invite code is required to sign up.`, [
+                    {field:`inviteCode`, message:`is invalid, expired or used up`}
+                ]);
+            }
+        }
+
         let userID = uuid();
         let groupID = uuid();
 
         await collection.insertOne({
             name:username,
             id:userID,
-            passwordHash:md5(password)
+            email:email || null,
+            role:`user`,
+            passwordHash:await hashPassword(password),
+            createdAt:new Date()
         });
 
         await db.collection(`groups`).insertOne({
@@ -61,8 +235,49 @@ export const authenticationRoute = app => {
             name: `To Do`
         });
 
+        await recordSignup(req.ip);
+        if (inviteID) {
+            await recordRedemption(inviteID, {userID, username, ip:req.ip});
+        }
+        await recordEvent(req, auditEvents.SIGNUP, {userID, details:{username, inviteID}});
+
+        let session = await createSession(userID, describeClient(req));
+
         let state = await assembleUserState({id:userID,name:username});
 
-        res.status(200).send({userID,state});
-    });
+        res.status(200).send({userID,token:session.token,session:sessionPayload({id:userID,name:username}, session),state});
+    }));
+
+    app.post('/logout',requireAuthentication,requireLoginSession,validateBody(schemas.empty),asyncHandler(async (req,res)=>{
+        await revokeSession(req.user.id, req.session.id);
+        await recordEvent(req, auditEvents.LOGOUT, {details:{sessionID:req.session.id}});
+        res.status(200).send();
+    }));
+
+    /* Also available to personal access tokens, which have no session to describe. */
+    app.get('/session/state',requireAuthentication,asyncHandler(async (req,res)=>{
+        let state = await assembleUserState(req.user);
+        res.send({session:req.session ? sessionPayload(req.user, req.session) : null,state});
+    }));
+
+    app.get('/session/list',requireAuthentication,requireLoginSession,asyncHandler(async (req,res)=>{
+        let sessions = await listSessions(req.user.id);
+        res.send({sessions:sessions.map(({id,device,ip,createdAt,lastSeenAt})=>({
+            id,
+            device,
+            ip,
+            createdAt,
+            lastSeenAt,
+            current:id === req.session.id
+        }))});
+    }));
+
+    app.post('/session/revoke',requireAuthentication,requireLoginSession,validateBody(schemas.revokeSession),asyncHandler(async (req,res)=>{
+        let revoked = await revokeSession(req.user.id, req.body.id);
+        if (!revoked) {
+            throw new NotFoundError(`Session not found`);
+        }
+        await recordEvent(req, auditEvents.SESSION_REVOKED, {details:{sessionID:req.body.id}});
+        res.status(200).send();
+    }));
 };
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { connectDB } from './connect-db'
+import { asyncHandler, ConflictError, ForbiddenError, NotFoundError } from './errors';
+
+/**
+ * Ownership checks for writes to tasks and comments. They run after `requireAuthentication`, so `req.user` is set.
+ *
+ * A user may write to a group they own or have been granted access to through the group's `members` list,
+ * and to a task they own or whose group they may write to. Unknown records fail with a `NotFoundError`,
+ * records belonging to someone else with a `ForbiddenError`.
+ */
+const hasAccess = (user, {owner, members = []}) => owner === user.id || members.includes(user.id);
+
+/* Every user has one role. Users created before roles existed have none, and count as `user`. */
+export const roles = [`user`, `admin`];
+
+export const roleOf = user => user.role || `user`;
+
+/**
+ * Express middleware for admin-only routes. Runs after `requireAuthentication`.
+ */
+export const requireAdmin = (req,res,next)=>{
+    if (roleOf(req.user) !== `admin`) {
+        return next(new ForbiddenError(`This action requires the admin role`));
+    }
+    next();
+};
+
+const findGroup = async id => {
+    let db = await connectDB();
+    return await db.collection(`groups`).findOne({id});
+};
+
+const findTask = async id => {
+    let db = await connectDB();
+    return await db.collection(`tasks`).findOne({id});
+};
+
+export async function canWriteTask(user, task){
+    if (hasAccess(user, task)) {
+        return true;
+    }
+    let group = task.group ? await findGroup(task.group) : null;
+    return Boolean(group && hasAccess(user, group));
+}
+
+/* Throws unless the user may put tasks into the group. */
+const checkGroupAccess = async (user, groupID) => {
+    let group = await findGroup(groupID);
+    if (!group) {
+        throw new NotFoundError(`Group not found`);
+    }
+    if (!hasAccess(user, group)) {
+        throw new ForbiddenError(`You do not have access to that group`);
+    }
+};
+
+export const authorizeTaskCreation = asyncHandler(async (req,res,next)=>{
+    let { task = {} } = req.body;
+    if (task.owner !== req.user.id) {
+        throw new ForbiddenError(`Tasks can only be created for yourself`);
+    }
+    if (await findTask(task.id)) {
+        throw new ConflictError(`A task with that id already exists`);
+    }
+    if (task.group !== undefined) {
+        await checkGroupAccess(req.user, task.group);
+    }
+    next();
+});
+
+export const authorizeTaskUpdate = asyncHandler(async (req,res,next)=>{
+    let { task = {} } = req.body;
+    let existing = await findTask(task.id);
+    if (!existing || existing.trashedAt) {
+        throw new NotFoundError(`Task not found`);
+    }
+    if (!await canWriteTask(req.user, existing)) {
+        throw new ForbiddenError(`You do not have access to that task`);
+    }
+    if (task.group && task.group !== existing.group) {
+        await checkGroupAccess(req.user, task.group);
+    }
+    req.task = existing;
+    next();
+});
+
+export const authorizeComment = asyncHandler(async (req,res,next)=>{
+    let { comment = {} } = req.body;
+    if (comment.owner !== req.user.id) {
+        throw new ForbiddenError(`Comments can only be posted as yourself`);
+    }
+    let task = await findTask(comment.task);
+    if (!task || task.trashedAt) {
+        throw new NotFoundError(`Task not found`);
+    }
+    if (!await canWriteTask(req.user, task)) {
+        throw new ForbiddenError(`You do not have access to that task`);
+    }
+    req.task = task;
+    next();
+});
+
+export const authorizeGroupUpdate = asyncHandler(async (req,res,next)=>{
+    await checkGroupAccess(req.user, req.body.id);
+    next();
+});
+
+export const authorizeTaskDeletion = asyncHandler(async (req,res,next)=>{
+    let task = await findTask(req.body.id);
+    if (!task || task.trashedAt) {
+        throw new NotFoundError(`Task not found`);
+    }
+    if (task.owner !== req.user.id) {
+        throw new ForbiddenError(`Only the task's owner can delete it`);
+    }
+    req.task = task;
+    next();
+});
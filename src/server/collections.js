@@ -0,0 +1,23 @@
+import { connectDB } from './connect-db'
+
+const indexesEnsured = {};
+
+/**
+ * Returns a collection after making sure its indexes exist. Indexes are created once per process;
+ * a failed attempt is forgotten so the next call retries it.
+ * `indexes` is a list of `[keys, options]` pairs as accepted by `createIndex`.
+ */
+export async function indexedCollection(name, indexes){
+    let db = await connectDB();
+    let collection = db.collection(name);
+    if (!indexesEnsured[name]) {
+        indexesEnsured[name] = Promise.all(
+            indexes.map(([keys, options = {}])=>collection.createIndex(keys, options))
+        ).catch(e=>{
+            delete indexesEnsured[name];
+            throw e;
+        });
+    }
+    await indexesEnsured[name];
+    return collection;
+}
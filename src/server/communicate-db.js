@@ -1,13 +1,26 @@
 import { connectDB } from './connect-db'
+import { storedDates } from './task-dates';
+import { excerpt } from '../shared/markdown';
 
 export const addNewTask = async task=>{
     let db = await connectDB();
     let collection = db.collection(`tasks`);
-    await collection.insertOne(task);
+    await collection.insertOne({
+        priority:`none`,
+        labels:[],
+        description:``,
+        dueAt:null,
+        startAt:null,
+        timeZone:null,
+        ...task,
+        descriptionExcerpt:excerpt(task.description),
+        ...storedDates(task),
+        createdAt:new Date()
+    });
 };
 
 export const updateTask = async task=>{
-    let {id,group,isComplete,name} = task;
+    let {id,group,isComplete,name,description,priority,labels} = task;
     let db = await connectDB();
     let collection = db.collection(`tasks`);
     if (group) {
@@ -16,7 +29,35 @@ export const updateTask = async task=>{
     if (name) {
         await collection.updateOne({id},{$set:{name}});
     }
+    if (description !== undefined) {
+        await collection.updateOne({id},{$set:{description, descriptionExcerpt:excerpt(description)}});
+    }
     if (isComplete !== undefined) {
         await collection.updateOne({id},{$set:{isComplete}});
     }
-};
\ No newline at end of file
+    if (priority) {
+        await collection.updateOne({id},{$set:{priority}});
+    }
+    if (labels) {
+        await collection.updateOne({id},{$set:{labels:[...new Set(labels)]}});
+    }
+    let dates = storedDates(task);
+    if (Object.keys(dates).length) {
+        await collection.updateOne({id},{$set:dates});
+    }
+};
+
+export const setGroupSortMode = async (id, sortMode)=>{
+    let db = await connectDB();
+    await db.collection(`groups`).updateOne({id},{$set:{sortMode}});
+};
+
+/* Numbers the group's tasks in the order given. Ids of tasks in other groups are ignored. */
+export const setGroupOrder = async (id, taskIDs)=>{
+    let db = await connectDB();
+    if (taskIDs.length) {
+        await db.collection(`tasks`).bulkWrite(taskIDs.map((taskID, position)=>({
+            updateOne:{filter:{id:taskID, group:id}, update:{$set:{position}}}
+        })));
+    }
+};
@@ -1,14 +1,18 @@
-import md5 from 'md5';
+import { hashPasswordSync } from './passwords';
 export const defaultState = {
     users:[{
         id:"U1",
         name:"Dev",
-        passwordHash:md5("TUPLES"),
+        email:"dev@example.com",
+        role:"admin",
+        passwordHash:hashPasswordSync("TUPLES"),
         friends:[`U2`]
     },{
         id:"U2",
         name:"C. Eeyo",
-        passwordHash:md5("PROFITING"),
+        email:"c.eeyo@example.com",
+        role:"user",
+        passwordHash:hashPasswordSync("PROFITING"),
         friends:[]
     }],
     groups:[{
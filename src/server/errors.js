@@ -0,0 +1,86 @@
+/**
+ * Errors a route can throw to end a request with a client error. `errorHandler` answers each with its status and a
+ * `{error:{code,message,details}}` body; anything that is not an `ApiError` is logged and answered with a generic 500,
+ * so database failures and bugs never leak internals to the client.
+ */
+export class ApiError extends Error {
+    constructor(status, code, message, details = null){
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+/* The request body or parameters are malformed. `details` lists the offending fields as `{field, message}`. */
+export class ValidationError extends ApiError {
+    constructor(message = `Invalid request`, details){
+        super(400, `validation_failed`, message, details);
+    }
+}
+
+export class AuthenticationError extends ApiError {
+    constructor(message = `Authentication required`, details){
+        super(401, `authentication_failed`, message, details);
+    }
+}
+
+export class ForbiddenError extends ApiError {
+    constructor(message = `You do not have access to that`, details){
+        super(403, `forbidden`, message, details);
+    }
+}
+
+export class NotFoundError extends ApiError {
+    constructor(message = `Not found`, details){
+        super(404, `not_found`, message, details);
+    }
+}
+
+export class ConflictError extends ApiError {
+    constructor(message = `That already exists`, details){
+        super(409, `conflict`, message, details);
+    }
+}
+
+export class TooManyRequestsError extends ApiError {
+    constructor(message = `Too many requests`, details){
+        super(429, `too_many_requests`, message, details);
+    }
+}
+
+/**
+ * Wraps an async route handler or middleware so a rejected promise is passed to `next` instead of going unhandled.
+ */
+export const asyncHandler = handler => (req,res,next)=>{
+    Promise.resolve(handler(req,res,next)).catch(next);
+};
+
+/* Registered after every route, so requests nothing else answered get the same envelope. */
+export const notFoundHandler = (req,res,next)=>{
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+const toApiError = err => {
+    if (err instanceof ApiError) {
+        return err;
+    }
+    if (err.type === `entity.parse.failed`) {
+        return new ValidationError(`Request body is not valid JSON`);
+    }
+    if (err.type === `entity.too.large`) {
+        return new ApiError(413, `payload_too_large`, `Request body is too large`);
+    }
+    console.error(err);
+    return new ApiError(500, `internal_error`, `Something went wrong. Please try again later.`);
+};
+
+/* Express recognises error middleware by its four parameters, so `next` has to stay in the signature. */
+export const errorHandler = (err,req,res,next)=>{
+    if (res.headersSent) {
+        return next(err);
+    }
+    let { status, code, message, details } = toApiError(err);
+    res.status(status).send({error:{code, message, details}});
+};
@@ -12,4 +12,9 @@ import { connectDB } from './connect-db'
             await collection.insertMany(defaultState[collectionName]);
         }
     }
+
+    /* Promotes the account named in ADMIN_USERNAME, so the first admin of a fresh install does not have to be set up in Mongo by hand. */
+    if (process.env.ADMIN_USERNAME) {
+        await db.collection(`users`).updateOne({name:process.env.ADMIN_USERNAME},{$set:{role:`admin`}});
+    }
 })();
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import uuid from 'uuid';
+import { indexedCollection } from './collections'
+
+/**
+ * Invite-only registration. With REGISTRATION_MODE=invite, `/user/create` requires a code issued by an admin.
+ * Each code expires and can be used a limited number of times; every account created with it is recorded on the invite.
+ *
+ * Only a hash of each code is stored, so the codes themselves are shown once, when they are created.
+ */
+export const inviteOnly = () => process.env.REGISTRATION_MODE === `invite`;
+
+/* Codes are compared without case or dashes, so `ab12-cd34-ef56` and `AB12CD34EF56` are the same code. */
+const normalizeCode = code => String(code).toUpperCase().replace(/[^0-9A-Z]/g, ``);
+
+const hashCode = code => crypto.createHash(`sha256`).update(normalizeCode(code)).digest(`hex`);
+
+const generateCode = () => crypto.randomBytes(6).toString(`hex`).toUpperCase().match(/.{4}/g).join(`-`);
+
+const invitesCollection = ()=>indexedCollection(`invites`, [
+    [{id:1},{unique:true}],
+    [{codeHash:1},{unique:true}]
+]);
+
+/* The details shown to admins. Never includes the hash. */
+export const inviteDetails = ({id, note, createdBy, createdAt, expiresAt, maxUses, remainingUses, revoked, redemptions})=>({
+    id,
+    note,
+    createdBy,
+    createdAt,
+    expiresAt,
+    maxUses,
+    remainingUses,
+    revoked:Boolean(revoked),
+    redemptions
+});
+
+/**
+ * Creates an invite, resolving to the code and the invite's details.
+ */
+export async function createInvite(createdBy, {note = ``, maxUses = 1, validForDays = 7} = {}){
+    let collection = await invitesCollection();
+    let code = generateCode();
+    let now = new Date();
+    let invite = {
+        id:uuid(),
+        codeHash:hashCode(code),
+        note,
+        createdBy,
+        createdAt:now,
+        expiresAt:new Date(now.getTime() + validForDays * 1000 * 60 * 60 * 24),
+        maxUses,
+        remainingUses:maxUses,
+        redemptions:[]
+    };
+    await collection.insertOne(invite);
+    return {code, invite};
+}
+
+export async function listInvites(){
+    let collection = await invitesCollection();
+    return await collection.find({}).sort({createdAt:-1}).toArray();
+}
+
+export async function revokeInvite(id){
+    let collection = await invitesCollection();
+    let { matchedCount } = await collection.updateOne({id}, {$set:{revoked:true}});
+    return matchedCount === 1;
+}
+
+/**
+ * Takes one use of a live invite. Resolves to the invite's id, or null if the code is unknown, revoked, expired or used up.
+ */
+export async function claimInvite(code){
+    let collection = await invitesCollection();
+    let { value } = await collection.findOneAndUpdate(
+        {codeHash:hashCode(code), revoked:{$ne:true}, expiresAt:{$gt:new Date()}, remainingUses:{$gt:0}},
+        {$inc:{remainingUses:-1}}
+    );
+    return value ? value.id : null;
+}
+
+export async function recordRedemption(id, {userID, username, ip}){
+    let collection = await invitesCollection();
+    await collection.updateOne({id}, {$push:{redemptions:{userID, username, ip, redeemedAt:new Date()}}});
+}
@@ -0,0 +1,119 @@
+import uuid from 'uuid';
+import { connectDB } from './connect-db'
+import { indexedCollection } from './collections'
+import { requireAuthentication } from './authenticate';
+import { validateBody } from './validate';
+import * as schemas from './schemas';
+import { asyncHandler, ConflictError, NotFoundError, ValidationError } from './errors';
+
+/**
+ * Per-user task labels, kept in the `labels` collection. Tasks refer to labels by id, so renaming or recolouring a
+ * label changes every task that uses it, and deleting one removes it from every task.
+ *
+ * Label names are unique per user, ignoring case.
+ */
+const caseInsensitive = {locale:`en`, strength:2};
+
+const labelsCollection = ()=>indexedCollection(`labels`, [
+    [{id:1},{unique:true}],
+    [{owner:1, name:1},{unique:true, collation:caseInsensitive}]
+]);
+
+const duplicateKey = 11000;
+
+const labelDetails = ({id, name, color, createdAt})=>({id, name, color, createdAt});
+
+/* Turns the unique index's duplicate key error into a 409. */
+const checkDuplicateName = e => {
+    if (e.code === duplicateKey) {
+        throw new ConflictError(`You already have a label with that name.`);
+    }
+    throw e;
+};
+
+export async function listLabels(owner){
+    let collection = await labelsCollection();
+    return await collection.find({owner}).collation(caseInsensitive).sort({name:1}).toArray();
+}
+
+export async function createLabel(owner, {name, color}){
+    let collection = await labelsCollection();
+    let label = {id:uuid(), owner, name:name.trim(), color, createdAt:new Date()};
+    await collection.insertOne(label).catch(checkDuplicateName);
+    return label;
+}
+
+/* Resolves to the updated label, or null if the user has no such label. */
+export async function updateLabel(owner, id, changes){
+    let collection = await labelsCollection();
+    let update = {...changes};
+    if (update.name !== undefined) {
+        update.name = update.name.trim();
+    }
+    let { value } = await collection.findOneAndUpdate({id, owner}, {$set:update}, {returnOriginal:false})
+        .catch(checkDuplicateName);
+    return value || null;
+}
+
+/* Resolves to how many tasks the label was removed from, or null if the user has no such label. */
+export async function deleteLabel(owner, id){
+    let collection = await labelsCollection();
+    let { deletedCount } = await collection.deleteOne({id, owner});
+    if (!deletedCount) {
+        return null;
+    }
+    let db = await connectDB();
+    let { modifiedCount } = await db.collection(`tasks`).updateMany({labels:id}, {$pull:{labels:id}});
+    return modifiedCount;
+}
+
+export async function deleteAllLabels(owner){
+    let collection = await labelsCollection();
+    await collection.deleteMany({owner});
+}
+
+/**
+ * Express middleware for task writes, run after the task is authorized. Only labels belonging to the task's owner can
+ * be attached to it; `req.task` is the stored task on updates.
+ */
+export const validateTaskLabels = asyncHandler(async (req,res,next)=>{
+    let { labels } = req.body.task;
+    if (labels && labels.length) {
+        let owner = req.task ? req.task.owner : req.user.id;
+        let collection = await labelsCollection();
+        let owned = await collection.countDocuments({owner, id:{$in:labels}});
+        if (owned !== new Set(labels).size) {
+            throw new ValidationError(`Invalid request body`, [{field:`task.labels`, message:`must only contain labels belonging to the task's owner`}]);
+        }
+    }
+    next();
+});
+
+export const labelRoute = app => {
+    app.get('/labels',requireAuthentication,asyncHandler(async (req,res)=>{
+        let labels = await listLabels(req.user.id);
+        res.send({labels:labels.map(labelDetails)});
+    }));
+
+    app.post('/labels',requireAuthentication,validateBody(schemas.createLabel),asyncHandler(async (req,res)=>{
+        let label = await createLabel(req.user.id, req.body);
+        res.send({label:labelDetails(label)});
+    }));
+
+    app.post('/labels/update',requireAuthentication,validateBody(schemas.updateLabel),asyncHandler(async (req,res)=>{
+        let { id, ...changes } = req.body;
+        let label = await updateLabel(req.user.id, id, changes);
+        if (!label) {
+            throw new NotFoundError(`Label not found`);
+        }
+        res.send({label:labelDetails(label)});
+    }));
+
+    app.post('/labels/delete',requireAuthentication,validateBody(schemas.deleteLabel),asyncHandler(async (req,res)=>{
+        let tasksUpdated = await deleteLabel(req.user.id, req.body.id);
+        if (tasksUpdated === null) {
+            throw new NotFoundError(`Label not found`);
+        }
+        res.send({tasksUpdated});
+    }));
+};
@@ -0,0 +1,65 @@
+import { indexedCollection } from './collections'
+
+/**
+ * Failed logins are counted per username and per client IP in the `loginAttempts` collection.
+ * Once a counter reaches its threshold the key is locked out, and every further failure doubles the lockout,
+ * up to `maxLockout`. Counters are forgotten after `attemptWindow` without failures, or on a successful login.
+ */
+export const maxFailuresPerUser = Number(process.env.LOGIN_MAX_FAILURES_PER_USER) || 5;
+export const maxFailuresPerIP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+export const baseLockout = Number(process.env.LOGIN_LOCKOUT_MS) || 1000 * 60;
+export const maxLockout = Number(process.env.LOGIN_MAX_LOCKOUT_MS) || 1000 * 60 * 60;
+const attemptWindow = 1000 * 60 * 60;
+
+const attemptsCollection = ()=>indexedCollection(`loginAttempts`, [
+    [{key:1},{unique:true}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+const throttleKeys = (username, ip)=>[
+    {key:`user:${username}`, threshold:maxFailuresPerUser},
+    {key:`ip:${ip}`, threshold:maxFailuresPerIP}
+];
+
+export function lockoutDuration(failures, threshold){
+    if (failures < threshold) {
+        return 0;
+    }
+    return Math.min(baseLockout * Math.pow(2, failures - threshold), maxLockout);
+}
+
+/**
+ * Resolves to the number of milliseconds until the username or IP may try again, or 0 if neither is locked out.
+ */
+export async function getLockout(username, ip){
+    let collection = await attemptsCollection();
+    let attempts = await collection.find({
+        key:{$in:throttleKeys(username, ip).map(({key})=>key)},
+        lockedUntil:{$gt:new Date()}
+    }).toArray();
+    return Math.max(0, ...attempts.map(({lockedUntil})=>lockedUntil.getTime() - Date.now()));
+}
+
+export async function recordLoginFailure(username, ip){
+    let collection = await attemptsCollection();
+    for (let {key, threshold} of throttleKeys(username, ip)) {
+        let now = Date.now();
+        let { value } = await collection.findOneAndUpdate(
+            {key},
+            {$inc:{failures:1}, $set:{lastFailureAt:new Date(now), expiresAt:new Date(now + attemptWindow)}},
+            {upsert:true, returnOriginal:false}
+        );
+        let lockout = lockoutDuration(value.failures, threshold);
+        if (lockout) {
+            await collection.updateOne({key},{$set:{
+                lockedUntil:new Date(now + lockout),
+                expiresAt:new Date(now + lockout + attemptWindow)
+            }});
+        }
+    }
+}
+
+export async function resetLoginFailures(username, ip){
+    let collection = await attemptsCollection();
+    await collection.deleteMany({key:{$in:throttleKeys(username, ip).map(({key})=>key)}});
+}
@@ -0,0 +1,28 @@
+import fs from 'fs';
+import path from 'path';
+import uuid from 'uuid';
+
+/**
+ * Outgoing mail goes through a transport: any object with a `send({to, subject, text})` method returning a promise.
+ * The default transport writes each message as a JSON file into an outbox directory, so mail can be read offline.
+ * Deployments that deliver real mail install their own transport with `setMailTransport`.
+ */
+export const createOutboxTransport = directory => ({
+    async send(message){
+        await fs.promises.mkdir(directory, {recursive:true});
+        let sentAt = new Date();
+        let file = path.join(directory, `${sentAt.getTime()}-${uuid()}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({...message, sentAt}, null, 2));
+        return file;
+    }
+});
+
+export const outboxDirectory = process.env.MAIL_OUTBOX_DIR || path.resolve(`outbox`);
+
+let transport = createOutboxTransport(outboxDirectory);
+
+export const setMailTransport = newTransport => {
+    transport = newTransport;
+};
+
+export const sendMail = message => transport.send(message);
@@ -0,0 +1,96 @@
+import crypto from 'crypto';
+import { connectDB } from './connect-db'
+import { indexedCollection } from './collections'
+import { hashPassword } from './passwords';
+import { revokeAllSessions } from './sessions';
+import { sendMail } from './mail';
+import { recordEvent, auditEvents } from './audit';
+import { validateBody, enforcePolicy } from './validate';
+import { passwordRules } from '../shared/account-policy';
+import * as schemas from './schemas';
+import { asyncHandler, ValidationError } from './errors';
+
+/* Reset tokens are single-use and expire after this long. */
+export const resetTokenLifetime = Number(process.env.PASSWORD_RESET_LIFETIME_MS) || 1000 * 60 * 30;
+
+/* Only a hash of each token is stored, so a leaked collection cannot be used to reset passwords. */
+const hashToken = token => crypto.createHash(`sha256`).update(String(token)).digest(`hex`);
+
+const resetsCollection = ()=>indexedCollection(`passwordResets`, [
+    [{tokenHash:1},{unique:true}],
+    [{userID:1}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+/**
+ * Issues a reset token for a user, replacing any token issued before it.
+ */
+export async function createResetToken(userID){
+    let collection = await resetsCollection();
+    let token = crypto.randomBytes(32).toString(`hex`);
+    await collection.deleteMany({userID});
+    await collection.insertOne({
+        tokenHash:hashToken(token),
+        userID,
+        createdAt:new Date(),
+        expiresAt:new Date(Date.now() + resetTokenLifetime)
+    });
+    return token;
+}
+
+/**
+ * Consumes a reset token, resolving to the user ID it was issued for, or null if it is unknown, used or expired.
+ */
+export async function consumeResetToken(token){
+    let collection = await resetsCollection();
+    let { value } = await collection.findOneAndDelete({
+        tokenHash:hashToken(token),
+        expiresAt:{$gt:new Date()}
+    });
+    return value ? value.userID : null;
+}
+
+const appURL = process.env.APP_URL || `http://localhost:8080`;
+
+export const resetLink = token => `${appURL}/reset/${token}`;
+
+/* How long a reset link stays valid, for the messages that carry one. */
+export const resetLinkLifetimeText = () => `${Math.round(resetTokenLifetime / 60000)} minutes`;
+
+export const passwordResetRoute = app => {
+    /* Always succeeds, so the response does not reveal which account names exist. */
+    app.post('/password/forgot',validateBody(schemas.forgotPassword),asyncHandler(async (req,res)=>{
+        let { username } = req.body;
+        let db = await connectDB();
+        let user = await db.collection(`users`).findOne({name:username});
+
+        if (user && user.email) {
+            let token = await createResetToken(user.id);
+            await sendMail({
+                to:user.email,
+                subject:`Reset your password`,
+                text:`Hi ${user.name},\n\n` +
+                    `Follow this link to choose a new password:\n${resetLink(token)}\n\n` +
+                    `The link can be used once and expires in ${resetLinkLifetimeText()}. ` +
+                    `If you did not ask for a password reset, you can ignore this message.`
+            });
+        }
+
+        res.status(200).send();
+    }));
+
+    app.post('/password/reset',validateBody(schemas.resetPassword),enforcePolicy({password:passwordRules}),asyncHandler(async (req,res)=>{
+        let { token, password } = req.body;
+        let userID = await consumeResetToken(token);
+        if (!userID) {
+            throw new ValidationError(`This reset link is invalid or has expired.`);
+        }
+
+        let db = await connectDB();
+        await db.collection(`users`).updateOne({id:userID},{$set:{passwordHash:await hashPassword(password)}});
+        await revokeAllSessions(userID);
+        await recordEvent(req, auditEvents.PASSWORD_RESET, {userID});
+
+        res.status(200).send();
+    }));
+};
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import md5 from 'md5';
+
+/**
+ * Password hashes are stored as `scrypt$<version>$<salt>$<hash>`, with salt and hash hex-encoded.
+ * The version selects the scrypt parameters below, so they can be strengthened later
+ * without invalidating existing hashes: bump `currentVersion` and older hashes get rehashed on login.
+ */
+const versions = {
+    1:{N:16384, r:8, p:1, keyLength:64, saltLength:16}
+};
+const currentVersion = 1;
+
+const legacyHashPattern = /^[0-9a-f]{32}$/;
+
+const scrypt = (password, salt, {N, r, p, keyLength}) => new Promise((resolve, reject)=>{
+    crypto.scrypt(password, salt, keyLength, {N, r, p}, (err, key)=>err ? reject(err) : resolve(key));
+});
+
+const format = (version, salt, key) => `scrypt$${version}$${salt.toString(`hex`)}$${key.toString(`hex`)}`;
+
+const parse = storedHash => {
+    let [scheme, version, salt, key] = String(storedHash).split(`$`);
+    if (scheme !== `scrypt` || !versions[version] || !salt || !key) {
+        return null;
+    }
+    return {version, params:versions[version], salt:Buffer.from(salt, `hex`), key:Buffer.from(key, `hex`)};
+};
+
+export async function hashPassword(password){
+    let params = versions[currentVersion];
+    let salt = crypto.randomBytes(params.saltLength);
+    return format(currentVersion, salt, await scrypt(password, salt, params));
+}
+
+/* Synchronous variant for building seed data at module load. */
+export function hashPasswordSync(password){
+    let {N, r, p, keyLength, saltLength} = versions[currentVersion];
+    let salt = crypto.randomBytes(saltLength);
+    return format(currentVersion, salt, crypto.scryptSync(password, salt, keyLength, {N, r, p}));
+}
+
+/**
+ * Checks a password against a stored hash in either the scrypt format or the legacy unsalted md5 format.
+ */
+export async function verifyPassword(password, storedHash){
+    if (typeof password !== `string` || typeof storedHash !== `string`) {
+        return false;
+    }
+
+    if (legacyHashPattern.test(storedHash)) {
+        return crypto.timingSafeEqual(Buffer.from(md5(password)), Buffer.from(storedHash));
+    }
+
+    let parsed = parse(storedHash);
+    if (!parsed) {
+        return false;
+    }
+    let key = await scrypt(password, parsed.salt, parsed.params);
+    return key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+}
+
+export function needsRehash(storedHash){
+    let parsed = parse(storedHash);
+    return !parsed || Number(parsed.version) !== currentVersion;
+}
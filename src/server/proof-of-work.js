@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import { indexedCollection } from './collections'
+
+/**
+ * Signup challenges make every new account cost the caller some CPU time. The server issues a random challenge with a
+ * difficulty; the client must find a nonce such that the SHA-256 hash of `<challenge>:<nonce>` starts with that many
+ * zero bits. Each challenge can be redeemed once, and expires after a few minutes.
+ *
+ * Difficulty starts at SIGNUP_POW_DIFFICULTY bits and rises by one bit for every SIGNUP_SPIKE_THRESHOLD accounts the
+ * same IP created within SIGNUP_SPIKE_WINDOW_MS, up to SIGNUP_POW_MAX_DIFFICULTY. Each extra bit doubles the work.
+ */
+export const baseDifficulty = Number(process.env.SIGNUP_POW_DIFFICULTY) || 16;
+export const maxDifficulty = Number(process.env.SIGNUP_POW_MAX_DIFFICULTY) || 22;
+const spikeThreshold = Number(process.env.SIGNUP_SPIKE_THRESHOLD) || 5;
+const spikeWindow = Number(process.env.SIGNUP_SPIKE_WINDOW_MS) || 1000 * 60 * 60;
+
+const challengeLifetime = 1000 * 60 * 5;
+
+const challengesCollection = ()=>indexedCollection(`signupChallenges`, [
+    [{challenge:1},{unique:true}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+/* One document per account created, kept for the length of the spike window. */
+const signupsCollection = ()=>indexedCollection(`signupVolume`, [
+    [{ip:1}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+export const leadingZeroBits = buffer => {
+    let bits = 0;
+    for (let byte of buffer) {
+        if (byte === 0) {
+            bits += 8;
+            continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+    }
+    return bits;
+};
+
+export const meetsDifficulty = (challenge, nonce, difficulty) =>
+    leadingZeroBits(crypto.createHash(`sha256`).update(`${challenge}:${nonce}`).digest()) >= difficulty;
+
+/**
+ * Finds a nonce for a challenge. The browser does this in a Web Worker; this version is for scripts and tests.
+ */
+export function solveChallenge(challenge, difficulty){
+    let nonce = 0;
+    while (!meetsDifficulty(challenge, nonce, difficulty)) {
+        nonce++;
+    }
+    return String(nonce);
+}
+
+export const difficultyFor = recentSignups =>
+    Math.min(baseDifficulty + Math.floor(recentSignups / spikeThreshold), maxDifficulty);
+
+export async function createSignupChallenge(ip){
+    let signups = await signupsCollection();
+    let recentSignups = await signups.countDocuments({ip, expiresAt:{$gt:new Date()}});
+
+    let collection = await challengesCollection();
+    let challenge = {
+        challenge:crypto.randomBytes(16).toString(`hex`),
+        difficulty:difficultyFor(recentSignups),
+        expiresAt:new Date(Date.now() + challengeLifetime)
+    };
+    await collection.insertOne(challenge);
+    return challenge;
+}
+
+/**
+ * Consumes a challenge and checks the nonce against it. Resolves to false if the challenge is unknown, used or expired,
+ * or the nonce does not solve it; either way the challenge cannot be tried again.
+ */
+export async function redeemSignupChallenge(challenge, nonce){
+    let collection = await challengesCollection();
+    let { value } = await collection.findOneAndDelete({challenge, expiresAt:{$gt:new Date()}});
+    return Boolean(value) && meetsDifficulty(challenge, nonce, value.difficulty);
+}
+
+export async function recordSignup(ip){
+    let signups = await signupsCollection();
+    await signups.insertOne({ip, expiresAt:new Date(Date.now() + spikeWindow)});
+}
@@ -0,0 +1,184 @@
+/**
+ * Request body schemas for every route that accepts a body, in the JSON Schema subset understood by `validate.js`.
+ * Unknown keys are rejected throughout, so nothing a client adds is passed on to the database.
+ */
+import { priorities, sortModes } from '../shared/task-order';
+import { maxLabelsPerTask, labelNameLength, labelColorPattern } from '../shared/labels';
+import { maxDescriptionLength } from '../shared/markdown';
+
+const id = {type:`string`, minLength:1, maxLength:100};
+const username = {type:`string`, minLength:1, maxLength:100};
+const password = {type:`string`, minLength:1, maxLength:1000};
+const taskName = {type:`string`, maxLength:500};
+
+/* Markdown source; the server keeps its own plain-text excerpt, so clients never send one. */
+const taskDescription = {type:`string`, maxLength:maxDescriptionLength};
+
+/* Due and start dates are ISO 8601 with an explicit offset, or null to clear them; see task-dates.js. */
+const taskDate = {type:[`string`, `null`], maxLength:40, pattern:`^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,3})?)?(Z|[+-]\\d{2}:\\d{2})$`};
+const priority = {type:`string`, enum:priorities};
+const sortMode = {type:`string`, enum:sortModes};
+const labelName = {type:`string`, minLength:labelNameLength.min, maxLength:labelNameLength.max, pattern:`\\S`};
+const labelColor = {type:`string`, pattern:labelColorPattern};
+const taskLabels = {type:`array`, maxItems:maxLabelsPerTask, items:id};
+
+const taskDates = {
+    dueAt:taskDate,
+    startAt:taskDate,
+    timeZone:{type:[`string`, `null`], maxLength:64}
+};
+
+const object = (properties, required = []) => ({
+    type:`object`,
+    properties,
+    required,
+    additionalProperties:false
+});
+
+export const empty = object({});
+
+export const authenticate = object({username, password}, [`username`, `password`]);
+
+export const secondFactor = object({
+    challenge:{type:`string`, maxLength:200},
+    code:{type:`string`, maxLength:20}
+}, [`challenge`, `code`]);
+
+export const createUser = object({
+    username,
+    password,
+    email:{type:`string`, maxLength:254, pattern:`^$|^[^@\\s]+@[^@\\s]+$`},
+    proof:object({
+        challenge:{type:`string`, maxLength:100},
+        nonce:{type:`string`, maxLength:20}
+    }, [`challenge`, `nonce`]),
+    inviteCode:{type:`string`, maxLength:50}
+}, [`username`, `password`, `proof`]);
+
+export const revokeSession = object({id}, [`id`]);
+
+export const forgotPassword = object({username}, [`username`]);
+
+export const resetPassword = object({
+    token:{type:`string`, maxLength:200},
+    password
+}, [`token`, `password`]);
+
+export const changePassword = object({currentPassword:password, newPassword:password}, [`currentPassword`, `newPassword`]);
+
+export const changeDisplayName = object({displayName:{type:`string`, minLength:1, maxLength:100}}, [`displayName`]);
+
+export const confirmTwoFactor = object({code:{type:`string`, maxLength:20}}, [`code`]);
+
+export const disableTwoFactor = object({password}, [`password`]);
+
+export const createAccessToken = object({
+    name:{type:`string`, minLength:1, maxLength:100},
+    scope:{type:`string`, enum:[`read`, `write`]}
+}, [`name`, `scope`]);
+
+export const revokeAccessToken = object({id}, [`id`]);
+
+export const exportAccount = object({password}, [`password`]);
+
+/* `confirmUsername` must repeat the account's username, so an account is never deleted by a stray click. */
+export const deleteAccount = object({password, confirmUsername:username}, [`password`, `confirmUsername`]);
+
+/* The archive written by `GET /account/export`; see account-data.js. */
+const maxArchiveItems = 10000;
+const nullableID = {type:[`string`, `null`]};
+export const importAccount = object({
+    archive:object({
+        format:{type:`string`, enum:[`organizer-account-export`]},
+        version:{type:`integer`, enum:[1]},
+        exportedAt:{type:`string`, maxLength:50},
+        account:{type:`object`},
+        groups:{type:`array`, maxItems:maxArchiveItems, items:object({id, name:{type:`string`, maxLength:200}, sortMode}, [`id`])},
+        labels:{type:`array`, maxItems:maxArchiveItems, items:object({id, name:labelName, color:labelColor}, [`id`, `name`, `color`])},
+        tasks:{type:`array`, maxItems:maxArchiveItems, items:object({
+            id,
+            name:taskName,
+            description:taskDescription,
+            group:id,
+            isComplete:{type:`boolean`},
+            priority,
+            position:{type:[`integer`, `null`]},
+            createdAt:taskDate,
+            labels:taskLabels,
+            ...taskDates
+        }, [`id`])},
+        comments:{type:`array`, maxItems:maxArchiveItems, items:object({
+            id,
+            task:id,
+            owner:nullableID,
+            content:{type:`string`, minLength:1, maxLength:2000}
+        }, [`id`, `task`, `content`])}
+    }, [`format`, `version`, `groups`, `tasks`, `comments`])
+}, [`archive`]);
+
+export const adminUserAction = object({id}, [`id`]);
+
+export const createInvite = object({
+    note:{type:`string`, maxLength:200},
+    maxUses:{type:`integer`, minimum:1, maximum:1000},
+    validForDays:{type:`integer`, minimum:1, maximum:365}
+});
+
+export const revokeInvite = object({id}, [`id`]);
+
+export const setUserRole = object({id, role:{type:`string`, enum:[`user`, `admin`]}}, [`id`, `role`]);
+
+export const createTask = object({
+    task:object({
+        id,
+        name:taskName,
+        description:taskDescription,
+        group:id,
+        owner:id,
+        isComplete:{type:`boolean`},
+        priority,
+        labels:taskLabels,
+        ...taskDates
+    }, [`id`, `owner`])
+}, [`task`]);
+
+/**
+ * Clients that send back a whole task from `/session/state` echo its `owner` and database `_id` too. Both are accepted
+ * but neither is ever changed by an update; see `updateTask` in communicate-db.js.
+ */
+export const updateTask = object({
+    task:object({
+        _id:{type:`string`, maxLength:100},
+        id,
+        name:taskName,
+        description:taskDescription,
+        group:id,
+        owner:id,
+        isComplete:{type:`boolean`},
+        priority,
+        labels:taskLabels,
+        ...taskDates
+    }, [`id`])
+}, [`task`]);
+
+export const taskAction = object({id}, [`id`]);
+
+export const setGroupSortMode = object({id, sortMode}, [`id`, `sortMode`]);
+
+/* The group's tasks in their new manual order. */
+export const setGroupOrder = object({id, taskIDs:{type:`array`, maxItems:1000, items:id}}, [`id`, `taskIDs`]);
+
+export const createLabel = object({name:labelName, color:labelColor}, [`name`, `color`]);
+
+export const updateLabel = object({id, name:labelName, color:labelColor}, [`id`]);
+
+export const deleteLabel = object({id}, [`id`]);
+
+export const createComment = object({
+    comment:object({
+        id,
+        task:id,
+        owner:id,
+        content:{type:`string`, minLength:1, maxLength:2000}
+    }, [`id`, `task`, `owner`, `content`])
+}, [`comment`]);
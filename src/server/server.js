@@ -6,10 +6,21 @@ import cors from 'cors';
 import bodyParser from 'body-parser';
 
 import './initialize-db';
-import { authenticationRoute } from './authenticate'
+import { authenticationRoute, requireAuthentication } from './authenticate'
+import { passwordResetRoute } from './password-reset'
+import { accountRoute } from './account'
+import { adminRoute } from './admin'
+import { importSizeLimit } from './account-data'
+import { trashRoute, schedulePurging } from './trash'
+import { taskDateRoute, validateTaskDates } from './task-dates'
+import { labelRoute, validateTaskLabels } from './labels'
+import { authorizeTaskCreation, authorizeTaskUpdate, authorizeComment, authorizeGroupUpdate } from './authorize'
+import { validateBody } from './validate'
+import * as schemas from './schemas'
+import { asyncHandler, errorHandler, notFoundHandler } from './errors'
 
 import { connectDB } from './connect-db'
-import { addNewTask, updateTask } from './communicate-db';
+import { addNewTask, updateTask, setGroupSortMode, setGroupOrder } from './communicate-db';
 
 
 let port = process.env.PORT || 7777;
@@ -17,6 +28,9 @@ let app = express();
 
 
 
+/* Imports carry a whole export archive, so they get a larger limit than every other body. */
+app.use(`/account/import`, bodyParser.json({limit:importSizeLimit}));
+
 app.use(
     cors(),
     bodyParser.urlencoded({extended:true}),
@@ -24,12 +38,20 @@ app.use(
 );
 
 authenticationRoute(app);
+passwordResetRoute(app);
+accountRoute(app);
+adminRoute(app);
+trashRoute(app);
+taskDateRoute(app);
+labelRoute(app);
 
 // Only start the server if we're not in test mode
 if (process.env.NODE_ENV !== 'test') {
     const server = app.listen(port, () => console.info("Server running, listening on port", port));
+    const purging = schedulePurging();
     // Proper shutdown handling
     process.on('SIGTERM', () => {
+        clearInterval(purging);
         server.close(() => {
             console.log('Server shutting down');
         });
@@ -43,26 +65,40 @@ if (process.env.NODE_ENV == `production`) {
     });
 }
 
-app.post('/task/new',async (req,res)=>{
+app.post('/task/new',requireAuthentication,validateBody(schemas.createTask),authorizeTaskCreation,validateTaskDates,validateTaskLabels,asyncHandler(async (req,res)=>{
     // let task = req.body.task;
     await addNewTask(req.body.task);
     res.status(200).send();
-});
+}));
 
 
 
-app.post('/task/update',async (req,res)=>{
+app.post('/task/update',requireAuthentication,validateBody(schemas.updateTask),authorizeTaskUpdate,validateTaskDates,validateTaskLabels,asyncHandler(async (req,res)=>{
     let db = await connectDB();
     await updateTask(req.body.task);
     res.status(200).send();
-});
+}));
+
+/* Every user of a group shares its sort mode and manual order. */
+app.post('/group/sort',requireAuthentication,validateBody(schemas.setGroupSortMode),authorizeGroupUpdate,asyncHandler(async (req,res)=>{
+    await setGroupSortMode(req.body.id, req.body.sortMode);
+    res.status(200).send();
+}));
 
-app.post('/comment/new',async (req,res)=>{
+app.post('/group/order',requireAuthentication,validateBody(schemas.setGroupOrder),authorizeGroupUpdate,asyncHandler(async (req,res)=>{
+    await setGroupOrder(req.body.id, req.body.taskIDs);
+    res.status(200).send();
+}));
+
+app.post('/comment/new',requireAuthentication,validateBody(schemas.createComment),authorizeComment,asyncHandler(async (req,res)=>{
     let comment = req.body.comment;
     let db = await connectDB();
     let collection = db.collection(`comments`);
     await collection.insertOne(comment);
     res.status(200).send();
-});
+}));
+
+// Must come after every route
+app.use(notFoundHandler, errorHandler);
 
 module.exports = { app };
\ No newline at end of file
@@ -0,0 +1,73 @@
+import uuid from 'uuid';
+import { indexedCollection } from './collections'
+
+/* Sessions slide forward on every authenticated request; a session that sits idle longer than this expires. */
+export const sessionLifetime = Number(process.env.SESSION_LIFETIME_MS) || 1000 * 60 * 60 * 24;
+
+/* Mongo removes documents once `expiresAt` passes, so every server process sharing the database sees the same live sessions. */
+const sessionsCollection = ()=>indexedCollection(`sessions`, [
+    [{token:1},{unique:true}],
+    [{userID:1}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+/**
+ * Starts a new session. `device` and `ip` describe where the login came from, for the session list.
+ */
+export async function createSession(userID, {device = `Unknown device`, ip = null} = {}){
+    let collection = await sessionsCollection();
+    let now = new Date();
+    let session = {
+        id:uuid(),
+        token:uuid(),
+        userID,
+        device,
+        ip,
+        createdAt:now,
+        lastSeenAt:now,
+        expiresAt:new Date(now.getTime() + sessionLifetime)
+    };
+    await collection.insertOne(session);
+    return session;
+}
+
+/**
+ * Looks up a live session by token and extends its expiry. Returns null for unknown or expired tokens.
+ * The expiry check is repeated here because Mongo's TTL monitor only sweeps about once a minute.
+ */
+export async function findSession(token){
+    let collection = await sessionsCollection();
+    let now = new Date();
+    let { value } = await collection.findOneAndUpdate(
+        {token, expiresAt:{$gt:now}},
+        {$set:{lastSeenAt:now, expiresAt:new Date(now.getTime() + sessionLifetime)}},
+        {returnOriginal:false}
+    );
+    return value || null;
+}
+
+export async function listSessions(userID){
+    let collection = await sessionsCollection();
+    return await collection
+        .find({userID, expiresAt:{$gt:new Date()}})
+        .sort({lastSeenAt:-1})
+        .toArray();
+}
+
+/**
+ * Deletes one of a user's sessions by its id. Resolves to false if the user has no such session.
+ */
+export async function revokeSession(userID, id){
+    let collection = await sessionsCollection();
+    let { deletedCount } = await collection.deleteOne({userID, id});
+    return deletedCount > 0;
+}
+
+/**
+ * Ends every session a user has, optionally keeping one (such as the session making the request).
+ */
+export async function revokeAllSessions(userID, exceptID = null){
+    let collection = await sessionsCollection();
+    let filter = exceptID ? {userID, id:{$ne:exceptID}} : {userID};
+    await collection.deleteMany(filter);
+}
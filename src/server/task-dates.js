@@ -0,0 +1,89 @@
+import { indexedCollection } from './collections'
+import { requireAuthentication } from './authenticate';
+import { dateViews, isValidTimeZone, viewRanges } from '../shared/dates';
+import { asyncHandler, ValidationError } from './errors';
+
+/**
+ * Task due and start dates. Clients send them as ISO 8601 strings with an offset, along with the IANA `timeZone` they
+ * were picked in; they are stored as dates so they can be compared and indexed.
+ *
+ * The dashboard's Today, Upcoming and Overdue views. Each is answered by an indexed query on the task dates, so the
+ * dashboard does not have to load every task to filter them.
+ *
+ * Today and Upcoming hold open tasks that are due or start within the view's days; Overdue holds open tasks due before
+ * now. The days are those of the `timeZone` given, which defaults to UTC.
+ */
+export const tasksCollection = ()=>indexedCollection(`tasks`, [
+    [{owner:1, dueAt:1}],
+    [{owner:1, startAt:1}]
+]);
+
+const dateFields = [`dueAt`, `startAt`];
+
+/* The date fields a request sets, as stored: strings become dates and null clears a field. */
+export const storedDates = task => [...dateFields, `timeZone`]
+    .filter(field=>task[field] !== undefined)
+    .reduce((dates, field)=>({
+        ...dates,
+        [field]:typeof task[field] === `string` && field !== `timeZone` ? new Date(task[field]) : task[field]
+    }), {});
+
+/**
+ * Express middleware for task writes, run after `validateBody` and, for updates, `authorizeTaskUpdate`. Checks the
+ * dates parse, the time zone exists and the task does not start after it is due, counting any date the request leaves
+ * unchanged.
+ */
+export const validateTaskDates = (req,res,next)=>{
+    let { task } = req.body;
+    let errors = [];
+    for (let field of dateFields) {
+        if (typeof task[field] === `string` && isNaN(new Date(task[field]).getTime())) {
+            errors.push({field:`task.${field}`, message:`is not a valid date`});
+        }
+    }
+    if (task.timeZone && !isValidTimeZone(task.timeZone)) {
+        errors.push({field:`task.timeZone`, message:`is not a known time zone`});
+    }
+    let existing = req.task || {};
+    let dueAt = task.dueAt !== undefined ? task.dueAt : existing.dueAt;
+    let startAt = task.startAt !== undefined ? task.startAt : existing.startAt;
+    if (!errors.length && dueAt && startAt && new Date(startAt) > new Date(dueAt)) {
+        errors.push({field:`task.startAt`, message:`must not be after the due date`});
+    }
+    if (errors.length) {
+        return next(new ValidationError(`Invalid request body`, errors));
+    }
+    next();
+};
+
+const within = ({from, to}) => from ? {$gte:from, $lt:to} : {$lt:to};
+
+export async function queryTaskView(userID, view, {timeZone = `UTC`, now = new Date()} = {}){
+    let range = viewRanges(now, timeZone)[view];
+    let filter = {owner:userID, isComplete:{$ne:true}, trashedAt:null};
+    if (view === `overdue`) {
+        filter.dueAt = within(range);
+    } else {
+        filter.$or = [{dueAt:within(range)}, {startAt:within(range)}];
+    }
+    let collection = await tasksCollection();
+    return await collection.find(filter).sort({dueAt:1, startAt:1, name:1}).toArray();
+}
+
+export const taskDateRoute = app => {
+    app.get('/tasks',requireAuthentication,asyncHandler(async (req,res)=>{
+        let { view, timeZone = `UTC` } = req.query;
+        let errors = [];
+        if (!dateViews.includes(view)) {
+            errors.push({field:`view`, message:`must be one of ${dateViews.join(`, `)}`});
+        }
+        if (typeof timeZone !== `string` || !isValidTimeZone(timeZone)) {
+            errors.push({field:`timeZone`, message:`is not a known time zone`});
+        }
+        if (errors.length) {
+            throw new ValidationError(`Invalid query`, errors);
+        }
+        let tasks = await queryTaskView(req.user.id, view, {timeZone});
+        res.send({view, timeZone, tasks});
+    }));
+};
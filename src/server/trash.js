@@ -0,0 +1,118 @@
+import { connectDB } from './connect-db'
+import { requireAuthentication } from './authenticate';
+import { authorizeTaskDeletion } from './authorize';
+import { validateBody } from './validate';
+import * as schemas from './schemas';
+import { asyncHandler, NotFoundError } from './errors';
+
+/**
+ * The trash bin. Deleting a task only marks it and its comments with `trashedAt`; they stay hidden from the user's
+ * state until the owner restores them or purges them for good. Trashed tasks are purged automatically once they have
+ * been in the trash for TRASH_RETENTION_DAYS.
+ */
+export const trashRetentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/* How often the server looks for expired items. */
+const purgeInterval = 1000 * 60 * 60;
+
+const dayLength = 1000 * 60 * 60 * 24;
+
+/* The date after which a trashed task is purged. */
+export const purgeDate = trashedAt => new Date(trashedAt.getTime() + trashRetentionDays * dayLength);
+
+export async function trashTask(id){
+    let db = await connectDB();
+    let trashedAt = new Date();
+    await db.collection(`tasks`).updateOne({id}, {$set:{trashedAt}});
+    await db.collection(`comments`).updateMany({task:id}, {$set:{trashedAt}});
+    return trashedAt;
+}
+
+/* Resolves to false when the user has no such task in the trash. */
+export async function restoreTask(owner, id){
+    let db = await connectDB();
+    let { matchedCount } = await db.collection(`tasks`).updateOne({id, owner, trashedAt:{$ne:null}}, {$unset:{trashedAt:``}});
+    if (!matchedCount) {
+        return false;
+    }
+    await db.collection(`comments`).updateMany({task:id}, {$unset:{trashedAt:``}});
+    return true;
+}
+
+/**
+ * Deletes trashed tasks matching the filter, with their comments. Resolves to how many tasks were purged.
+ * A `trashedAt` condition in the filter replaces the default one, which matches anything in the trash.
+ */
+async function purgeTasks(filter){
+    let db = await connectDB();
+    let tasks = await db.collection(`tasks`).find({trashedAt:{$ne:null}, ...filter}).toArray();
+    let ids = tasks.map(task=>task.id);
+    if (ids.length) {
+        await db.collection(`comments`).deleteMany({task:{$in:ids}});
+        await db.collection(`tasks`).deleteMany({id:{$in:ids}, trashedAt:{$ne:null}});
+    }
+    return ids.length;
+}
+
+export const purgeTask = (owner, id) => purgeTasks({owner, id});
+
+export const emptyTrash = owner => purgeTasks({owner});
+
+export const purgeExpiredTrash = () => purgeTasks({trashedAt:{$lte:new Date(Date.now() - trashRetentionDays * dayLength)}});
+
+/**
+ * Purges expired items now and every hour after. Returns the timer, for `clearInterval` on shutdown.
+ */
+export function schedulePurging(){
+    let purge = ()=>purgeExpiredTrash().catch(e=>console.error(`Could not purge the trash`, e));
+    purge();
+    let timer = setInterval(purge, purgeInterval);
+    timer.unref();
+    return timer;
+}
+
+export async function listTrash(owner){
+    let db = await connectDB();
+    let tasks = await db.collection(`tasks`).find({owner, trashedAt:{$ne:null}}).sort({trashedAt:-1}).toArray();
+    let comments = await db.collection(`comments`).find({task:{$in:tasks.map(task=>task.id)}}).toArray();
+    return tasks.map(({id, name, group, isComplete, trashedAt})=>({
+        id,
+        name,
+        group,
+        isComplete,
+        trashedAt,
+        purgeAt:purgeDate(trashedAt),
+        commentCount:comments.filter(comment=>comment.task === id).length
+    }));
+}
+
+export const trashRoute = app => {
+    app.post('/task/trash',requireAuthentication,validateBody(schemas.taskAction),authorizeTaskDeletion,asyncHandler(async (req,res)=>{
+        let trashedAt = await trashTask(req.task.id);
+        res.send({trashedAt, purgeAt:purgeDate(trashedAt)});
+    }));
+
+    app.get('/trash',requireAuthentication,asyncHandler(async (req,res)=>{
+        let tasks = await listTrash(req.user.id);
+        res.send({tasks, retentionDays:trashRetentionDays});
+    }));
+
+    app.post('/trash/restore',requireAuthentication,validateBody(schemas.taskAction),asyncHandler(async (req,res)=>{
+        if (!await restoreTask(req.user.id, req.body.id)) {
+            throw new NotFoundError(`Task not found in the trash`);
+        }
+        res.status(200).send();
+    }));
+
+    app.post('/trash/purge',requireAuthentication,validateBody(schemas.taskAction),asyncHandler(async (req,res)=>{
+        if (!await purgeTask(req.user.id, req.body.id)) {
+            throw new NotFoundError(`Task not found in the trash`);
+        }
+        res.status(200).send();
+    }));
+
+    app.post('/trash/empty',requireAuthentication,validateBody(schemas.empty),asyncHandler(async (req,res)=>{
+        let purged = await emptyTrash(req.user.id);
+        res.send({purged});
+    }));
+};
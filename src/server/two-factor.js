@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import { connectDB } from './connect-db'
+import { indexedCollection } from './collections'
+import { generateSecret, verifyCode, otpauthURI } from './totp';
+
+/**
+ * Optional TOTP second factor. A user's settings live on the user document as
+ * `twoFactor: {enabled, secret, pendingSecret, lastUsedStep, recoveryCodeHashes}`.
+ * Enrolment stores a pending secret until the user proves their authenticator works by confirming a first code.
+ */
+const issuer = process.env.TOTP_ISSUER || `Organizer`;
+const recoveryCodeCount = 10;
+const challengeLifetime = 1000 * 60 * 5;
+
+const hash = value => crypto.createHash(`sha256`).update(String(value)).digest(`hex`);
+
+const normalizeRecoveryCode = code => String(code).toLowerCase().replace(/[^0-9a-f]/g, ``);
+
+const generateRecoveryCodes = ()=>Array.from({length:recoveryCodeCount}, ()=>{
+    let code = crypto.randomBytes(5).toString(`hex`);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+export const isTwoFactorEnabled = user => Boolean(user.twoFactor && user.twoFactor.enabled);
+
+export async function beginEnrolment(user){
+    let secret = generateSecret();
+    let db = await connectDB();
+    await db.collection(`users`).updateOne({id:user.id},{$set:{'twoFactor.pendingSecret':secret}});
+    return {secret, otpauthURI:otpauthURI(secret, user.name, issuer)};
+}
+
+/**
+ * Turns two-factor on if `code` matches the pending secret. Resolves to the plain recovery codes,
+ * which are shown to the user once and only stored hashed, or null if the code was wrong.
+ */
+export async function confirmEnrolment(user, code){
+    let pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+    let step = pendingSecret ? verifyCode(pendingSecret, code) : null;
+    if (step === null) {
+        return null;
+    }
+
+    let recoveryCodes = generateRecoveryCodes();
+    let db = await connectDB();
+    await db.collection(`users`).updateOne({id:user.id},{$set:{twoFactor:{
+        enabled:true,
+        secret:pendingSecret,
+        lastUsedStep:step,
+        recoveryCodeHashes:recoveryCodes.map(code=>hash(normalizeRecoveryCode(code)))
+    }}});
+    return recoveryCodes;
+}
+
+export async function disableTwoFactor(user){
+    let db = await connectDB();
+    await db.collection(`users`).updateOne({id:user.id},{$unset:{twoFactor:``}});
+}
+
+/**
+ * Checks a login code, which is either a current TOTP code or an unused recovery code.
+ * Each TOTP time step and each recovery code is only accepted once.
+ */
+export async function verifySecondFactor(user, code){
+    let db = await connectDB();
+    let users = db.collection(`users`);
+    let step = verifyCode(user.twoFactor.secret, code);
+    if (step !== null) {
+        let { modifiedCount } = await users.updateOne(
+            {id:user.id, $or:[{'twoFactor.lastUsedStep':{$lt:step}}, {'twoFactor.lastUsedStep':{$exists:false}}]},
+            {$set:{'twoFactor.lastUsedStep':step}}
+        );
+        return modifiedCount > 0;
+    }
+
+    if (typeof code !== `string`) {
+        return false;
+    }
+    let { modifiedCount } = await users.updateOne(
+        {id:user.id, 'twoFactor.recoveryCodeHashes':hash(normalizeRecoveryCode(code))},
+        {$pull:{'twoFactor.recoveryCodeHashes':hash(normalizeRecoveryCode(code))}}
+    );
+    return modifiedCount > 0;
+}
+
+/* A challenge stands in for the verified password while the login waits for the second factor. */
+const challengesCollection = ()=>indexedCollection(`twoFactorChallenges`, [
+    [{challengeHash:1},{unique:true}],
+    [{expiresAt:1},{expireAfterSeconds:0}]
+]);
+
+export async function createChallenge(userID){
+    let collection = await challengesCollection();
+    let challenge = crypto.randomBytes(32).toString(`hex`);
+    await collection.insertOne({
+        challengeHash:hash(challenge),
+        userID,
+        expiresAt:new Date(Date.now() + challengeLifetime)
+    });
+    return challenge;
+}
+
+/**
+ * Resolves to the user ID a live challenge was issued for, or null.
+ */
+export async function findChallenge(challenge){
+    let collection = await challengesCollection();
+    let found = await collection.findOne({challengeHash:hash(challenge), expiresAt:{$gt:new Date()}});
+    return found ? found.userID : null;
+}
+
+export async function consumeChallenge(challenge){
+    let collection = await challengesCollection();
+    await collection.deleteOne({challengeHash:hash(challenge)});
+}
@@ -1,18 +1,24 @@
 import { connectDB } from './connect-db'
+import { listLabels } from './labels';
+
+/* Credentials and contact details never leave the server as part of the user list. */
+const privateUserFields = {passwordHash:0, twoFactor:0, email:0};
 
 export async function assembleUserState(user){
     let db = await connectDB();
 
-    let tasks = await db.collection(`tasks`).find({owner:user.id}).toArray();
-    let comments = await db.collection(`comments`).find({task:{$in:tasks.map(task=>task.id)}}).toArray();
+    /* tasks in the trash, and their comments, are only shown by the Trash view */
+    let tasks = await db.collection(`tasks`).find({owner:user.id, trashedAt:null}).toArray();
+    let comments = await db.collection(`comments`).find({task:{$in:tasks.map(task=>task.id)}, trashedAt:null}).toArray();
     let users = [
-        await db.collection(`users`).findOne({id:user.id}),
-        ...await db.collection(`users`).find({id:{$in:[...tasks,comments].map(x=>x.owner)}}).toArray()
+        await db.collection(`users`).findOne({id:user.id},{projection:privateUserFields}),
+        ...await db.collection(`users`).find({id:{$in:[...tasks,...comments].map(x=>x.owner).filter(Boolean)}},{projection:privateUserFields}).toArray()
     ];
 
     return {
         session:{authenticated:`AUTHENTICATED`,id:user.id},
         groups:await db.collection(`groups`).find({owner:user.id}).toArray(),
+        labels:await listLabels(user.id),
         tasks,
         users,
         comments
@@ -0,0 +1,136 @@
+import { ValidationError } from './errors';
+import { ruleErrors } from '../shared/account-policy';
+
+/**
+ * A small validator for the subset of JSON Schema the route schemas in `schemas.js` use:
+ * `type`, `required`, `properties`, `additionalProperties`, `items`, `enum`, `minLength`, `maxLength`,
+ * `pattern`, `minimum`, `maximum` and `maxItems`. `type` may be a list of types, any of which is accepted.
+ *
+ * Independently of the schema, any object key starting with `$` is rejected, so query operators such as
+ * `{"$ne":null}` can never reach Mongo through a request body.
+ */
+
+const typeOf = value => {
+    if (value === null) {
+        return `null`;
+    }
+    if (Array.isArray(value)) {
+        return `array`;
+    }
+    if (Number.isInteger(value)) {
+        return `integer`;
+    }
+    return typeof value;
+};
+
+const matchesType = (expected, value) => {
+    let actual = typeOf(value);
+    return [].concat(expected).some(type=>actual === type || (type === `number` && actual === `integer`));
+};
+
+const fieldName = (path, key) => path ? `${path}.${key}` : key;
+
+function checkOperatorKeys(value, path, errors){
+    if (typeOf(value) === `array`) {
+        value.forEach((item, index)=>checkOperatorKeys(item, `${path}[${index}]`, errors));
+    } else if (typeOf(value) === `object`) {
+        for (let key of Object.keys(value)) {
+            if (key.startsWith(`$`)) {
+                errors.push({field:fieldName(path, key), message:`must not start with $`});
+            } else {
+                checkOperatorKeys(value[key], fieldName(path, key), errors);
+            }
+        }
+    }
+}
+
+function checkSchema(schema, value, path, errors){
+    if (schema.type && !matchesType(schema.type, value)) {
+        errors.push({field:path, message:`must be of type ${[].concat(schema.type).join(` or `)}`});
+        return;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({field:path, message:`must be one of ${schema.enum.join(`, `)}`});
+    }
+
+    switch (typeOf(value)) {
+        case `string`:
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({field:path, message:`must be at least ${schema.minLength} characters long`});
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({field:path, message:`must be at most ${schema.maxLength} characters long`});
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({field:path, message:`is not in the expected format`});
+            }
+            break;
+        case `integer`:
+        case `number`:
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({field:path, message:`must be at least ${schema.minimum}`});
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({field:path, message:`must be at most ${schema.maximum}`});
+            }
+            break;
+        case `array`:
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({field:path, message:`must have at most ${schema.maxItems} items`});
+            }
+            if (schema.items) {
+                value.forEach((item, index)=>checkSchema(schema.items, item, `${path}[${index}]`, errors));
+            }
+            break;
+        case `object`:
+            for (let key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push({field:fieldName(path, key), message:`is required`});
+                }
+            }
+            for (let key of Object.keys(value)) {
+                let property = schema.properties && schema.properties[key];
+                if (property) {
+                    checkSchema(property, value[key], fieldName(path, key), errors);
+                } else if (schema.additionalProperties === false && !key.startsWith(`$`)) {
+                    errors.push({field:fieldName(path, key), message:`is not allowed`});
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * Returns a list of `{field, message}` errors, empty when the value is valid.
+ */
+export function validate(schema, value){
+    let errors = [];
+    checkOperatorKeys(value, ``, errors);
+    checkSchema(schema, value, ``, errors);
+    return errors;
+}
+
+/**
+ * Express middleware that rejects a request whose body does not match the schema with a `ValidationError` listing the field errors.
+ */
+export const validateBody = schema => (req,res,next)=>{
+    let errors = validate(schema, req.body);
+    if (errors.length) {
+        return next(new ValidationError(`Invalid request body`, errors));
+    }
+    next();
+};
+
+/**
+ * Express middleware that rejects a request whose body breaks the username or password policy.
+ * `fields` maps body fields to their rules from `src/shared/account-policy.js`. Runs after `validateBody`.
+ */
+export const enforcePolicy = fields => (req,res,next)=>{
+    let errors = Object.keys(fields)
+        .reduce((errors, field)=>[...errors, ...ruleErrors(fields[field], req.body[field], field)], []);
+    if (errors.length) {
+        return next(new ValidationError(`Invalid request body`, errors));
+    }
+    next();
+};
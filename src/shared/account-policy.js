@@ -0,0 +1,67 @@
+/**
+ * The rules for usernames and passwords, shared by the server, which enforces them, and the Signup form, which shows
+ * each rule's status as the user types.
+ *
+ * Each rule has a `label` for the form, a `message` for API errors (in the `{field, message}` style of validate.js)
+ * and a `test` that returns true when the value satisfies it.
+ */
+
+export const usernameLength = {min:3, max:32};
+export const passwordMinLength = 8;
+
+/* Compared case-insensitively. Drawn from the most common passwords in public breach corpora. */
+export const commonPasswords = [
+    `12345678`, `123456789`, `1234567890`, `12345678910`, `87654321`, `11111111`, `00000000`, `88888888`,
+    `password`, `password1`, `password12`, `password123`, `password1234`, `passw0rd`, `p@ssw0rd`, `p@ssword`,
+    `qwerty12`, `qwerty123`, `qwertyuiop`, `1q2w3e4r`, `1q2w3e4r5t`, `1qaz2wsx`, `zaq12wsx`, `qazwsxedc`,
+    `abc12345`, `abcd1234`, `a1b2c3d4`, `aa123456`, `asdf1234`, `asdfghjkl`, `zxcvbnm1`,
+    `iloveyou`, `iloveyou1`, `iloveyou2`, `princess1`, `sunshine1`, `football1`, `baseball1`, `superman1`,
+    `welcome1`, `welcome123`, `letmein1`, `letmein123`, `trustno1`, `monkey123`, `dragon123`, `shadow123`,
+    `master123`, `admin123`, `admin1234`, `administrator`, `changeme`, `changeme1`, `default1`, `secret123`,
+    `computer1`, `internet1`, `starwars1`, `whatever1`, `michael1`, `jennifer1`, `jordan23`, `liverpool1`,
+    `chocolate1`, `1password`, `pa55word`, `test1234`, `testing123`, `guest1234`, `login123`, `hello123`
+];
+
+export const usernameRules = [{
+    label:`${usernameLength.min} to ${usernameLength.max} characters`,
+    message:`must be ${usernameLength.min} to ${usernameLength.max} characters long`,
+    test:username=>username.length >= usernameLength.min && username.length <= usernameLength.max
+},{
+    label:`Only letters, numbers, spaces, dots, dashes and underscores`,
+    message:`may only contain letters, numbers, spaces, dots, dashes and underscores`,
+    test:username=>/^[A-Za-z0-9 ._-]*$/.test(username)
+},{
+    label:`Starts and ends with a letter or number`,
+    message:`must start and end with a letter or number`,
+    test:username=>/^[A-Za-z0-9](.*[A-Za-z0-9])?$/.test(username)
+}];
+
+export const passwordRules = [{
+    label:`At least ${passwordMinLength} characters`,
+    message:`must be at least ${passwordMinLength} characters long`,
+    test:password=>password.length >= passwordMinLength
+},{
+    label:`Contains a letter`,
+    message:`must contain a letter`,
+    test:password=>/[A-Za-z]/.test(password)
+},{
+    label:`Contains a number or symbol`,
+    message:`must contain a number or symbol`,
+    test:password=>/[^A-Za-z]/.test(password)
+},{
+    label:`Not a commonly used password`,
+    message:`is too common`,
+    test:password=>!commonPasswords.includes(password.toLowerCase())
+}];
+
+/**
+ * Returns every rule with whether the value passes it, for showing the rules as a checklist.
+ */
+export const checkRules = (rules, value)=>rules.map(({label, test})=>({label, passed:test(String(value))}));
+
+/**
+ * Returns `{field, message}` errors for each rule the value breaks, empty when it passes them all.
+ */
+export const ruleErrors = (rules, value, field)=>rules
+    .filter(({test})=>!test(String(value)))
+    .map(({message})=>({field, message}));
@@ -0,0 +1,82 @@
+/**
+ * Date arithmetic for task due and start dates, shared by the server, which answers the Today, Upcoming and Overdue
+ * views, and the client, which shows overdue badges.
+ *
+ * Dates are stored as instants, alongside the IANA time zone they were picked in. "Today" depends on where the user
+ * is, so the day boundaries are always worked out in a named time zone rather than in the server's or the browser's.
+ */
+
+const hourLength = 1000 * 60 * 60;
+
+/* How many days after today the Upcoming view covers. */
+export const upcomingDays = 7;
+
+export const dateViews = [`today`, `upcoming`, `overdue`];
+
+export const isValidTimeZone = timeZone => {
+    try {
+        new Intl.DateTimeFormat(`en-US`, {timeZone});
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * The wall-clock parts of an instant in a time zone. Node 10 ignores the `hourCycle` option, so this asks for
+ * `hour12:false`, which some versions answer with hour 24 at midnight.
+ */
+const wallClock = (instant, timeZone) => {
+    let parts = new Intl.DateTimeFormat(`en-US`, {
+        timeZone,
+        hour12:false,
+        year:`numeric`, month:`numeric`, day:`numeric`,
+        hour:`numeric`, minute:`numeric`, second:`numeric`
+    }).formatToParts(instant);
+    let part = type => Number(parts.find(part=>part.type === type).value);
+    return {year:part(`year`), month:part(`month`), day:part(`day`), hour:part(`hour`) % 24, minute:part(`minute`), second:part(`second`)};
+};
+
+/**
+ * How far ahead of UTC the time zone's clocks are at an instant, in milliseconds.
+ */
+export const zoneOffset = (instant, timeZone) => {
+    let {year, month, day, hour, minute, second} = wallClock(instant, timeZone);
+    let wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+    return wallTime - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+/**
+ * The instant the day containing `instant` began in the time zone.
+ */
+export const startOfDay = (instant, timeZone) => {
+    let {year, month, day} = wallClock(instant, timeZone);
+    let midnight = Date.UTC(year, month - 1, day);
+    /* the offset at midnight can differ from the offset now when the clocks changed today */
+    let guess = midnight - zoneOffset(new Date(midnight), timeZone);
+    return new Date(midnight - zoneOffset(new Date(guess), timeZone));
+};
+
+/**
+ * The instant the day `days` after the one containing `instant` begins. Days are 23 to 25 hours long around clock
+ * changes, so this steps to the middle of the day rather than adding 24 hours.
+ */
+export const startOfDayAfter = (instant, timeZone, days = 1) => {
+    let start = startOfDay(instant, timeZone);
+    return startOfDay(new Date(start.getTime() + (days * 24 + 12) * hourLength), timeZone);
+};
+
+/**
+ * The `[from, to)` ranges that make up each view: today, the `upcomingDays` after it, and everything due before now.
+ */
+export const viewRanges = (now, timeZone) => {
+    let today = startOfDay(now, timeZone);
+    let tomorrow = startOfDayAfter(now, timeZone);
+    return {
+        today:{from:today, to:tomorrow},
+        upcoming:{from:tomorrow, to:startOfDayAfter(now, timeZone, upcomingDays + 1)},
+        overdue:{from:null, to:now}
+    };
+};
+
+export const isOverdue = (task, now = new Date()) => Boolean(task.dueAt && !task.isComplete && new Date(task.dueAt) < now);
@@ -0,0 +1,34 @@
+/**
+ * Task labels. Each user has their own labels; a task lists the ids of the labels attached to it in `labels`, so a
+ * renamed or recoloured label shows up everywhere at once.
+ */
+
+export const maxLabelsPerTask = 20;
+
+export const labelNameLength = {min:1, max:40};
+
+/* Colours are stored as `#rrggbb`. The label editor offers these, but any colour in that form is accepted. */
+export const labelColorPattern = `^#[0-9a-fA-F]{6}$`;
+
+export const labelColors = [`#e53935`, `#fb8c00`, `#fdd835`, `#43a047`, `#00897b`, `#1e88e5`, `#3949ab`, `#8e24aa`, `#6d4c41`, `#757575`];
+
+export const labelMatchModes = [`any`, `all`];
+
+/**
+ * True when the task has any (or, with `all`, every) one of the labels. An empty filter matches every task.
+ */
+export const matchesLabels = (task, labelIDs, match = `any`) => {
+    if (!labelIDs.length) {
+        return true;
+    }
+    let attached = task.labels || [];
+    return match === `all` ?
+        labelIDs.every(id=>attached.includes(id)) :
+        labelIDs.some(id=>attached.includes(id));
+};
+
+/* Dark text on light labels and light text on dark ones, by the colour's perceived brightness. */
+export const labelTextColor = color => {
+    let [red, green, blue] = [1, 3, 5].map(start=>parseInt(color.slice(start, start + 2), 16));
+    return (red * 299 + green * 587 + blue * 114) / 1000 > 150 ? `#212529` : `#ffffff`;
+};
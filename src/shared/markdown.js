@@ -0,0 +1,253 @@
+/**
+ * The Markdown used in task descriptions: headings, paragraphs, bulleted and numbered lists, block quotes, fenced code
+ * blocks, inline code, bold, italics and links.
+ *
+ * Rendering is safe by construction rather than by cleaning up afterwards. Every piece of text is HTML-escaped, so
+ * HTML written in a description shows as text. The only tags produced are the ones for the elements above, and links
+ * are only made for http(s), mailto and relative URLs.
+ */
+
+export const maxDescriptionLength = 20000;
+
+/* Task lists show this much of a description's plain text. */
+export const excerptLength = 200;
+
+/* Each level of quoting is parsed recursively, so deeper `>` markers are kept as text. */
+export const maxQuoteDepth = 8;
+
+const entities = {'&':`&amp;`, '<':`&lt;`, '>':`&gt;`, '"':`&quot;`, "'":`&#39;`};
+const escapeHTML = text => text.replace(/[&<>"']/g, character=>entities[character]);
+
+const safeURL = /^(https?:|mailto:|\/|#)/i;
+
+const blockPatterns = {
+    fence:/^ {0,3}(`{3,}|~{3,})\s*([\w-]*)/,
+    heading:/^ {0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/,
+    bullet:/^ {0,3}[-*+]\s+(.*)$/,
+    numbered:/^ {0,3}(\d{1,9})[.)]\s+(.*)$/,
+    quote:/^ {0,3}>\s?(.*)$/
+};
+
+const isBlank = line => !line.trim();
+const isQuote = (line, depth) => depth < maxQuoteDepth && blockPatterns.quote.test(line);
+const startsBlock = (line, depth) => isQuote(line, depth) ||
+    [blockPatterns.fence, blockPatterns.heading, blockPatterns.bullet, blockPatterns.numbered].some(pattern=>pattern.test(line));
+
+const parseBlocks = (source, depth = 0) => {
+    let lines = source.replace(/\r\n?/g, `\n`).split(`\n`);
+    let blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        let line = lines[i];
+        let match;
+        if (isBlank(line)) {
+            i++;
+        } else if ((match = blockPatterns.fence.exec(line))) {
+            /* an unclosed fence runs to the end of the description */
+            let code = [];
+            for (i++; i < lines.length && !lines[i].trim().startsWith(match[1]); i++) {
+                code.push(lines[i]);
+            }
+            i++;
+            blocks.push({type:`code`, language:match[2], text:code.join(`\n`)});
+        } else if ((match = blockPatterns.heading.exec(line))) {
+            blocks.push({type:`heading`, level:match[1].length, text:match[2]});
+            i++;
+        } else if (blockPatterns.bullet.test(line) || blockPatterns.numbered.test(line)) {
+            /* lines that don't start an item continue the one before */
+            let ordered = !blockPatterns.bullet.test(line);
+            let pattern = ordered ? blockPatterns.numbered : blockPatterns.bullet;
+            let items = [];
+            for (; i < lines.length && !isBlank(lines[i]); i++) {
+                let item = pattern.exec(lines[i]);
+                if (item) {
+                    items.push(item[item.length - 1]);
+                } else if (startsBlock(lines[i], depth)) {
+                    break;
+                } else {
+                    items[items.length - 1] += `\n${lines[i].trim()}`;
+                }
+            }
+            blocks.push({type:`list`, ordered, start:ordered ? Number(pattern.exec(line)[1]) : 1, items});
+        } else if (isQuote(line, depth)) {
+            let quoted = [];
+            for (; i < lines.length && isQuote(lines[i], depth); i++) {
+                quoted.push(blockPatterns.quote.exec(lines[i])[1]);
+            }
+            blocks.push({type:`quote`, blocks:parseBlocks(quoted.join(`\n`), depth + 1)});
+        } else {
+            let paragraph = [line.trim()];
+            for (i++; i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i], depth); i++) {
+                paragraph.push(lines[i].trim());
+            }
+            blocks.push({type:`paragraph`, text:paragraph.join(`\n`)});
+        }
+    }
+    return blocks;
+};
+
+/* Underscores only emphasise whole words, so snake_case names are left alone. */
+const isWordCharacter = character => Boolean(character) && /\w/.test(character);
+
+/**
+ * For every position in the text, the position of the first character at or after it that passes `test`, or the
+ * length of the text if there is none. Looking closers up here rather than searching for them keeps inline parsing
+ * linear however many openers are never closed.
+ */
+const nextPositions = (text, test) => {
+    let positions = new Array(text.length + 3).fill(text.length);
+    for (let i = text.length - 1; i >= 0; i--) {
+        positions[i] = test(text[i], i) ? i : positions[i + 1];
+    }
+    return positions;
+};
+
+/*
+ * The inline elements are tried in this order at each position: code, links, `**`, `__`, `*` and `_`. Emphasis
+ * closes at the nearest closer on the same line. Returns the element's nodes and where it ends, undefined if none
+ * starts here, or null for underscores inside a word, which also rule out the elements after them.
+ */
+const inlineAt = (text, i, next) => {
+    if (text[i] === `\``) {
+        let close = next.backtick[i + 1];
+        return close > i + 1 && close < text.length ? {nodes:[{type:`code`, text:text.slice(i + 1, close)}], end:close + 1} : undefined;
+    }
+    if (text[i] === `[`) {
+        let close = next.bracket[i + 1];
+        if (text[close + 1] !== `(`) {
+            return undefined;
+        }
+        let hrefStart = next.nonSpace[close + 2];
+        let hrefEnd = next.spaceOrParen[hrefStart];
+        let paren = next.nonSpace[hrefEnd];
+        if (text[paren] !== `)`) {
+            return undefined;
+        }
+        let href = text.slice(hrefStart, hrefEnd);
+        let children = parseInline(text.slice(i + 1, close));
+        return {nodes:safeURL.test(href) ? [{type:`link`, href, children}] : children, end:paren + 1};
+    }
+    let marker = text[i];
+    if (marker !== `*` && marker !== `_`) {
+        return undefined;
+    }
+    let strong = text[i + 1] === marker;
+    let close = strong ? next.pair[marker][i + 3] : undefined;
+    if (!(close < text.length && next.newline[i + 2] > close)) {
+        strong = false;
+        close = next.single[marker][i + 2];
+        if (!(close < text.length && next.newline[i + 1] > close)) {
+            return undefined;
+        }
+    }
+    let width = strong ? 2 : 1;
+    if (marker === `_` && (isWordCharacter(text[i - 1]) || isWordCharacter(text[close + width]))) {
+        return null;
+    }
+    return {nodes:[{type:strong ? `strong` : `em`, children:parseInline(text.slice(i + width, close))}], end:close + width};
+};
+
+const parseInline = text => {
+    let isSpace = character => /\s/.test(character);
+    let next = {
+        backtick:nextPositions(text, character=>character === `\``),
+        bracket:nextPositions(text, character=>character === `]`),
+        newline:nextPositions(text, character=>character === `\n`),
+        nonSpace:nextPositions(text, character=>!isSpace(character)),
+        spaceOrParen:nextPositions(text, character=>character === `)` || isSpace(character)),
+        single:{
+            '*':nextPositions(text, character=>character === `*`),
+            '_':nextPositions(text, character=>character === `_`)
+        },
+        pair:{
+            '*':nextPositions(text, (character, i)=>character === `*` && text[i + 1] === `*`),
+            '_':nextPositions(text, (character, i)=>character === `_` && text[i + 1] === `_`)
+        }
+    };
+    let nodes = [];
+    let index = 0;
+    for (let i = 0; i < text.length; i++) {
+        let element = inlineAt(text, i, next);
+        if (!element) {
+            continue;
+        }
+        if (i > index) {
+            nodes.push({type:`text`, text:text.slice(index, i)});
+        }
+        nodes.push(...element.nodes);
+        index = element.end;
+        i = element.end - 1;
+    }
+    if (index < text.length) {
+        nodes.push({type:`text`, text:text.slice(index)});
+    }
+    return nodes;
+};
+
+const inlineHTML = nodes => nodes.map(node=>{
+    switch (node.type) {
+        case `code`:
+            return `<code>${escapeHTML(node.text)}</code>`;
+        case `link`:
+            return `<a href="${escapeHTML(node.href)}" rel="nofollow noopener noreferrer" target="_blank">${inlineHTML(node.children)}</a>`;
+        case `strong`:
+            return `<strong>${inlineHTML(node.children)}</strong>`;
+        case `em`:
+            return `<em>${inlineHTML(node.children)}</em>`;
+        default:
+            return escapeHTML(node.text);
+    }
+}).join(``);
+
+const blocksHTML = blocks => blocks.map(block=>{
+    switch (block.type) {
+        case `code`:
+            return `<pre><code${block.language ? ` class="language-${escapeHTML(block.language)}"` : ``}>${escapeHTML(block.text)}</code></pre>`;
+        case `heading`:
+            return `<h${block.level}>${inlineHTML(parseInline(block.text))}</h${block.level}>`;
+        case `list`:
+            let tag = block.ordered ? `ol` : `ul`;
+            let start = block.start !== 1 ? ` start="${block.start}"` : ``;
+            return `<${tag}${start}>${block.items.map(item=>`<li>${inlineHTML(parseInline(item))}</li>`).join(``)}</${tag}>`;
+        case `quote`:
+            return `<blockquote>${blocksHTML(block.blocks)}</blockquote>`;
+        default:
+            return `<p>${inlineHTML(parseInline(block.text))}</p>`;
+    }
+}).join(`\n`);
+
+const inlineText = nodes => nodes.map(node=>node.children ? inlineText(node.children) : node.text).join(``);
+
+const blocksText = blocks => blocks.map(block=>{
+    switch (block.type) {
+        case `code`:
+            return block.text;
+        case `list`:
+            return block.items.map(item=>inlineText(parseInline(item))).join(`\n`);
+        case `quote`:
+            return blocksText(block.blocks);
+        default:
+            return inlineText(parseInline(block.text));
+    }
+}).join(`\n\n`);
+
+/**
+ * Renders a description as HTML that is safe to insert into the page.
+ */
+export const renderMarkdown = source => blocksHTML(parseBlocks(source || ``));
+
+export const markdownToText = source => blocksText(parseBlocks(source || ``));
+
+/**
+ * The start of a description's plain text on one line, cut at a word where possible and ending in an ellipsis when
+ * anything was left out.
+ */
+export const excerpt = (source, length = excerptLength) => {
+    let text = markdownToText(source).replace(/\s+/g, ` `).trim();
+    if (text.length <= length) {
+        return text;
+    }
+    let cut = text.slice(0, length - 1);
+    let space = cut.lastIndexOf(` `);
+    return `${(space > length / 2 ? cut.slice(0, space) : cut).trim()}…`;
+};
@@ -0,0 +1,61 @@
+/**
+ * Task priorities and the orders a group's tasks can be listed in. The server validates against these lists and the
+ * client sorts with `sortTasks`, so both agree on what each mode means.
+ */
+
+/* From least to most pressing. */
+export const priorities = [`none`, `low`, `medium`, `high`, `urgent`];
+
+export const sortModes = [`manual`, `priority`, `dueDate`, `created`, `name`];
+
+export const defaultSortMode = `manual`;
+
+const rank = priority => priorities.indexOf(priority || `none`);
+
+/* Missing values sort after present ones, whichever way the field is ordered. */
+const byMissingLast = (a, b) => (a === undefined || a === null) - (b === undefined || b === null);
+
+/* `direction` is 1 for earliest first and -1 for latest first. */
+const byDate = (field, direction = 1) => (a, b) => byMissingLast(a[field], b[field]) ||
+    (a[field] && b[field] ? direction * (new Date(a[field]) - new Date(b[field])) : 0);
+
+const byName = (a, b) => String(a.name || ``).localeCompare(String(b.name || ``), undefined, {numeric:true, sensitivity:`base`});
+
+const byPosition = (a, b) => byMissingLast(a.position, b.position) || (a.position || 0) - (b.position || 0);
+
+const byPriority = (a, b) => rank(b.priority) - rank(a.priority);
+
+const byNewest = byDate(`createdAt`, -1);
+
+const comparators = {
+    /* tasks that have never been moved follow those that have, in the order they were created */
+    manual:[byPosition, byDate(`createdAt`)],
+    priority:[byPriority, byDate(`dueAt`), byName],
+    dueDate:[byDate(`dueAt`), byPriority, byName],
+    created:[byNewest, byName],
+    name:[byName, byNewest]
+};
+
+/**
+ * Returns a sorted copy of the tasks. Ties on the mode's field are broken by the fields that follow it, and tasks
+ * still tied keep their original order.
+ */
+export const sortTasks = (tasks, mode = defaultSortMode) => {
+    let order = comparators[mode] || comparators[defaultSortMode];
+    return [...tasks].sort((a, b) => order.reduce((result, compare) => result || compare(a, b), 0));
+};
+
+/**
+ * Moves a task `offset` places up (negative) or down (positive) a group's manual order, and returns the group's task
+ * ids in their new order. The offset is clamped to the ends of the list.
+ */
+export const moveTask = (tasks, taskID, offset) => {
+    let ids = sortTasks(tasks, `manual`).map(task=>task.id);
+    let from = ids.indexOf(taskID);
+    if (from === -1) {
+        return ids;
+    }
+    let to = Math.min(Math.max(from + offset, 0), ids.length - 1);
+    ids.splice(to, 0, ...ids.splice(from, 1));
+    return ids;
+};
@@ -0,0 +1,82 @@
+const { collection, fixtureUser, signIn, useTestDatabase, withToken } = require('./fixtures');
+
+describe('Personal Access Token Integration Tests', () => {
+    let api;
+
+    const testUser = fixtureUser("token-test-user", "Token Test User", "testpassword123");
+
+    const createToken = (name, scope) => api.post('/account/tokens', { name, scope });
+
+    useTestDatabase([testUser]);
+
+    beforeEach(async () => {
+        api = await signIn(testUser, 'testpassword123');
+    });
+
+    it('should return the token once and store only its hash', async () => {
+        const response = await createToken('CI script', 'write');
+
+        expect(response.status).toBe(200);
+        expect(response.body.token).toMatch(/^pat_[0-9a-f]{64}$/);
+        expect(response.body.accessToken).toMatchObject({ name: 'CI script', scope: 'write', lastUsedAt: null });
+
+        const stored = await collection('accessTokens').findOne({ id: response.body.accessToken.id });
+        expect(JSON.stringify(stored)).not.toContain(response.body.token.slice(4));
+
+        const list = await api.get('/account/tokens');
+        expect(list.body.tokens).toHaveLength(1);
+        expect(list.body.tokens[0]).not.toHaveProperty('tokenHash');
+    });
+
+    it('should accept a write token for task creation and record when it was used', async () => {
+        const { body } = await createToken('CI script', 'write');
+
+        const response = await withToken(body.token).post('/task/new', { task: { id: 'token-test-task', name: 'Scripted Task', owner: testUser.id, isComplete: false } });
+        expect(response.status).toBe(200);
+
+        const stored = await collection('accessTokens').findOne({ id: body.accessToken.id });
+        expect(stored.lastUsedAt).toBeInstanceOf(Date);
+    });
+
+    it('should limit read tokens to GET requests', async () => {
+        const { body } = await createToken('Dashboard', 'read');
+
+        const state = await withToken(body.token).get('/session/state');
+        expect(state.status).toBe(200);
+        expect(state.body.session).toBeNull();
+        expect(state.body.state).toHaveProperty('tasks');
+
+        const write = await withToken(body.token).post('/task/new', { task: { id: 'token-read-task', name: 'Not Allowed', owner: testUser.id, isComplete: false } });
+        expect(write.status).toBe(403);
+    });
+
+    it('should not let a token manage tokens or passwords', async () => {
+        const { body } = await createToken('CI script', 'write');
+
+        const mint = await withToken(body.token).post('/account/tokens', { name: 'Another', scope: 'write' });
+        expect(mint.status).toBe(403);
+
+        const password = await withToken(body.token).post('/account/password', { currentPassword: 'testpassword123', newPassword: 'newpassword456' });
+        expect(password.status).toBe(403);
+    });
+
+    it('should reject a token once it is revoked', async () => {
+        const { body } = await createToken('CI script', 'read');
+
+        const revoke = await api.post('/account/tokens/revoke', { id: body.accessToken.id });
+        expect(revoke.status).toBe(200);
+
+        const response = await withToken(body.token).get('/session/state');
+        expect(response.status).toBe(401);
+
+        const again = await api.post('/account/tokens/revoke', { id: body.accessToken.id });
+        expect(again.status).toBe(404);
+    });
+
+    it('should reject unknown scopes', async () => {
+        const response = await createToken('CI script', 'admin');
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.details).toContainEqual({ field: 'scope', message: 'must be one of read, write' });
+    });
+});
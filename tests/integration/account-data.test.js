@@ -0,0 +1,135 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Account Export, Import and Deletion Integration Tests', () => {
+    let api;
+
+    const testUser = fixtureUser("data-test-user", "Data Test User", "testpassword123", { email: "data@example.com" });
+    const neighbour = fixtureUser("data-test-neighbour", "Data Test Neighbour", "neighbourpassword123");
+    const importer = fixtureUser("data-test-importer", "Data Test Importer", "importerpassword123");
+
+    useTestDatabase([testUser, neighbour, importer]);
+
+    beforeEach(async () => {
+        await collection('groups').insertMany([
+            { id: 'data-test-group', owner: testUser.id, name: 'To Do' },
+            { id: 'data-test-neighbour-group', owner: neighbour.id, name: 'To Do' }
+        ]);
+        await collection('tasks').insertMany([
+            { id: 'data-test-task', owner: testUser.id, group: 'data-test-group', name: 'Mine', isComplete: false },
+            { id: 'data-test-neighbour-task', owner: neighbour.id, group: 'data-test-neighbour-group', name: 'Theirs', isComplete: true }
+        ]);
+        await collection('comments').insertMany([
+            { id: 'data-test-comment-own', owner: testUser.id, task: 'data-test-task', content: 'Note to self' },
+            { id: 'data-test-comment-visitor', owner: neighbour.id, task: 'data-test-task', content: 'Need help?' },
+            { id: 'data-test-comment-away', owner: testUser.id, task: 'data-test-neighbour-task', content: 'Nice work' }
+        ]);
+
+        api = await signIn(testUser, 'testpassword123');
+    });
+
+    describe('POST /account/export', () => {
+        it('should download everything tied to the account without credentials', async () => {
+            const response = await api.post('/account/export', { password: 'testpassword123' });
+
+            expect(response.status).toBe(200);
+            expect(response.headers['content-disposition']).toMatch(/attachment; filename="organizer-export-/);
+            expect(response.body).toMatchObject({ format: 'organizer-account-export', version: 1 });
+            expect(response.body.account).toMatchObject({ id: testUser.id, name: testUser.name, email: testUser.email });
+            expect(response.body.account).not.toHaveProperty('passwordHash');
+            expect(response.body.groups).toEqual([{ id: 'data-test-group', name: 'To Do', sortMode: 'manual' }]);
+            expect(response.body.tasks.map(task => task.id)).toEqual(['data-test-task']);
+            expect(response.body.comments.map(comment => comment.id).sort()).toEqual([
+                'data-test-comment-away', 'data-test-comment-own', 'data-test-comment-visitor'
+            ]);
+        });
+
+        it('should leave out tasks in the trash and their comments', async () => {
+            await collection('tasks').insertOne({ id: 'data-test-trashed', owner: testUser.id, group: 'data-test-group', name: 'Deleted', isComplete: false });
+            await collection('comments').insertOne({ id: 'data-test-comment-trashed', owner: testUser.id, task: 'data-test-trashed', content: 'Gone' });
+            expect((await api.post('/task/trash', { id: 'data-test-trashed' })).status).toBe(200);
+            const neighbourAPI = await signIn(neighbour, 'neighbourpassword123');
+            expect((await neighbourAPI.post('/task/trash', { id: 'data-test-neighbour-task' })).status).toBe(200);
+
+            const { body: archive } = await api.post('/account/export', { password: 'testpassword123' });
+            expect(archive.tasks.map(task => task.id)).toEqual(['data-test-task']);
+            expect(archive.comments.map(comment => comment.id).sort()).toEqual(['data-test-comment-own', 'data-test-comment-visitor']);
+
+            const importerAPI = await signIn(importer, 'importerpassword123');
+            const response = await importerAPI.post('/account/import', { archive });
+            expect(response.body.imported.tasks).toBe(1);
+            expect(await collection('tasks').countDocuments({ owner: importer.id, name: 'Deleted' })).toBe(0);
+        });
+
+        it('should require the password', async () => {
+            const response = await api.post('/account/export', { password: 'wrong' });
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('POST /account/import', () => {
+        it('should recreate an export in another account under new ids', async () => {
+            const { body: archive } = await api.post('/account/export', { password: 'testpassword123' });
+            const importerAPI = await signIn(importer, 'importerpassword123');
+
+            const response = await importerAPI.post('/account/import', { archive });
+
+            expect(response.status).toBe(200);
+            expect(response.body.imported).toEqual({ labels: 0, groups: 1, tasks: 1, comments: 2 });
+
+            const [group] = await collection('groups').find({ owner: importer.id }).toArray();
+            const [task] = await collection('tasks').find({ owner: importer.id }).toArray();
+            expect(group.id).not.toBe('data-test-group');
+            expect(task).toMatchObject({ name: 'Mine', group: group.id, isComplete: false });
+
+            const comments = await collection('comments').find({ task: task.id }).toArray();
+            expect(comments.map(comment => [comment.content, comment.owner]).sort()).toEqual([
+                ['Need help?', null],
+                ['Note to self', importer.id]
+            ]);
+        });
+
+        it('should reject files that are not exports', async () => {
+            const wrongFormat = await api.post('/account/import', { archive: { format: 'other', version: 1, groups: [], tasks: [], comments: [] } });
+            expect(wrongFormat.status).toBe(400);
+
+            const repeated = await api.post('/account/import', { archive: {
+                format: 'organizer-account-export',
+                version: 1,
+                groups: [{ id: 'g', name: 'One' }, { id: 'g', name: 'Two' }],
+                tasks: [],
+                comments: []
+            } });
+            expect(repeated.status).toBe(400);
+            expect(repeated.body.error.details).toEqual([{ field: 'archive.groups', message: 'must not repeat ids' }]);
+        });
+    });
+
+    describe('POST /account/delete', () => {
+        it('should require the password and the username typed out', async () => {
+            const wrongPassword = await api.post('/account/delete', { password: 'wrong', confirmUsername: testUser.name });
+            expect(wrongPassword.status).toBe(403);
+
+            const wrongName = await api.post('/account/delete', { password: 'testpassword123', confirmUsername: 'someone' });
+            expect(wrongName.status).toBe(400);
+            expect(wrongName.body.error.details[0].field).toBe('confirmUsername');
+
+            expect(await collection('users').findOne({ id: testUser.id })).not.toBeNull();
+        });
+
+        it('should remove the account and its data and anonymise comments elsewhere', async () => {
+            const response = await api.post('/account/delete', { password: 'testpassword123', confirmUsername: testUser.name });
+            expect(response.status).toBe(200);
+
+            expect(await collection('users').findOne({ id: testUser.id })).toBeNull();
+            expect(await collection('groups').countDocuments({ owner: testUser.id })).toBe(0);
+            expect(await collection('tasks').countDocuments({ owner: testUser.id })).toBe(0);
+            expect(await collection('comments').countDocuments({ task: 'data-test-task' })).toBe(0);
+            expect(await collection('comments').findOne({ id: 'data-test-comment-away' }))
+                .toMatchObject({ owner: null, content: 'Nice work' });
+            expect(await collection('tasks').findOne({ id: 'data-test-neighbour-task' })).not.toBeNull();
+
+            const afterwards = await api.get('/account');
+            expect(afterwards.status).toBe(401);
+        });
+    });
+});
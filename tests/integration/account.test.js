@@ -0,0 +1,75 @@
+const { anonymous, collection, fixtureUser, logIn, useTestDatabase, withToken } = require('./fixtures');
+
+describe('Account Settings Integration Tests', () => {
+    const testUser = fixtureUser("account-test-user", "Account Test User", "testpassword123", { email: "account@example.com" });
+
+    const login = password => logIn(testUser.name, password)
+        .then(response => response.body.token);
+
+    useTestDatabase([testUser]);
+
+    describe('GET /account', () => {
+        it('should return account metadata without the password hash', async () => {
+            const token = await login('testpassword123');
+
+            const response = await withToken(token).get('/account');
+
+            expect(response.status).toBe(200);
+            expect(response.body.account).toMatchObject({
+                id: testUser.id,
+                name: testUser.name,
+                displayName: testUser.name,
+                email: testUser.email
+            });
+            expect(response.body.account).not.toHaveProperty('passwordHash');
+        });
+
+        it('should require authentication', async () => {
+            const response = await anonymous.get('/account');
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('POST /account/password', () => {
+        it('should change the password and end every other session', async () => {
+            const otherToken = await login('testpassword123');
+            const token = await login('testpassword123');
+
+            const response = await withToken(token).post('/account/password', { currentPassword: 'testpassword123', newPassword: 'newpassword456' });
+            expect(response.status).toBe(200);
+
+            const current = await withToken(token).get('/account');
+            expect(current.status).toBe(200);
+            expect(current.body.account.passwordChangedAt).toBeTruthy();
+
+            const other = await withToken(otherToken).get('/account');
+            expect(other.status).toBe(401);
+
+            expect(await login('newpassword456')).toBeDefined();
+        });
+
+        it('should require the current password', async () => {
+            const token = await login('testpassword123');
+
+            const response = await withToken(token).post('/account/password', { currentPassword: 'wrong-password', newPassword: 'newpassword456' });
+
+            expect(response.status).toBe(403);
+            const user = await collection('users').findOne({ id: testUser.id });
+            expect(user.passwordHash).toBe(testUser.passwordHash);
+        });
+    });
+
+    describe('POST /account/display-name', () => {
+        it('should change the display name shown to other users', async () => {
+            const token = await login('testpassword123');
+
+            const response = await withToken(token).post('/account/display-name', { displayName: 'Acct' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.account.displayName).toBe('Acct');
+            const user = await collection('users').findOne({ id: testUser.id });
+            expect(user.displayName).toBe('Acct');
+            expect(user.name).toBe(testUser.name);
+        });
+    });
+});
@@ -0,0 +1,92 @@
+const { collection, fixtureUser, logIn, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Admin API Integration Tests', () => {
+    let adminAPI;
+    let memberAPI;
+
+    const admin = fixtureUser("admin-test-admin", "Admin Test Admin", "adminpassword123", { role: "admin" });
+    const member = fixtureUser("admin-test-member", "Admin Test Member", "memberpassword123", { email: "member@example.com" });
+
+    const login = (user, password) => logIn(user.name, password);
+
+    useTestDatabase([admin, member]);
+
+    beforeEach(async () => {
+        adminAPI = await signIn(admin, 'adminpassword123');
+        memberAPI = await signIn(member, 'memberpassword123');
+    });
+
+    it('should refuse users without the admin role', async () => {
+        const response = await memberAPI.get('/admin/users');
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.code).toBe('forbidden');
+    });
+
+    it('should list and search users without exposing credentials', async () => {
+        const response = await adminAPI.get('/admin/users', { search: 'admin test m' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.total).toBe(1);
+        expect(response.body.users[0]).toMatchObject({ id: member.id, role: 'user', disabled: false });
+        expect(response.body.users[0]).not.toHaveProperty('passwordHash');
+
+        const byEmail = await adminAPI.get('/admin/users', { search: 'MEMBER@' });
+        expect(byEmail.body.users.map(user => user.id)).toEqual([member.id]);
+    });
+
+    it('should treat search text literally', async () => {
+        const response = await adminAPI.get('/admin/users', { search: '.*' });
+
+        expect(response.body.total).toBe(0);
+    });
+
+    it('should disable and re-enable a user', async () => {
+        const disabled = await adminAPI.post('/admin/users/disable', { id: member.id });
+        expect(disabled.status).toBe(200);
+        expect(disabled.body.user.disabled).toBe(true);
+
+        const oldSession = await memberAPI.get('/session/state');
+        expect(oldSession.status).toBe(401);
+        expect((await login(member, 'memberpassword123')).status).toBe(403);
+
+        await adminAPI.post('/admin/users/enable', { id: member.id });
+        expect((await login(member, 'memberpassword123')).status).toBe(200);
+    });
+
+    it('should not let admins disable, demote or delete themselves', async () => {
+        expect((await adminAPI.post('/admin/users/disable', { id: admin.id })).status).toBe(403);
+        expect((await adminAPI.post('/admin/users/role', { id: admin.id, role: 'user' })).status).toBe(403);
+        expect((await adminAPI.post('/admin/users/delete', { id: admin.id })).status).toBe(403);
+    });
+
+    it('should promote a user to admin', async () => {
+        const response = await adminAPI.post('/admin/users/role', { id: member.id, role: 'admin' });
+        expect(response.status).toBe(200);
+
+        const list = await memberAPI.get('/admin/users');
+        expect(list.status).toBe(200);
+    });
+
+    it('should delete a user and their data', async () => {
+        await collection('tasks').insertOne({ id: 'admin-test-task', owner: member.id, name: 'Doomed', isComplete: false });
+
+        const response = await adminAPI.post('/admin/users/delete', { id: member.id });
+        expect(response.status).toBe(200);
+
+        expect(await collection('users').findOne({ id: member.id })).toBeNull();
+        expect(await collection('tasks').findOne({ id: 'admin-test-task' })).toBeNull();
+        expect(await collection('sessions').findOne({ userID: member.id })).toBeNull();
+
+        expect((await adminAPI.post('/admin/users/delete', { id: member.id })).status).toBe(404);
+    });
+
+    it('should force a password reset', async () => {
+        const response = await adminAPI.post('/admin/users/reset-password', { id: member.id });
+        expect(response.status).toBe(200);
+        expect(response.body.emailed).toBe(true);
+
+        expect((await login(member, 'memberpassword123')).status).toBe(401);
+        expect(await collection('passwordResets').findOne({ userID: member.id })).not.toBeNull();
+    });
+});
@@ -0,0 +1,100 @@
+const { anonymous, fixtureUser, logIn, signIn, useTestDatabase } = require('./fixtures');
+const { generateCode } = require('../../src/server/totp');
+
+describe('Audit Log Integration Tests', () => {
+    let adminAPI;
+
+    const admin = fixtureUser("audit-test-admin", "Audit Test Admin", "adminpassword123", { role: "admin" });
+    const member = fixtureUser("audit-test-member", "Audit Test Member", "memberpassword123");
+
+    const login = (user, password) => logIn(user.name, password).set('User-Agent', 'Audit Test Agent');
+
+    const queryAudit = query => adminAPI.get('/admin/audit', query);
+
+    useTestDatabase([admin, member], { usernames: ['audit-nobody'] });
+
+    beforeEach(async () => {
+        adminAPI = await signIn(admin, 'adminpassword123');
+    });
+
+    it('should record successful and failed logins with where they came from', async () => {
+        await login(member, 'wrong-password');
+        await login({ name: 'audit-nobody' }, 'whatever');
+        await login(member, 'memberpassword123');
+
+        const response = await queryAudit({ type: 'login,login.failed', userID: member.id });
+        expect(response.status).toBe(200);
+        expect(response.body.events.map(event => event.type)).toEqual(['login', 'login.failed']);
+        expect(response.body.events[1].details).toEqual({ username: member.name, reason: 'wrong_password' });
+        expect(response.body.events[0]).toMatchObject({ userID: member.id, device: 'Audit Test Agent' });
+        expect(response.body.events[0].ip).toBeTruthy();
+
+        const failed = await queryAudit({ type: 'login.failed' });
+        const reasons = failed.body.events
+            .filter(event => [member.name, 'audit-nobody'].includes(event.details.username))
+            .map(event => event.details.reason);
+        expect(reasons.sort()).toEqual(['unknown_user', 'wrong_password']);
+    });
+
+    it('should record token and password changes as the user who made them', async () => {
+        const memberAPI = await signIn(member, 'memberpassword123');
+        const created = await memberAPI.post('/account/tokens', { name: 'Script', scope: 'read' });
+        await memberAPI.post('/account/tokens/revoke', { id: created.body.accessToken.id });
+        await memberAPI.post('/account/password', { currentPassword: 'memberpassword123', newPassword: 'newpassword456' });
+
+        const response = await queryAudit({ userID: member.id, type: ['token.created', 'token.revoked', 'password.changed'] });
+        expect(response.body.events.map(event => event.type)).toEqual(['password.changed', 'token.revoked', 'token.created']);
+        response.body.events.forEach(event => expect(event.actorID).toBe(member.id));
+        expect(JSON.stringify(response.body.events)).not.toContain(created.body.token);
+    });
+
+    it('should record two-factor changes, revoked sessions and logouts', async () => {
+        const memberAPI = await signIn(member, 'memberpassword123');
+        const { body: { secret } } = await memberAPI.post('/account/two-factor/enrol');
+        await memberAPI.post('/account/two-factor/confirm', { code: generateCode(secret) });
+        await memberAPI.post('/account/two-factor/disable', { password: 'memberpassword123' });
+
+        await signIn(member, 'memberpassword123');
+        const { body: { sessions } } = await memberAPI.get('/session/list');
+        const other = sessions.find(session => !session.current);
+        await memberAPI.post('/session/revoke', { id: other.id });
+        await memberAPI.post('/logout');
+
+        const response = await queryAudit({ userID: member.id, type: 'two_factor.enabled,two_factor.disabled,session.revoked,logout' });
+        expect(response.body.events.map(event => event.type)).toEqual(['logout', 'session.revoked', 'two_factor.disabled', 'two_factor.enabled']);
+        expect(response.body.events[1].details).toEqual({ sessionID: other.id });
+        response.body.events.forEach(event => expect(event.actorID).toBe(member.id));
+    });
+
+    it('should record admin actions with the admin as actor', async () => {
+        await adminAPI.post('/admin/users/disable', { id: member.id });
+
+        const response = await queryAudit({ type: 'admin.user_disabled', userID: member.id });
+        expect(response.body.total).toBe(1);
+        expect(response.body.events[0]).toMatchObject({ userID: member.id, actorID: admin.id });
+    });
+
+    it('should filter by time range', async () => {
+        await login(member, 'memberpassword123');
+        const later = new Date(Date.now() + 60000).toISOString();
+
+        const none = await queryAudit({ from: later });
+        expect(none.body.total).toBe(0);
+
+        const all = await queryAudit({ to: later });
+        expect(all.body.total).toBeGreaterThan(0);
+
+        const invalid = await queryAudit({ from: 'yesterday-ish' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.details).toEqual([{ field: 'from', message: 'is not a valid date' }]);
+    });
+
+    it('should only be available to admins', async () => {
+        const memberAPI = await signIn(member, 'memberpassword123');
+
+        const response = await memberAPI.get('/admin/audit');
+        expect(response.status).toBe(403);
+
+        expect((await anonymous.get('/admin/audit')).status).toBe(401);
+    });
+});
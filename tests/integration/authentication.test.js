@@ -0,0 +1,115 @@
+const { anonymous, collection, fixtureUser, logIn, useTestDatabase, withToken } = require('./fixtures');
+const { solveChallenge } = require('../../src/server/proof-of-work');
+
+describe('Authentication Middleware Integration Tests', () => {
+    let authToken;
+
+    const testUser = fixtureUser("auth-test-user", "Auth Test User", "testpassword123");
+    const secondUser = fixtureUser("auth-second-user", "Auth Second User", "secondpassword");
+    const legacyUser = fixtureUser("auth-legacy-user", "Auth Legacy User", "legacypassword");
+
+    useTestDatabase([testUser, secondUser, legacyUser], { usernames: ['nobody-by-this-name', /^auth-signup-/] });
+
+    beforeEach(async () => {
+        await collection('tasks').insertOne({ id: 'auth-task-1', name: 'Auth Task', owner: testUser.id, isComplete: false });
+
+        authToken = (await logIn(testUser.name, 'testpassword123')).body.token;
+    });
+
+    const protectedRoutes = [
+        ['/task/new', { task: { id: 'auth-task-new', name: 'New Auth Task', owner: 'auth-test-user', isComplete: false } }],
+        ['/task/update', { task: { id: 'auth-task-1', name: 'Renamed' } }],
+        ['/comment/new', { comment: { id: 'auth-comment-1', task: 'auth-task-1', owner: 'auth-test-user', content: 'Hi' } }]
+    ];
+
+    describe.each(protectedRoutes)('POST %s', (route, body) => {
+        it('should reject requests without an Authorization header', async () => {
+            const response = await anonymous.post(route, body);
+            expect(response.status).toBe(401);
+        });
+
+        it('should reject requests with an unknown token', async () => {
+            const response = await withToken('not-a-real-token').post(route, body);
+            expect(response.status).toBe(401);
+        });
+
+        it('should reject a token sent with the wrong scheme', async () => {
+            const response = await anonymous.post(route, body).set('Authorization', `Basic ${authToken}`);
+            expect(response.status).toBe(401);
+        });
+
+        it('should accept requests with a valid token', async () => {
+            const response = await withToken(authToken).post(route, body);
+            expect(response.status).toBe(200);
+        });
+    });
+
+    it('should return the session of the user who logged in', async () => {
+        const login = await logIn(secondUser.name, 'secondpassword');
+
+        expect(login.status).toBe(200);
+        expect(login.body.session).toMatchObject({ id: secondUser.id, name: secondUser.name, token: login.body.token });
+        expect(new Date(login.body.session.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+        const task = { id: 'auth-second-user-task', name: 'Second User Task', owner: login.body.session.id, isComplete: false };
+        await withToken(login.body.token).post('/task/new', { task });
+
+        const restored = await withToken(login.body.token).get('/session/state');
+        expect(restored.body.session.id).toBe(secondUser.id);
+        expect(restored.body.state.tasks.map(task => task.id)).toContain(task.id);
+        restored.body.state.tasks.forEach(task => expect(task.owner).toBe(secondUser.id));
+    });
+
+    it('should answer unknown users and wrong passwords alike with a 401 error envelope', async () => {
+        const unknown = await logIn('nobody-by-this-name', 'testpassword123');
+        const wrong = await logIn(testUser.name, 'wrong-password');
+
+        expect(unknown.status).toBe(401);
+        expect(wrong.status).toBe(401);
+        expect(unknown.body).toEqual(wrong.body);
+        expect(wrong.body).toEqual({
+            error: { code: 'authentication_failed', message: 'Username or password is incorrect', details: null }
+        });
+    });
+
+    it('should answer missing tokens and unknown routes with the error envelope', async () => {
+        const unauthenticated = await anonymous.get('/session/state');
+        expect(unauthenticated.status).toBe(401);
+        expect(unauthenticated.body.error.code).toBe('authentication_failed');
+
+        const missing = await anonymous.get('/no/such/route');
+        expect(missing.status).toBe(404);
+        expect(missing.body.error.code).toBe('not_found');
+    });
+
+    it('should migrate a legacy md5 password hash to scrypt on login', async () => {
+        const first = await logIn(legacyUser.name, 'legacypassword');
+        expect(first.status).toBe(200);
+
+        const migrated = await collection('users').findOne({ id: legacyUser.id });
+        expect(migrated.passwordHash).toMatch(/^scrypt\$1\$/);
+
+        const second = await logIn(legacyUser.name, 'legacypassword');
+        expect(second.status).toBe(200);
+    });
+
+    it('should issue a usable token when a new account is created', async () => {
+        const username = `auth-signup-${Date.now()}`;
+        const { body: { challenge, difficulty } } = await anonymous.post('/user/challenge');
+        const signup = await anonymous.post('/user/create', {
+            username,
+            password: 'signup-pass-42',
+            proof: { challenge, nonce: solveChallenge(challenge, difficulty) }
+        });
+
+        expect(signup.status).toBe(200);
+        expect(signup.body).toHaveProperty('token');
+
+        const stored = await collection('users').findOne({ name: username });
+        expect(stored.passwordHash).toMatch(/^scrypt\$1\$/);
+
+        const response = await withToken(signup.body.token)
+            .post('/task/new', { task: { id: `${username}-task`, name: 'Signup Task', owner: signup.body.userID, isComplete: false } });
+        expect(response.status).toBe(200);
+    });
+});
@@ -0,0 +1,113 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Authorization Integration Tests', () => {
+    let aliceAPI;
+    let malloryAPI;
+
+    const alice = fixtureUser('authz-alice', 'Authz Alice', 'alicepassword');
+    const mallory = fixtureUser('authz-mallory', 'Authz Mallory', 'mallorypassword');
+    const bob = fixtureUser('authz-bob', 'Authz Bob', 'bobpassword');
+
+    useTestDatabase([alice, mallory, bob]);
+
+    beforeEach(async () => {
+        await collection('groups').insertMany([
+            { id: 'authz-alice-group', name: 'Alice To Do', owner: alice.id },
+            { id: 'authz-mallory-group', name: 'Mallory To Do', owner: mallory.id },
+            { id: 'authz-shared-group', name: 'Shared', owner: bob.id, members: [alice.id] }
+        ]);
+        await collection('tasks').insertMany([
+            { id: 'authz-alice-task', name: 'Alice Task', owner: alice.id, group: 'authz-alice-group', isComplete: false },
+            { id: 'authz-shared-task', name: 'Shared Task', owner: bob.id, group: 'authz-shared-group', isComplete: false }
+        ]);
+
+        aliceAPI = await signIn(alice, 'alicepassword');
+        malloryAPI = await signIn(mallory, 'mallorypassword');
+    });
+
+    describe('POST /task/update', () => {
+        it('should forbid updating another user\'s task', async () => {
+            const response = await malloryAPI.post('/task/update', { task: { id: 'authz-alice-task', name: 'Pwned' } });
+
+            expect(response.status).toBe(403);
+            const task = await collection('tasks').findOne({ id: 'authz-alice-task' });
+            expect(task.name).toBe('Alice Task');
+        });
+
+        it('should forbid moving a task into another user\'s group', async () => {
+            const response = await aliceAPI.post('/task/update', { task: { id: 'authz-alice-task', group: 'authz-mallory-group' } });
+
+            expect(response.status).toBe(403);
+            const task = await collection('tasks').findOne({ id: 'authz-alice-task' });
+            expect(task.group).toBe('authz-alice-group');
+        });
+
+        it('should allow updates to tasks in a group the user was granted access to', async () => {
+            const response = await aliceAPI.post('/task/update', { task: { id: 'authz-shared-task', isComplete: true } });
+
+            expect(response.status).toBe(200);
+            const task = await collection('tasks').findOne({ id: 'authz-shared-task' });
+            expect(task.isComplete).toBe(true);
+        });
+
+        it('should answer 404 for unknown tasks', async () => {
+            const response = await aliceAPI.post('/task/update', { task: { id: 'authz-missing-task', name: 'Ghost' } });
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('POST /task/new', () => {
+        it('should forbid creating a task owned by someone else', async () => {
+            const response = await malloryAPI.post('/task/new', {
+                task: { id: 'authz-planted-task', name: 'Planted', owner: alice.id, group: 'authz-mallory-group', isComplete: false }
+            });
+
+            expect(response.status).toBe(403);
+            expect(await collection('tasks').findOne({ id: 'authz-planted-task' })).toBeFalsy();
+        });
+
+        it('should forbid creating a task in another user\'s group', async () => {
+            const response = await malloryAPI.post('/task/new', {
+                task: { id: 'authz-planted-task', name: 'Planted', owner: mallory.id, group: 'authz-alice-group', isComplete: false }
+            });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should refuse to reuse the id of an existing task', async () => {
+            const response = await malloryAPI.post('/task/new', {
+                task: { id: 'authz-alice-task', name: 'Shadow', owner: mallory.id, group: 'authz-mallory-group', isComplete: false }
+            });
+
+            expect(response.status).toBe(409);
+            expect(await collection('tasks').countDocuments({ id: 'authz-alice-task' })).toBe(1);
+        });
+    });
+
+    describe('POST /comment/new', () => {
+        it('should forbid commenting on another user\'s task', async () => {
+            const response = await malloryAPI.post('/comment/new', {
+                comment: { id: 'authz-comment', task: 'authz-alice-task', owner: mallory.id, content: 'Spam' }
+            });
+
+            expect(response.status).toBe(403);
+            expect(await collection('comments').findOne({ id: 'authz-comment' })).toBeFalsy();
+        });
+
+        it('should forbid posting a comment as someone else', async () => {
+            const response = await malloryAPI.post('/comment/new', {
+                comment: { id: 'authz-comment', task: 'authz-alice-task', owner: alice.id, content: 'Spam' }
+            });
+
+            expect(response.status).toBe(403);
+        });
+
+        it('should allow comments on tasks the user can access', async () => {
+            const response = await aliceAPI.post('/comment/new', {
+                comment: { id: 'authz-comment', task: 'authz-shared-task', owner: alice.id, content: 'On it' }
+            });
+
+            expect(response.status).toBe(200);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Shared setup for the integration suites: test users, signing in through `/authenticate`, and a clean slate in the
+ * test database around every test. Requests go straight to the Express app through supertest, so no port is opened.
+ *
+ * connect-db.js reads MONGODB_URI when it is first loaded, so suites must require this module before anything else
+ * from src/server. It always points at the test database, even when MONGODB_URI names a real one.
+ */
+process.env.MONGODB_URI = 'mongodb://localhost:27017/organizer_test';
+
+const request = require('supertest');
+const md5 = require('md5');
+const { connectDB } = require('../../src/server/connect-db');
+const { app } = require('../../src/server/server');
+
+let db = null;
+
+const collection = name => db.collection(name);
+
+/* A user document for `useTestDatabase`; tests sign in with the same `password`. */
+const fixtureUser = (id, name, password, fields = {}) => ({ id, name, passwordHash: md5(password), ...fields });
+
+/* Requests carrying a session token, as the app's own client sends them, or no token at all. */
+const withToken = token => {
+    const authorize = test => token ? test.set('Authorization', `Bearer ${token}`) : test;
+    return {
+        get: (route, query = {}) => authorize(request(app)
+            .get(route)
+            .query(query)),
+        post: (route, body = {}) => authorize(request(app)
+            .post(route))
+            .send(body)
+    };
+};
+
+/* Requests without a session, for signing up, logging in and checking what anonymous callers get. */
+const anonymous = withToken(null);
+
+const logIn = (username, password) => anonymous.post('/authenticate', { username, password });
+
+/* Signs in through `/authenticate` and resolves to `get` and `post` helpers for that session. */
+const signIn = (user, password) => logIn(user.name, password)
+    .then(response => withToken(response.body.token));
+
+/* supertest connects over the loopback interface, which Express reports in one of these forms. */
+const loopbackIPs = ['127.0.0.1', '::ffff:127.0.0.1', '::1'];
+
+/**
+ * Connects to the test database, and before each test removes everything belonging to the users, then inserts them
+ * afresh. The same clean-up runs after the last test.
+ *
+ * `usernames` names accounts the tests sign up or try to log in as; strings or regular expressions. Their accounts,
+ * data and failed logins are removed too. Failed logins and signups are also counted per IP, so the loopback
+ * address's counters are reset as well. Nothing else in the database is touched.
+ */
+const useTestDatabase = (users, { usernames = [] } = {}) => {
+    const names = [...users.map(user => user.name), ...usernames];
+
+    const cleanUp = async () => {
+        const signedUp = await collection('users').find({ name: { $in: usernames } }).toArray();
+        const ids = [...users, ...signedUp].map(user => user.id);
+        const tasks = await collection('tasks').find({ owner: { $in: ids } }).toArray();
+        const throttleKeys = [
+            ...names.filter(name => typeof name === 'string').map(name => `user:${name}`),
+            ...loopbackIPs.map(ip => `ip:${ip}`)
+        ];
+
+        await collection('comments').deleteMany({ $or: [{ owner: { $in: ids } }, { task: { $in: tasks.map(task => task.id) } }] });
+        await collection('tasks').deleteMany({ owner: { $in: ids } });
+        await collection('groups').deleteMany({ owner: { $in: ids } });
+        await collection('labels').deleteMany({ owner: { $in: ids } });
+        await collection('invites').deleteMany({ createdBy: { $in: ids } });
+        for (const name of ['sessions', 'accessTokens', 'passwordResets', 'twoFactorChallenges']) {
+            await collection(name).deleteMany({ userID: { $in: ids } });
+        }
+        await collection('audit').deleteMany({
+            $or: [{ userID: { $in: ids } }, { actorID: { $in: ids } }, { 'details.username': { $in: names } }]
+        });
+        await collection('loginAttempts').deleteMany({ key: { $in: throttleKeys } });
+        await collection('signupVolume').deleteMany({ ip: { $in: loopbackIPs } });
+        await collection('users').deleteMany({ $or: [{ id: { $in: ids } }, { name: { $in: names } }] });
+    };
+
+    beforeAll(async () => {
+        db = await connectDB();
+    }, 30000);
+
+    beforeEach(async () => {
+        await cleanUp();
+        if (users.length) {
+            await collection('users').insertMany(users.map(user => ({ ...user })));
+        }
+    });
+
+    afterAll(cleanUp, 10000);
+};
+
+module.exports = { anonymous, collection, fixtureUser, logIn, loopbackIPs, signIn, useTestDatabase, withToken };
@@ -0,0 +1,98 @@
+const { anonymous, collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+const { solveChallenge } = require('../../src/server/proof-of-work');
+
+describe('Invite-Only Registration Integration Tests', () => {
+    let adminAPI;
+
+    const prefix = 'invite-test-user';
+
+    const admin = fixtureUser("invite-test-admin", "Invite Test Admin", "adminpassword123", { role: "admin" });
+
+    const issueInvite = body => adminAPI.post('/admin/invites', body).then(response => response.body);
+
+    const signup = async (username, inviteCode) => {
+        const { body: { challenge, difficulty } } = await anonymous.post('/user/challenge');
+        return anonymous.post('/user/create', {
+            username,
+            password: 'signup-pass-42',
+            inviteCode,
+            proof: { challenge, nonce: solveChallenge(challenge, difficulty) }
+        });
+    };
+
+    useTestDatabase([admin], { usernames: [new RegExp(`^${prefix}`)] });
+
+    beforeAll(() => {
+        process.env.REGISTRATION_MODE = 'invite';
+    });
+
+    afterAll(() => {
+        delete process.env.REGISTRATION_MODE;
+    });
+
+    beforeEach(async () => {
+        adminAPI = await signIn(admin, 'adminpassword123');
+    });
+
+    it('should tell the signup form that an invite is required', async () => {
+        const response = await anonymous.get('/registration');
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({ inviteRequired: true });
+    });
+
+    it('should refuse signups without a valid invite code', async () => {
+        const missing = await signup(`${prefix}-missing`);
+        expect(missing.status).toBe(400);
+        expect(missing.body.error.details).toEqual([{ field: 'inviteCode', message: 'is invalid, expired or used up' }]);
+
+        const unknown = await signup(`${prefix}-unknown`, 'AAAA-BBBB-CCCC');
+        expect(unknown.status).toBe(400);
+        expect(await collection('users').findOne({ name: `${prefix}-unknown` })).toBeNull();
+    });
+
+    it('should accept a code until its uses run out and record each redemption', async () => {
+        const { code, invite } = await issueInvite({ note: 'two friends', maxUses: 2 });
+        expect(code).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+        expect(invite.remainingUses).toBe(2);
+        expect(invite.codeHash).toBeUndefined();
+
+        expect((await signup(`${prefix}-first`, code)).status).toBe(200);
+        expect((await signup(`${prefix}-second`, code.toLowerCase().replace(/-/g, ''))).status).toBe(200);
+        expect((await signup(`${prefix}-third`, code)).status).toBe(400);
+
+        const stored = await collection('invites').findOne({ id: invite.id });
+        expect(stored.remainingUses).toBe(0);
+        expect(stored.redemptions.map(redemption => redemption.username)).toEqual([`${prefix}-first`, `${prefix}-second`]);
+
+        const signupEvent = await collection('audit').findOne({ type: 'signup', 'details.username': `${prefix}-first` });
+        expect(signupEvent.details.inviteID).toBe(invite.id);
+    });
+
+    it('should refuse expired and revoked codes', async () => {
+        const expired = await issueInvite({});
+        await collection('invites').updateOne({ id: expired.invite.id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+        expect((await signup(`${prefix}-expired`, expired.code)).status).toBe(400);
+
+        const revoked = await issueInvite({});
+        expect((await adminAPI.post('/admin/invites/revoke', { id: revoked.invite.id })).status).toBe(200);
+        expect((await signup(`${prefix}-revoked`, revoked.code)).status).toBe(400);
+
+        expect((await adminAPI.post('/admin/invites/revoke', { id: 'no-such-invite' })).status).toBe(404);
+    });
+
+    it('should list invites for admins only', async () => {
+        await issueInvite({ note: 'listed' });
+
+        const listed = await adminAPI.get('/admin/invites');
+        expect(listed.status).toBe(200);
+        expect(listed.body.invites.some(invite => invite.note === 'listed')).toBe(true);
+
+        expect((await anonymous.post('/admin/invites')).status).toBe(401);
+    });
+
+    it('should validate invite settings', async () => {
+        const response = await adminAPI.post('/admin/invites', { maxUses: 0 });
+        expect(response.status).toBe(400);
+        expect(response.body.error.details[0].field).toBe('maxUses');
+    });
+});
@@ -0,0 +1,78 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Label Integration Tests', () => {
+    let api;
+    let strangerAPI;
+
+    const owner = fixtureUser("label-test-owner", "Label Test Owner", "ownerpassword123");
+    const stranger = fixtureUser("label-test-stranger", "Label Test Stranger", "strangerpassword123");
+
+    const task = (id, labels = []) => ({ id, owner: owner.id, group: 'label-test-group', name: id, isComplete: false, labels });
+
+    useTestDatabase([owner, stranger]);
+
+    beforeEach(async () => {
+        await collection('groups').insertOne({ id: 'label-test-group', owner: owner.id, name: 'To Do' });
+
+        api = await signIn(owner, 'ownerpassword123');
+        strangerAPI = await signIn(stranger, 'strangerpassword123');
+    });
+
+    it('should create, list and update labels, keeping names unique per user', async () => {
+        const created = await api.post('/labels', { name: ' Work ', color: '#1e88e5' });
+        expect(created.status).toBe(200);
+        expect(created.body.label).toMatchObject({ name: 'Work', color: '#1e88e5' });
+        expect(created.body.label.owner).toBeUndefined();
+
+        expect((await api.post('/labels', { name: 'work', color: '#e53935' })).status).toBe(409);
+        expect((await strangerAPI.post('/labels', { name: 'Work', color: '#e53935' })).status).toBe(200);
+        expect((await api.post('/labels', { name: 'Home', color: 'green' })).status).toBe(400);
+        expect((await api.post('/labels', { name: '   ', color: '#43a047' })).status).toBe(400);
+
+        const updated = await api.post('/labels/update', { id: created.body.label.id, name: 'Office', color: '#3949ab' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.label).toMatchObject({ name: 'Office', color: '#3949ab' });
+        expect((await strangerAPI.post('/labels/update', { id: created.body.label.id, name: 'Home' })).status).toBe(404);
+
+        const listed = await api.get('/labels');
+        expect(listed.body.labels.map(label => label.name)).toEqual(['Office']);
+
+        const state = await api.get('/session/state');
+        expect(state.body.state.labels.map(label => label.name)).toEqual(['Office']);
+    });
+
+    it('should only attach the task owner\'s labels to a task', async () => {
+        const mine = (await api.post('/labels', { name: 'Mine', color: '#43a047' })).body.label;
+        const theirs = (await strangerAPI.post('/labels', { name: 'Theirs', color: '#e53935' })).body.label;
+
+        expect((await api.post('/task/new', { task: task('label-test-task', [mine.id]) })).status).toBe(200);
+        expect((await collection('tasks').findOne({ id: 'label-test-task' })).labels).toEqual([mine.id]);
+
+        const rejected = await api.post('/task/update', { task: { id: 'label-test-task', labels: [mine.id, theirs.id] } });
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error.details[0].field).toBe('task.labels');
+
+        expect((await api.post('/task/update', { task: { id: 'label-test-task', labels: [] } })).status).toBe(200);
+        expect((await collection('tasks').findOne({ id: 'label-test-task' })).labels).toEqual([]);
+    });
+
+    it('should remove a deleted label from every task', async () => {
+        const work = (await api.post('/labels', { name: 'Work', color: '#1e88e5' })).body.label;
+        const home = (await api.post('/labels', { name: 'Home', color: '#43a047' })).body.label;
+        await collection('tasks').insertMany([
+            task('label-test-a', [work.id, home.id]),
+            task('label-test-b', [work.id]),
+            task('label-test-c', [home.id])
+        ]);
+
+        expect((await strangerAPI.post('/labels/delete', { id: work.id })).status).toBe(404);
+
+        const deleted = await api.post('/labels/delete', { id: work.id });
+        expect(deleted.status).toBe(200);
+        expect(deleted.body.tasksUpdated).toBe(2);
+
+        const tasks = await collection('tasks').find({ owner: owner.id }).sort({ id: 1 }).toArray();
+        expect(tasks.map(task => task.labels)).toEqual([[home.id], [], [home.id]]);
+        expect(await collection('labels').countDocuments({ id: work.id })).toBe(0);
+    });
+});
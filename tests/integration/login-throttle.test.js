@@ -0,0 +1,57 @@
+process.env.LOGIN_MAX_FAILURES_PER_USER = '3';
+
+const { collection, fixtureUser, logIn, loopbackIPs, useTestDatabase } = require('./fixtures');
+
+describe('Login Throttling Integration Tests', () => {
+    const testUser = fixtureUser("throttle-test-user", "Throttle Test User", "testpassword123");
+
+    const throttleKeys = [`user:${testUser.name}`, ...loopbackIPs.map(ip => `ip:${ip}`)];
+
+    const login = password => logIn(testUser.name, password);
+
+    useTestDatabase([testUser]);
+
+    it('should lock the account out after repeated failures', async () => {
+        for (let i = 0; i < 3; i++) {
+            const response = await login('wrong-password');
+            expect(response.status).toBe(401);
+        }
+
+        const locked = await login('testpassword123');
+        expect(locked.status).toBe(429);
+        expect(locked.body.error.message).toContain('Too many');
+        expect(locked.body.error.details.retryAfter).toBeGreaterThan(0);
+        expect(Number(locked.headers['retry-after'])).toBe(locked.body.error.details.retryAfter);
+    });
+
+    it('should grow the lockout with every failure past the threshold', async () => {
+        for (let i = 0; i < 3; i++) {
+            await login('wrong-password');
+        }
+        const first = await collection('loginAttempts').findOne({ key: `user:${testUser.name}` });
+
+        await collection('loginAttempts').updateMany({ key: { $in: throttleKeys } }, { $unset: { lockedUntil: '' } });
+        await login('wrong-password');
+        const second = await collection('loginAttempts').findOne({ key: `user:${testUser.name}` });
+
+        const firstLockout = first.lockedUntil - first.lastFailureAt;
+        const secondLockout = second.lockedUntil - second.lastFailureAt;
+        expect(secondLockout).toBe(firstLockout * 2);
+    });
+
+    it('should count failures per client IP', async () => {
+        await login('wrong-password');
+
+        const ipCounter = await collection('loginAttempts').findOne({ key: { $in: throttleKeys.slice(1) } });
+        expect(ipCounter.failures).toBe(1);
+    });
+
+    it('should reset the counters after a successful login', async () => {
+        await login('wrong-password');
+        await login('wrong-password');
+
+        const success = await login('testpassword123');
+        expect(success.status).toBe(200);
+        expect(await collection('loginAttempts').countDocuments({ key: { $in: throttleKeys } })).toBe(0);
+    });
+});
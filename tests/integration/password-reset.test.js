@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outbox = fs.mkdtempSync(path.join(os.tmpdir(), 'reset-outbox-'));
+process.env.MAIL_OUTBOX_DIR = outbox;
+
+const { anonymous, collection, fixtureUser, logIn, useTestDatabase, withToken } = require('./fixtures');
+
+describe('Password Reset Integration Tests', () => {
+    const testUser = fixtureUser("reset-test-user", "Reset Test User", "oldpassword123", { email: "reset@example.com" });
+
+    const readOutbox = () => fs.readdirSync(outbox)
+        .map(file => JSON.parse(fs.readFileSync(path.join(outbox, file), 'utf8')));
+
+    const requestResetToken = async () => {
+        await anonymous.post('/password/forgot', { username: testUser.name });
+        const [message] = readOutbox();
+        return message.text.match(/\/reset\/([0-9a-f]+)/)[1];
+    };
+
+    useTestDatabase([testUser]);
+
+    afterAll(() => {
+        fs.readdirSync(outbox).forEach(file => fs.unlinkSync(path.join(outbox, file)));
+        fs.rmdirSync(outbox);
+    });
+
+    beforeEach(() => {
+        fs.readdirSync(outbox).forEach(file => fs.unlinkSync(path.join(outbox, file)));
+    });
+
+    describe('POST /password/forgot', () => {
+        it('should write a reset email to the outbox', async () => {
+            const response = await anonymous.post('/password/forgot', { username: testUser.name });
+
+            expect(response.status).toBe(200);
+            const messages = readOutbox();
+            expect(messages).toHaveLength(1);
+            expect(messages[0].to).toBe(testUser.email);
+            expect(messages[0].text).toMatch(/\/reset\/[0-9a-f]{64}/);
+        });
+
+        it('should respond the same way for unknown accounts without sending mail', async () => {
+            const response = await anonymous.post('/password/forgot', { username: 'nobody-by-this-name' });
+
+            expect(response.status).toBe(200);
+            expect(readOutbox()).toHaveLength(0);
+        });
+
+        it('should only store a hash of the reset token', async () => {
+            const token = await requestResetToken();
+
+            const stored = await collection('passwordResets').findOne({ userID: testUser.id });
+            expect(stored.tokenHash).not.toBe(token);
+            expect(JSON.stringify(stored)).not.toContain(token);
+        });
+    });
+
+    describe('POST /password/reset', () => {
+        it('should set the new password and end existing sessions', async () => {
+            const login = await logIn(testUser.name, 'oldpassword123');
+            const token = await requestResetToken();
+
+            const response = await anonymous.post('/password/reset', { token, password: 'newpassword456' });
+            expect(response.status).toBe(200);
+
+            const oldSession = await withToken(login.body.token).get('/session/state');
+            expect(oldSession.status).toBe(401);
+
+            const oldPassword = await logIn(testUser.name, 'oldpassword123');
+            expect(oldPassword.status).not.toBe(200);
+
+            const newPassword = await logIn(testUser.name, 'newpassword456');
+            expect(newPassword.status).toBe(200);
+        });
+
+        it('should only accept a token once', async () => {
+            const token = await requestResetToken();
+
+            await anonymous.post('/password/reset', { token, password: 'newpassword456' });
+            const reuse = await anonymous.post('/password/reset', { token, password: 'anotherpassword789' });
+
+            expect(reuse.status).toBe(400);
+        });
+
+        it('should reject expired tokens', async () => {
+            const token = await requestResetToken();
+            await collection('passwordResets').updateMany(
+                { userID: testUser.id },
+                { $set: { expiresAt: new Date(Date.now() - 1000) } }
+            );
+
+            const response = await anonymous.post('/password/reset', { token, password: 'newpassword456' });
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
@@ -1,39 +1,22 @@
-const { connectDB } = require('../../src/server/connect-db');
-const request = require('supertest');
-const { app } = require('../../src/server/server');
+const { collection, useTestDatabase } = require('./fixtures');
 const md5 = require('md5');
 
 describe('Schema Validation Integration Tests', () => {
-    let db;
-    let server;
-
-    beforeAll(async () => {
-        // Use test database
-        process.env.MONGODB_URI = 'mongodb://localhost:27017/organizer_test';
-        
-        // Connect to the database
-        db = await connectDB();
-        
-        // Start the server
-        server = app.listen(3002);
-        
-        console.log('🎯 Schema validation tests initialized');
-    }, 30000);
-
-    afterAll(async () => {
-        // Close server
-        if (server) {
-            server.close();
+    // These tests write raw documents, some without ids or owners, so each one is recorded and removed afterwards
+    let inserted = [];
+
+    const insertOne = (name, document) => collection(name).insertOne(document).then(result => {
+        inserted.push({ name, _id: result.insertedId });
+        return result;
+    });
+
+    useTestDatabase([]);
+
+    afterEach(async () => {
+        for (const { name, _id } of inserted) {
+            await collection(name).deleteOne({ _id });
         }
-        
-        console.log('🧹 Schema validation tests cleaned up');
-    }, 10000);
-
-    beforeEach(async () => {
-        // Clean collections before each test
-        await db.collection('users').deleteMany({});
-        await db.collection('tasks').deleteMany({});
-        await db.collection('groups').deleteMany({});
+        inserted = [];
     });
 
     describe('📋 User Schema Validation', () => {
@@ -50,11 +33,11 @@ describe('Schema Validation Integration Tests', () => {
 
             for (const invalidUser of invalidUsers) {
                 try {
-                    await db.collection('users').insertOne(invalidUser);
+                    await insertOne('users', invalidUser);
                     
                     // If we reach here, the insertion succeeded when it shouldn't have
                     // For this test, we'll verify our application logic handles this
-                    const user = await db.collection('users').findOne({ _id: invalidUser._id });
+                    const user = await collection('users').findOne({ _id: invalidUser._id });
                     
                     // Application-level validation
                     expect(user.id).toBeDefined();
@@ -82,12 +65,12 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert first user
-            await db.collection('users').insertOne(user1);
+            await insertOne('users', user1);
 
             // Try to insert user with duplicate ID
             // Since MongoDB doesn't enforce unique 'id' field by default,
             // we test application-level uniqueness
-            const existingUser = await db.collection('users').findOne({ id: user2.id });
+            const existingUser = await collection('users').findOne({ id: user2.id });
             expect(existingUser).toBeTruthy();
             expect(existingUser.name).toBe('User One');
         });
@@ -106,15 +89,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert valid user
-            const result1 = await db.collection('users').insertOne(validUser);
+            const result1 = await insertOne('users', validUser);
             expect(result1.insertedId).toBeDefined();
 
             // Insert user with invalid hash (MongoDB will allow, but app should validate)
-            const result2 = await db.collection('users').insertOne(invalidHashUser);
+            const result2 = await insertOne('users', invalidHashUser);
             expect(result2.insertedId).toBeDefined();
             
             // Application should validate hash length
-            const retrievedUser = await db.collection('users').findOne({ id: 'U125' });
+            const retrievedUser = await collection('users').findOne({ id: 'U125' });
             expect(retrievedUser.passwordHash.length).toBeLessThan(32); // Invalid hash
         });
 
@@ -134,14 +117,14 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert user with valid friends array
-            const result1 = await db.collection('users').insertOne(userWithValidFriends);
+            const result1 = await insertOne('users', userWithValidFriends);
             expect(result1.insertedId).toBeDefined();
 
             // Insert user with invalid friends (MongoDB allows, app should validate)
-            const result2 = await db.collection('users').insertOne(userWithInvalidFriends);
+            const result2 = await insertOne('users', userWithInvalidFriends);
             expect(result2.insertedId).toBeDefined();
             
-            const retrievedUser = await db.collection('users').findOne({ id: 'U127' });
+            const retrievedUser = await collection('users').findOne({ id: 'U127' });
             expect(Array.isArray(retrievedUser.friends)).toBeFalsy();
         });
     });
@@ -157,11 +140,11 @@ describe('Schema Validation Integration Tests', () => {
             ];
 
             for (const invalidTask of invalidTasks) {
-                const result = await db.collection('tasks').insertOne(invalidTask);
+                const result = await insertOne('tasks', invalidTask);
                 expect(result.insertedId).toBeDefined();
                 
                 // Application-level validation check
-                const task = await db.collection('tasks').findOne({ _id: result.insertedId });
+                const task = await collection('tasks').findOne({ _id: result.insertedId });
                 
                 // Our application should ensure these fields exist and are valid
                 if (task.id !== undefined && task.id !== '') {
@@ -213,19 +196,19 @@ describe('Schema Validation Integration Tests', () => {
 
             // Insert valid tasks
             for (const task of validTasks) {
-                const result = await db.collection('tasks').insertOne(task);
+                const result = await insertOne('tasks', task);
                 expect(result.insertedId).toBeDefined();
                 
-                const retrievedTask = await db.collection('tasks').findOne({ id: task.id });
+                const retrievedTask = await collection('tasks').findOne({ id: task.id });
                 expect(typeof retrievedTask.isComplete).toBe('boolean');
             }
 
             // Insert tasks with invalid completion status
             for (const task of invalidCompletionTasks) {
-                const result = await db.collection('tasks').insertOne(task);
+                const result = await insertOne('tasks', task);
                 expect(result.insertedId).toBeDefined();
                 
-                const retrievedTask = await db.collection('tasks').findOne({ id: task.id });
+                const retrievedTask = await collection('tasks').findOne({ id: task.id });
                 expect(typeof retrievedTask.isComplete).not.toBe('boolean');
             }
         });
@@ -248,14 +231,14 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert task with owner
-            const result1 = await db.collection('tasks').insertOne(taskWithOwner);
+            const result1 = await insertOne('tasks', taskWithOwner);
             expect(result1.insertedId).toBeDefined();
 
             // Insert task without owner
-            const result2 = await db.collection('tasks').insertOne(taskWithoutOwner);
+            const result2 = await insertOne('tasks', taskWithoutOwner);
             expect(result2.insertedId).toBeDefined();
             
-            const taskWithoutOwnerRetrieved = await db.collection('tasks').findOne({ id: 'T128' });
+            const taskWithoutOwnerRetrieved = await collection('tasks').findOne({ id: 'T128' });
             expect(taskWithoutOwnerRetrieved.owner).toBeUndefined();
         });
 
@@ -277,17 +260,17 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert task with group
-            const result1 = await db.collection('tasks').insertOne(taskWithGroup);
+            const result1 = await insertOne('tasks', taskWithGroup);
             expect(result1.insertedId).toBeDefined();
             
-            const retrievedTaskWithGroup = await db.collection('tasks').findOne({ id: 'T129' });
+            const retrievedTaskWithGroup = await collection('tasks').findOne({ id: 'T129' });
             expect(retrievedTaskWithGroup.group).toBeDefined();
 
             // Insert task without group
-            const result2 = await db.collection('tasks').insertOne(taskWithoutGroup);
+            const result2 = await insertOne('tasks', taskWithoutGroup);
             expect(result2.insertedId).toBeDefined();
             
-            const retrievedTaskWithoutGroup = await db.collection('tasks').findOne({ id: 'T130' });
+            const retrievedTaskWithoutGroup = await collection('tasks').findOne({ id: 'T130' });
             expect(retrievedTaskWithoutGroup.group).toBeUndefined();
         });
     });
@@ -309,15 +292,15 @@ describe('Schema Validation Integration Tests', () => {
             ];
 
             // Insert valid group
-            const validResult = await db.collection('groups').insertOne(validGroup);
+            const validResult = await insertOne('groups', validGroup);
             expect(validResult.insertedId).toBeDefined();
 
             // Test invalid groups
             for (const invalidGroup of invalidGroups) {
-                const result = await db.collection('groups').insertOne(invalidGroup);
+                const result = await insertOne('groups', invalidGroup);
                 expect(result.insertedId).toBeDefined();
                 
-                const group = await db.collection('groups').findOne({ _id: result.insertedId });
+                const group = await collection('groups').findOne({ _id: result.insertedId });
                 
                 // Application should validate required fields
                 if (group.id !== undefined && group.id !== '') {
@@ -346,17 +329,17 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert group with owner
-            const result1 = await db.collection('groups').insertOne(groupWithOwner);
+            const result1 = await insertOne('groups', groupWithOwner);
             expect(result1.insertedId).toBeDefined();
             
-            const ownedGroup = await db.collection('groups').findOne({ id: 'G126' });
+            const ownedGroup = await collection('groups').findOne({ id: 'G126' });
             expect(ownedGroup.owner).toBeDefined();
 
             // Insert group without owner
-            const result2 = await db.collection('groups').insertOne(groupWithoutOwner);
+            const result2 = await insertOne('groups', groupWithoutOwner);
             expect(result2.insertedId).toBeDefined();
             
-            const orphanedGroup = await db.collection('groups').findOne({ id: 'G127' });
+            const orphanedGroup = await collection('groups').findOne({ id: 'G127' });
             expect(orphanedGroup.owner).toBeUndefined();
         });
     });
@@ -369,7 +352,7 @@ describe('Schema Validation Integration Tests', () => {
                 name: 'Test Group',
                 owner: 'U123'
             };
-            await db.collection('groups').insertOne(group);
+            await insertOne('groups', group);
 
             // Create task referencing existing group
             const validTask = {
@@ -390,15 +373,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert both tasks (MongoDB allows orphaned references)
-            const result1 = await db.collection('tasks').insertOne(validTask);
-            const result2 = await db.collection('tasks').insertOne(invalidTask);
+            const result1 = await insertOne('tasks', validTask);
+            const result2 = await insertOne('tasks', invalidTask);
             
             expect(result1.insertedId).toBeDefined();
             expect(result2.insertedId).toBeDefined();
 
             // Verify referential integrity at application level
-            const validTaskGroup = await db.collection('groups').findOne({ id: validTask.group });
-            const invalidTaskGroup = await db.collection('groups').findOne({ id: invalidTask.group });
+            const validTaskGroup = await collection('groups').findOne({ id: validTask.group });
+            const invalidTaskGroup = await collection('groups').findOne({ id: invalidTask.group });
             
             expect(validTaskGroup).toBeTruthy(); // Group exists
             expect(invalidTaskGroup).toBeFalsy(); // Group doesn't exist
@@ -411,7 +394,7 @@ describe('Schema Validation Integration Tests', () => {
                 name: 'Task Owner',
                 passwordHash: md5('password')
             };
-            await db.collection('users').insertOne(user);
+            await insertOne('users', user);
 
             // Create task with valid owner
             const taskWithValidOwner = {
@@ -432,15 +415,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert both tasks
-            const result1 = await db.collection('tasks').insertOne(taskWithValidOwner);
-            const result2 = await db.collection('tasks').insertOne(taskWithInvalidOwner);
+            const result1 = await insertOne('tasks', taskWithValidOwner);
+            const result2 = await insertOne('tasks', taskWithInvalidOwner);
             
             expect(result1.insertedId).toBeDefined();
             expect(result2.insertedId).toBeDefined();
 
             // Verify ownership at application level
-            const validOwner = await db.collection('users').findOne({ id: taskWithValidOwner.owner });
-            const invalidOwner = await db.collection('users').findOne({ id: taskWithInvalidOwner.owner });
+            const validOwner = await collection('users').findOne({ id: taskWithValidOwner.owner });
+            const invalidOwner = await collection('users').findOne({ id: taskWithInvalidOwner.owner });
             
             expect(validOwner).toBeTruthy(); // Owner exists
             expect(invalidOwner).toBeFalsy(); // Owner doesn't exist
@@ -466,15 +449,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert both tasks
-            const result1 = await db.collection('tasks').insertOne(taskWithValidStrings);
-            const result2 = await db.collection('tasks').insertOne(taskWithInvalidTypes);
+            const result1 = await insertOne('tasks', taskWithValidStrings);
+            const result2 = await insertOne('tasks', taskWithInvalidTypes);
             
             expect(result1.insertedId).toBeDefined();
             expect(result2.insertedId).toBeDefined();
 
             // Verify data types
-            const validTask = await db.collection('tasks').findOne({ _id: result1.insertedId });
-            const invalidTask = await db.collection('tasks').findOne({ _id: result2.insertedId });
+            const validTask = await collection('tasks').findOne({ _id: result1.insertedId });
+            const invalidTask = await collection('tasks').findOne({ _id: result2.insertedId });
             
             expect(typeof validTask.id).toBe('string');
             expect(typeof validTask.name).toBe('string');
@@ -505,15 +488,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert both tasks
-            const result1 = await db.collection('tasks').insertOne(taskWithValidBoolean);
-            const result2 = await db.collection('tasks').insertOne(taskWithInvalidBoolean);
+            const result1 = await insertOne('tasks', taskWithValidBoolean);
+            const result2 = await insertOne('tasks', taskWithInvalidBoolean);
             
             expect(result1.insertedId).toBeDefined();
             expect(result2.insertedId).toBeDefined();
 
             // Verify boolean types
-            const validTask = await db.collection('tasks').findOne({ _id: result1.insertedId });
-            const invalidTask = await db.collection('tasks').findOne({ _id: result2.insertedId });
+            const validTask = await collection('tasks').findOne({ _id: result1.insertedId });
+            const invalidTask = await collection('tasks').findOne({ _id: result2.insertedId });
             
             expect(typeof validTask.isComplete).toBe('boolean');
             expect(typeof invalidTask.isComplete).toBe('string'); // Wrong type
@@ -537,15 +520,15 @@ describe('Schema Validation Integration Tests', () => {
             };
 
             // Insert items with long names (MongoDB allows, app should validate)
-            const userResult = await db.collection('users').insertOne(userWithLongName);
-            const taskResult = await db.collection('tasks').insertOne(taskWithLongName);
+            const userResult = await insertOne('users', userWithLongName);
+            const taskResult = await insertOne('tasks', taskWithLongName);
             
             expect(userResult.insertedId).toBeDefined();
             expect(taskResult.insertedId).toBeDefined();
 
             // Verify lengths
-            const retrievedUser = await db.collection('users').findOne({ _id: userResult.insertedId });
-            const retrievedTask = await db.collection('tasks').findOne({ _id: taskResult.insertedId });
+            const retrievedUser = await collection('users').findOne({ _id: userResult.insertedId });
+            const retrievedTask = await collection('tasks').findOne({ _id: taskResult.insertedId });
             
             expect(retrievedUser.name.length).toBe(1000);
             expect(retrievedTask.name.length).toBe(2000);
@@ -562,7 +545,7 @@ describe('Schema Validation Integration Tests', () => {
                     passwordHash: md5('password')
                 };
                 
-                const result = await db.collection('users').insertOne(user);
+                const result = await insertOne('users', user);
                 expect(result.insertedId).toBeDefined();
             }
 
@@ -574,10 +557,10 @@ describe('Schema Validation Integration Tests', () => {
                 };
                 
                 // MongoDB allows any ID format, application should validate
-                const result = await db.collection('users').insertOne(user);
+                const result = await insertOne('users', user);
                 expect(result.insertedId).toBeDefined();
                 
-                const retrievedUser = await db.collection('users').findOne({ _id: result.insertedId });
+                const retrievedUser = await collection('users').findOne({ _id: result.insertedId });
                 expect(retrievedUser.id).toBe(id);
             }
         });
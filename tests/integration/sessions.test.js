@@ -0,0 +1,101 @@
+const { anonymous, collection, fixtureUser, logIn, useTestDatabase, withToken } = require('./fixtures');
+
+describe('Session Management Integration Tests', () => {
+    const testUser = fixtureUser("session-test-user", "Session Test User", "testpassword123");
+
+    const login = userAgent => logIn(testUser.name, "testpassword123")
+        .set('User-Agent', userAgent)
+        .then(response => response.body.token);
+
+    useTestDatabase([testUser]);
+
+    describe('POST /logout', () => {
+        it('should revoke the current token', async () => {
+            const token = await login('Laptop');
+
+            const response = await withToken(token).post('/logout');
+            expect(response.status).toBe(200);
+
+            const afterLogout = await withToken(token).get('/session/list');
+            expect(afterLogout.status).toBe(401);
+        });
+
+        it('should require authentication', async () => {
+            const response = await anonymous.post('/logout');
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('GET /session/state', () => {
+        it('should rebuild the user state from a stored token', async () => {
+            const token = await login('Laptop');
+
+            const response = await withToken(token).get('/session/state');
+
+            expect(response.status).toBe(200);
+            expect(response.body.state.session).toEqual({ authenticated: 'AUTHENTICATED', id: testUser.id });
+            expect(response.body.state).toHaveProperty('tasks');
+            expect(response.body.state).toHaveProperty('groups');
+        });
+
+        it('should reject an expired session', async () => {
+            const token = await login('Laptop');
+            await collection('sessions').updateOne({ token }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+            const response = await withToken(token).get('/session/state');
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('GET /session/list', () => {
+        it('should list active sessions without exposing their tokens', async () => {
+            const laptopToken = await login('Laptop');
+            await login('Phone');
+
+            const response = await withToken(laptopToken).get('/session/list');
+
+            expect(response.status).toBe(200);
+            expect(response.body.sessions).toHaveLength(2);
+            expect(response.body.sessions.map(session => session.device).sort()).toEqual(['Laptop', 'Phone']);
+            response.body.sessions.forEach(session => {
+                expect(session).not.toHaveProperty('token');
+                expect(session).toHaveProperty('ip');
+                expect(session).toHaveProperty('lastSeenAt');
+            });
+            expect(response.body.sessions.find(session => session.current).device).toBe('Laptop');
+        });
+    });
+
+    describe('POST /session/revoke', () => {
+        it('should revoke another of the user\'s sessions', async () => {
+            const laptopToken = await login('Laptop');
+            const phoneToken = await login('Phone');
+
+            const list = await withToken(laptopToken).get('/session/list');
+            const phoneSession = list.body.sessions.find(session => session.device === 'Phone');
+
+            const response = await withToken(laptopToken).post('/session/revoke', { id: phoneSession.id });
+            expect(response.status).toBe(200);
+
+            const phoneRequest = await withToken(phoneToken).get('/session/list');
+            expect(phoneRequest.status).toBe(401);
+        });
+
+        it('should not revoke sessions belonging to other users', async () => {
+            const token = await login('Laptop');
+            await collection('sessions').insertOne({
+                id: 'foreign-session',
+                token: 'foreign-token',
+                userID: 'someone-else',
+                expiresAt: new Date(Date.now() + 60000)
+            });
+
+            const response = await withToken(token).post('/session/revoke', { id: 'foreign-session' });
+
+            expect(response.status).toBe(404);
+            expect(await collection('sessions').findOne({ id: 'foreign-session' })).toBeTruthy();
+            await collection('sessions').deleteMany({ id: 'foreign-session' });
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const { anonymous, collection, useTestDatabase } = require('./fixtures');
+const { solveChallenge, meetsDifficulty, baseDifficulty } = require('../../src/server/proof-of-work');
+
+describe('Signup Challenge Integration Tests', () => {
+    const prefix = 'pow-test-user';
+
+    const requestChallenge = () => anonymous.post('/user/challenge')
+        .then(response => response.body);
+
+    const signup = (username, proof) => anonymous.post('/user/create', { username, password: 'signup-pass-42', proof });
+
+    useTestDatabase([], { usernames: [new RegExp(`^${prefix}`)] });
+
+    it('should reject signups without a solved challenge', async () => {
+        const missing = await anonymous.post('/user/create', { username: `${prefix}-missing`, password: 'signup-pass-42' });
+        expect(missing.status).toBe(400);
+        expect(missing.body.error.details).toContainEqual({ field: 'proof', message: 'is required' });
+
+        const { challenge, difficulty } = await requestChallenge();
+        let nonce = 0;
+        while (meetsDifficulty(challenge, nonce, difficulty)) {
+            nonce++;
+        }
+        const wrong = await signup(`${prefix}-wrong`, { challenge, nonce: String(nonce) });
+        expect(wrong.status).toBe(400);
+        expect(await collection('users').findOne({ name: `${prefix}-wrong` })).toBeNull();
+    });
+
+    it('should accept each solved challenge once', async () => {
+        const { challenge, difficulty } = await requestChallenge();
+        expect(difficulty).toBe(baseDifficulty);
+        const proof = { challenge, nonce: solveChallenge(challenge, difficulty) };
+
+        const first = await signup(`${prefix}-once`, proof);
+        expect(first.status).toBe(200);
+
+        const replay = await signup(`${prefix}-replay`, proof);
+        expect(replay.status).toBe(400);
+    });
+
+    it('should raise the difficulty when one IP signs up many accounts', async () => {
+        await collection('signupVolume').insertMany(Array.from({ length: 10 }, () => ({
+            ip: '::ffff:127.0.0.1',
+            expiresAt: new Date(Date.now() + 60000)
+        })));
+        await collection('signupVolume').insertMany(Array.from({ length: 10 }, () => ({
+            ip: '127.0.0.1',
+            expiresAt: new Date(Date.now() + 60000)
+        })));
+
+        const { difficulty } = await requestChallenge();
+        expect(difficulty).toBe(baseDifficulty + 2);
+    });
+});
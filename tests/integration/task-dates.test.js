@@ -0,0 +1,84 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Task Dates Integration Tests', () => {
+    let api;
+
+    const owner = fixtureUser("dates-test-owner", "Dates Test Owner", "ownerpassword123");
+
+    const day = 24 * 60 * 60 * 1000;
+    const fromNow = ms => new Date(Date.now() + ms).toISOString();
+
+    const view = (name, timeZone = 'UTC') => api.get('/tasks', { view: name, timeZone });
+
+    const task = (id, fields) => ({ id, owner: owner.id, group: 'dates-test-group', name: id, isComplete: false, ...fields });
+
+    useTestDatabase([owner]);
+
+    beforeEach(async () => {
+        await collection('groups').insertOne({ id: 'dates-test-group', owner: owner.id, name: 'To Do' });
+
+        api = await signIn(owner, 'ownerpassword123');
+    });
+
+    it('should store dates as dates with the time zone they were set in', async () => {
+        const created = await api.post('/task/new', { task: task('dates-test-new', {
+            dueAt: '2030-03-01T17:00:00+01:00',
+            timeZone: 'Europe/Berlin'
+        }) });
+        expect(created.status).toBe(200);
+
+        const stored = await collection('tasks').findOne({ id: 'dates-test-new' });
+        expect(stored.dueAt).toEqual(new Date('2030-03-01T16:00:00Z'));
+        expect(stored.startAt).toBeNull();
+        expect(stored.timeZone).toBe('Europe/Berlin');
+
+        const updated = await api.post('/task/update', { task: { id: 'dates-test-new', startAt: '2030-02-27T09:00:00Z', dueAt: null } });
+        expect(updated.status).toBe(200);
+        const changed = await collection('tasks').findOne({ id: 'dates-test-new' });
+        expect(changed.startAt).toEqual(new Date('2030-02-27T09:00:00Z'));
+        expect(changed.dueAt).toBeNull();
+    });
+
+    it('should reject malformed dates, unknown time zones and tasks that start after they are due', async () => {
+        const noOffset = await api.post('/task/new', { task: task('dates-test-bad', { dueAt: '2030-03-01T17:00' }) });
+        expect(noOffset.status).toBe(400);
+        expect(noOffset.body.error.details).toEqual([{ field: 'task.dueAt', message: 'is not in the expected format' }]);
+
+        const badZone = await api.post('/task/new', { task: task('dates-test-bad', { dueAt: '2030-03-01T17:00:00Z', timeZone: 'Nowhere/Special' }) });
+        expect(badZone.status).toBe(400);
+
+        await collection('tasks').insertOne(task('dates-test-order', { dueAt: new Date('2030-03-01T17:00:00Z') }));
+        const backwards = await api.post('/task/update', { task: { id: 'dates-test-order', startAt: '2030-03-02T09:00:00Z' } });
+        expect(backwards.status).toBe(400);
+        expect(backwards.body.error.details).toEqual([{ field: 'task.startAt', message: 'must not be after the due date' }]);
+    });
+
+    it('should answer the overdue, today and upcoming views', async () => {
+        await collection('tasks').insertMany([
+            task('dates-test-overdue', { dueAt: new Date(fromNow(-day)) }),
+            task('dates-test-done', { dueAt: new Date(fromNow(-day)), isComplete: true }),
+            task('dates-test-trashed', { dueAt: new Date(fromNow(-day)), trashedAt: new Date() }),
+            task('dates-test-upcoming', { dueAt: new Date(fromNow(3 * day)) }),
+            task('dates-test-starting', { startAt: new Date(fromNow(2 * day)), dueAt: new Date(fromNow(30 * day)) }),
+            task('dates-test-later', { dueAt: new Date(fromNow(30 * day)) }),
+            task('dates-test-undated', {})
+        ]);
+
+        const overdue = await view('overdue');
+        expect(overdue.status).toBe(200);
+        expect(overdue.body.tasks.map(task => task.id)).toEqual(['dates-test-overdue']);
+
+        const upcoming = await view('upcoming', 'Pacific/Auckland');
+        expect(upcoming.body.timeZone).toBe('Pacific/Auckland');
+        expect(upcoming.body.tasks.map(task => task.id).sort()).toEqual(['dates-test-starting', 'dates-test-upcoming']);
+
+        const today = await view('today');
+        expect(today.body.tasks.map(task => task.id)).not.toContain('dates-test-later');
+    });
+
+    it('should validate the view query', async () => {
+        const response = await view('someday', 'Nowhere/Special');
+        expect(response.status).toBe(400);
+        expect(response.body.error.details.map(detail => detail.field)).toEqual(['view', 'timeZone']);
+    });
+});
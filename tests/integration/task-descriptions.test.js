@@ -0,0 +1,42 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Task Description Integration Tests', () => {
+    let api;
+
+    const owner = fixtureUser("description-test-owner", "Description Test Owner", "ownerpassword123");
+
+    const findTask = id => collection('tasks').findOne({ id });
+
+    useTestDatabase([owner]);
+
+    beforeEach(async () => {
+        await collection('groups').insertOne({ id: 'description-test-group', owner: owner.id, name: 'To Do' });
+
+        api = await signIn(owner, 'ownerpassword123');
+    });
+
+    it('should store the Markdown source with a plain-text excerpt', async () => {
+        const task = { id: 'description-test-task', owner: owner.id, group: 'description-test-group', name: 'Plan' };
+        expect((await api.post('/task/new', { task })).status).toBe(200);
+        expect(await findTask(task.id)).toMatchObject({ description: '', descriptionExcerpt: '' });
+
+        const description = '# Launch\n\n- **Write** the [notes](https://example.com)\n- <script>alert(1)</script>';
+        expect((await api.post('/task/update', { task: { id: task.id, description } })).status).toBe(200);
+        expect(await findTask(task.id)).toMatchObject({
+            description,
+            descriptionExcerpt: 'Launch Write the notes <script>alert(1)</script>'
+        });
+    });
+
+    it('should reject descriptions over the size limit and excerpts sent by the client', async () => {
+        const task = { id: 'description-test-long', owner: owner.id, group: 'description-test-group', name: 'Long' };
+
+        const tooLong = await api.post('/task/new', { task: { ...task, description: 'x'.repeat(20001) } });
+        expect(tooLong.status).toBe(400);
+        expect(tooLong.body.error.details[0].field).toBe('task.description');
+
+        const forged = await api.post('/task/new', { task: { ...task, descriptionExcerpt: 'forged' } });
+        expect(forged.status).toBe(400);
+        expect(await findTask(task.id)).toBeNull();
+    });
+});
@@ -0,0 +1,71 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+
+describe('Task Priority and Group Order Integration Tests', () => {
+    let api;
+    let strangerAPI;
+
+    const owner = fixtureUser("order-test-owner", "Order Test Owner", "ownerpassword123");
+    const stranger = fixtureUser("order-test-stranger", "Order Test Stranger", "strangerpassword123");
+
+    const task = id => ({ id, owner: owner.id, group: 'order-test-group', name: id, isComplete: false });
+
+    useTestDatabase([owner, stranger]);
+
+    beforeEach(async () => {
+        await collection('groups').insertMany([
+            { id: 'order-test-group', owner: owner.id, name: 'To Do' },
+            { id: 'order-test-other-group', owner: owner.id, name: 'Doing' }
+        ]);
+
+        api = await signIn(owner, 'ownerpassword123');
+        strangerAPI = await signIn(stranger, 'strangerpassword123');
+    });
+
+    it('should give new tasks no priority and a creation date, and let the priority change', async () => {
+        expect((await api.post('/task/new', { task: task('order-test-new') })).status).toBe(200);
+        const created = await collection('tasks').findOne({ id: 'order-test-new' });
+        expect(created.priority).toBe('none');
+        expect(created.createdAt).toBeInstanceOf(Date);
+
+        expect((await api.post('/task/update', { task: { id: 'order-test-new', priority: 'urgent' } })).status).toBe(200);
+        expect((await collection('tasks').findOne({ id: 'order-test-new' })).priority).toBe('urgent');
+
+        const invalid = await api.post('/task/update', { task: { id: 'order-test-new', priority: 'whenever' } });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.error.details[0].field).toBe('task.priority');
+    });
+
+    it('should remember each group\'s sort mode', async () => {
+        expect((await api.post('/group/sort', { id: 'order-test-group', sortMode: 'dueDate' })).status).toBe(200);
+        expect((await collection('groups').findOne({ id: 'order-test-group' })).sortMode).toBe('dueDate');
+
+        const state = await api.get('/session/state');
+        expect(state.body.state.groups.find(group => group.id === 'order-test-group').sortMode).toBe('dueDate');
+
+        expect((await api.post('/group/sort', { id: 'order-test-group', sortMode: 'random' })).status).toBe(400);
+        expect((await strangerAPI.post('/group/sort', { id: 'order-test-group', sortMode: 'name' })).status).toBe(403);
+        expect((await api.post('/group/sort', { id: 'no-such-group', sortMode: 'name' })).status).toBe(404);
+    });
+
+    it('should store a group\'s manual order and ignore tasks from other groups', async () => {
+        await collection('tasks').insertMany([
+            task('order-test-a'),
+            task('order-test-b'),
+            { ...task('order-test-elsewhere'), group: 'order-test-other-group' }
+        ]);
+
+        const response = await api.post('/group/order', {
+            id: 'order-test-group',
+            taskIDs: ['order-test-b', 'order-test-elsewhere', 'order-test-a']
+        });
+        expect(response.status).toBe(200);
+
+        const positions = await collection('tasks').find({ owner: owner.id }).toArray();
+        const positionOf = id => positions.find(task => task.id === id).position;
+        expect(positionOf('order-test-b')).toBe(0);
+        expect(positionOf('order-test-a')).toBe(2);
+        expect(positionOf('order-test-elsewhere')).toBeUndefined();
+
+        expect((await strangerAPI.post('/group/order', { id: 'order-test-group', taskIDs: [] })).status).toBe(403);
+    });
+});
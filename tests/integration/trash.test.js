@@ -0,0 +1,97 @@
+const { collection, fixtureUser, signIn, useTestDatabase } = require('./fixtures');
+const { purgeExpiredTrash, trashRetentionDays } = require('../../src/server/trash');
+
+describe('Trash Integration Tests', () => {
+    let api;
+    let otherAPI;
+
+    const owner = fixtureUser("trash-test-owner", "Trash Test Owner", "ownerpassword123");
+    const other = fixtureUser("trash-test-other", "Trash Test Other", "otherpassword123");
+
+    const state = () => api.get('/session/state').then(response => response.body.state);
+
+    useTestDatabase([owner, other]);
+
+    beforeEach(async () => {
+        await collection('groups').insertOne({ id: 'trash-test-group', owner: owner.id, name: 'To Do', members: [other.id] });
+        await collection('tasks').insertMany([
+            { id: 'trash-test-task', owner: owner.id, group: 'trash-test-group', name: 'Delete me', isComplete: false },
+            { id: 'trash-test-keep', owner: owner.id, group: 'trash-test-group', name: 'Keep me', isComplete: false }
+        ]);
+        await collection('comments').insertOne({ id: 'trash-test-comment', owner: owner.id, task: 'trash-test-task', content: 'Hi' });
+
+        api = await signIn(owner, 'ownerpassword123');
+        otherAPI = await signIn(other, 'otherpassword123');
+    });
+
+    it('should hide a trashed task and its comments and list them in the trash', async () => {
+        const response = await api.post('/task/trash', { id: 'trash-test-task' });
+        expect(response.status).toBe(200);
+        expect(new Date(response.body.purgeAt) - new Date(response.body.trashedAt)).toBe(trashRetentionDays * 24 * 60 * 60 * 1000);
+
+        const { tasks, comments } = await state();
+        expect(tasks.map(task => task.id)).toEqual(['trash-test-keep']);
+        expect(comments).toEqual([]);
+
+        const trash = await api.get('/trash');
+        expect(trash.status).toBe(200);
+        expect(trash.body.retentionDays).toBe(trashRetentionDays);
+        expect(trash.body.tasks).toHaveLength(1);
+        expect(trash.body.tasks[0]).toMatchObject({ id: 'trash-test-task', name: 'Delete me', commentCount: 1 });
+    });
+
+    it('should refuse edits and comments on trashed tasks', async () => {
+        await api.post('/task/trash', { id: 'trash-test-task' });
+
+        const update = await api.post('/task/update', { task: { id: 'trash-test-task', name: 'Renamed' } });
+        expect(update.status).toBe(404);
+
+        const comment = await api.post('/comment/new', { comment: { id: 'trash-test-late', owner: owner.id, task: 'trash-test-task', content: 'Late' } });
+        expect(comment.status).toBe(404);
+    });
+
+    it('should only let the owner trash a task', async () => {
+        const response = await otherAPI.post('/task/trash', { id: 'trash-test-task' });
+        expect(response.status).toBe(403);
+        expect(await collection('tasks').findOne({ id: 'trash-test-task', trashedAt: null })).not.toBeNull();
+    });
+
+    it('should restore a task with its comments', async () => {
+        await api.post('/task/trash', { id: 'trash-test-task' });
+
+        expect((await api.post('/trash/restore', { id: 'trash-test-task' })).status).toBe(200);
+
+        const { tasks, comments } = await state();
+        expect(tasks.map(task => task.id).sort()).toEqual(['trash-test-keep', 'trash-test-task']);
+        expect(comments.map(comment => comment.id)).toEqual(['trash-test-comment']);
+
+        expect((await api.post('/trash/restore', { id: 'trash-test-keep' })).status).toBe(404);
+    });
+
+    it('should purge single tasks and empty the trash', async () => {
+        expect((await api.post('/trash/purge', { id: 'trash-test-keep' })).status).toBe(404);
+
+        await api.post('/task/trash', { id: 'trash-test-task' });
+        expect((await otherAPI.post('/trash/purge', { id: 'trash-test-task' })).status).toBe(404);
+        expect((await api.post('/trash/purge', { id: 'trash-test-task' })).status).toBe(200);
+        expect(await collection('tasks').findOne({ id: 'trash-test-task' })).toBeNull();
+        expect(await collection('comments').findOne({ id: 'trash-test-comment' })).toBeNull();
+
+        await api.post('/task/trash', { id: 'trash-test-keep' });
+        const emptied = await api.post('/trash/empty', {});
+        expect(emptied.body).toEqual({ purged: 1 });
+    });
+
+    it('should purge tasks that outlived the retention period', async () => {
+        await api.post('/task/trash', { id: 'trash-test-task' });
+        await api.post('/task/trash', { id: 'trash-test-keep' });
+        const expired = new Date(Date.now() - (trashRetentionDays + 1) * 24 * 60 * 60 * 1000);
+        await collection('tasks').updateOne({ id: 'trash-test-task' }, { $set: { trashedAt: expired } });
+
+        await purgeExpiredTrash();
+
+        expect(await collection('tasks').findOne({ id: 'trash-test-task' })).toBeNull();
+        expect(await collection('comments').findOne({ id: 'trash-test-comment' })).toBeNull();
+        expect(await collection('tasks').findOne({ id: 'trash-test-keep' })).not.toBeNull();
+    });
+});
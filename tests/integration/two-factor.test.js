@@ -0,0 +1,128 @@
+const { anonymous, collection, fixtureUser, logIn, useTestDatabase, withToken } = require('./fixtures');
+const { generateCode, timeStep } = require('../../src/server/totp');
+
+describe('Two-Factor Authentication Integration Tests', () => {
+    const testUser = fixtureUser("2fa-test-user", "2FA Test User", "testpassword123");
+
+    const login = () => logIn(testUser.name, 'testpassword123');
+
+    const secondFactor = (challenge, code) => anonymous.post('/authenticate/second-factor', { challenge, code });
+
+    /* Enrols the test user, returning the secret and recovery codes. */
+    const enrol = async () => {
+        const token = (await login()).body.token;
+        const enrolment = await withToken(token).post('/account/two-factor/enrol');
+        const confirmation = await withToken(token).post('/account/two-factor/confirm', { code: generateCode(enrolment.body.secret) });
+        return { token, secret: enrolment.body.secret, recoveryCodes: confirmation.body.recoveryCodes };
+    };
+
+    useTestDatabase([testUser]);
+
+    describe('enrolment', () => {
+        it('should return an otpauth URI and enable 2FA once a first code is confirmed', async () => {
+            const token = (await login()).body.token;
+
+            const enrolment = await withToken(token).post('/account/two-factor/enrol');
+            expect(enrolment.status).toBe(200);
+            expect(enrolment.body.otpauthURI).toMatch(/^otpauth:\/\/totp\//);
+            expect(enrolment.body.otpauthURI).toContain(`secret=${enrolment.body.secret}`);
+
+            const wrong = await withToken(token).post('/account/two-factor/confirm', { code: '000000' });
+            expect(wrong.status).toBe(400);
+
+            const confirmation = await withToken(token).post('/account/two-factor/confirm', { code: generateCode(enrolment.body.secret) });
+            expect(confirmation.status).toBe(200);
+            expect(confirmation.body.recoveryCodes).toHaveLength(10);
+
+            const account = await withToken(token).get('/account');
+            expect(account.body.account.twoFactorEnabled).toBe(true);
+        });
+
+        it('should store recovery codes hashed', async () => {
+            const { recoveryCodes } = await enrol();
+
+            const user = await collection('users').findOne({ id: testUser.id });
+            expect(user.twoFactor.recoveryCodeHashes).toHaveLength(10);
+            recoveryCodes.forEach(code => expect(user.twoFactor.recoveryCodeHashes).not.toContain(code));
+        });
+
+        it('should not send the secret to the client in the user state', async () => {
+            const { token } = await enrol();
+
+            const state = await withToken(token).get('/session/state');
+            state.body.state.users.forEach(user => {
+                expect(user).not.toHaveProperty('twoFactor');
+                expect(user).not.toHaveProperty('passwordHash');
+            });
+        });
+    });
+
+    describe('login', () => {
+        it('should ask for a second factor before issuing a token', async () => {
+            await enrol();
+
+            const response = await login();
+
+            expect(response.status).toBe(200);
+            expect(response.body.secondFactorRequired).toBe(true);
+            expect(response.body.challenge).toBeDefined();
+            expect(response.body).not.toHaveProperty('token');
+        });
+
+        it('should issue a token for a valid TOTP code', async () => {
+            const { secret } = await enrol();
+            await collection('users').updateOne({ id: testUser.id }, { $set: { 'twoFactor.lastUsedStep': 0 } });
+            const { challenge } = (await login()).body;
+
+            const response = await secondFactor(challenge, generateCode(secret));
+
+            expect(response.status).toBe(200);
+            expect(response.body.session.id).toBe(testUser.id);
+        });
+
+        it('should not accept the same TOTP code twice', async () => {
+            const { secret } = await enrol();
+            await collection('users').updateOne({ id: testUser.id }, { $set: { 'twoFactor.lastUsedStep': timeStep() - 2 } });
+            const code = generateCode(secret);
+
+            const first = await secondFactor((await login()).body.challenge, code);
+            const replay = await secondFactor((await login()).body.challenge, code);
+
+            expect(first.status).toBe(200);
+            expect(replay.status).toBe(401);
+        });
+
+        it('should accept each recovery code once', async () => {
+            const { recoveryCodes } = await enrol();
+
+            const first = await secondFactor((await login()).body.challenge, recoveryCodes[0]);
+            const reuse = await secondFactor((await login()).body.challenge, recoveryCodes[0]);
+
+            expect(first.status).toBe(200);
+            expect(reuse.status).toBe(401);
+        });
+
+        it('should reject wrong codes and unknown challenges', async () => {
+            await enrol();
+            const { challenge } = (await login()).body;
+
+            expect((await secondFactor(challenge, '000000')).status).toBe(401);
+            expect((await secondFactor('not-a-challenge', '000000')).status).toBe(400);
+        });
+    });
+
+    describe('disabling', () => {
+        it('should require the password and return logins to a single step', async () => {
+            const { token } = await enrol();
+
+            const wrong = await withToken(token).post('/account/two-factor/disable', { password: 'wrong-password' });
+            expect(wrong.status).toBe(403);
+
+            const response = await withToken(token).post('/account/two-factor/disable', { password: 'testpassword123' });
+            expect(response.status).toBe(200);
+
+            const loginResponse = await login();
+            expect(loginResponse.body).toHaveProperty('token');
+        });
+    });
+});
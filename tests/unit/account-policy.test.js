@@ -0,0 +1,48 @@
+import { usernameRules, passwordRules, checkRules, ruleErrors } from '../../src/shared/account-policy';
+
+describe('Account Policy', () => {
+    const passes = (rules, value) => ruleErrors(rules, value, 'field').length === 0;
+
+    describe('usernameRules', () => {
+        it('should accept the seeded and typical usernames', () => {
+            ['Dev', 'C. Eeyo', 'Morty', 'TestUser123', 'first_last-2'].forEach(username => {
+                expect(passes(usernameRules, username)).toBe(true);
+            });
+        });
+
+        it('should reject short, long, padded and oddly spelled usernames', () => {
+            ['', 'ab', 'x'.repeat(33), ' Dev', 'Dev.', '<script>', 'dev@example.com', 'tab\there'].forEach(username => {
+                expect(passes(usernameRules, username)).toBe(false);
+            });
+        });
+    });
+
+    describe('passwordRules', () => {
+        it('should accept passwords that meet every rule', () => {
+            ['TestPassword123', 'correct horse battery staple', 'newpassword456'].forEach(password => {
+                expect(passes(passwordRules, password)).toBe(true);
+            });
+        });
+
+        it('should name every rule a password breaks', () => {
+            expect(ruleErrors(passwordRules, 'abc', 'password')).toEqual([
+                { field: 'password', message: 'must be at least 8 characters long' },
+                { field: 'password', message: 'must contain a number or symbol' }
+            ]);
+            expect(ruleErrors(passwordRules, 'PASSWORD123', 'password')).toEqual([
+                { field: 'password', message: 'is too common' }
+            ]);
+        });
+    });
+
+    describe('checkRules', () => {
+        it('should report the status of each rule for the form', () => {
+            expect(checkRules(passwordRules, 'abcdefgh1')).toEqual([
+                { label: 'At least 8 characters', passed: true },
+                { label: 'Contains a letter', passed: true },
+                { label: 'Contains a number or symbol', passed: true },
+                { label: 'Not a commonly used password', passed: true }
+            ]);
+        });
+    });
+});
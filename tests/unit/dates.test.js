@@ -0,0 +1,64 @@
+import { zoneOffset, startOfDay, startOfDayAfter, viewRanges, isOverdue, isValidTimeZone, upcomingDays } from '../../src/shared/dates';
+
+describe('Task Dates', () => {
+    const hours = count => count * 60 * 60 * 1000;
+
+    describe('zoneOffset', () => {
+        it('should follow daylight saving time', () => {
+            expect(zoneOffset(new Date('2026-01-15T12:00:00Z'), 'Europe/Berlin')).toBe(hours(1));
+            expect(zoneOffset(new Date('2026-07-15T12:00:00Z'), 'Europe/Berlin')).toBe(hours(2));
+            expect(zoneOffset(new Date('2026-07-15T12:00:00Z'), 'America/New_York')).toBe(hours(-4));
+            expect(zoneOffset(new Date('2026-07-15T12:00:00Z'), 'UTC')).toBe(0);
+        });
+
+        it('should read midnight and the afternoon on a 24-hour clock', () => {
+            expect(zoneOffset(new Date('2026-07-14T22:00:00Z'), 'Europe/Berlin')).toBe(hours(2));
+            expect(zoneOffset(new Date('2026-07-15T00:00:00Z'), 'UTC')).toBe(0);
+            expect(zoneOffset(new Date('2026-07-15T18:00:00Z'), 'America/New_York')).toBe(hours(-4));
+        });
+    });
+
+    describe('startOfDay', () => {
+        it('should find midnight in the given time zone', () => {
+            expect(startOfDay(new Date('2026-07-15T23:30:00Z'), 'UTC').toISOString()).toBe('2026-07-15T00:00:00.000Z');
+            expect(startOfDay(new Date('2026-07-15T23:30:00Z'), 'Europe/Berlin').toISOString()).toBe('2026-07-15T22:00:00.000Z');
+            expect(startOfDay(new Date('2026-07-15T02:30:00Z'), 'America/New_York').toISOString()).toBe('2026-07-14T04:00:00.000Z');
+            expect(startOfDay(new Date('2026-07-15T12:00:00Z'), 'Asia/Kolkata').toISOString()).toBe('2026-07-14T18:30:00.000Z');
+        });
+
+        it('should handle days when the clocks change', () => {
+            expect(startOfDay(new Date('2026-03-29T12:00:00Z'), 'Europe/Berlin').toISOString()).toBe('2026-03-28T23:00:00.000Z');
+            expect(startOfDayAfter(new Date('2026-03-29T12:00:00Z'), 'Europe/Berlin').toISOString()).toBe('2026-03-29T22:00:00.000Z');
+            expect(startOfDayAfter(new Date('2026-10-25T12:00:00Z'), 'Europe/Berlin').toISOString()).toBe('2026-10-25T23:00:00.000Z');
+        });
+    });
+
+    describe('viewRanges', () => {
+        it('should split time into today, the upcoming days and the past', () => {
+            const now = new Date('2026-07-15T10:00:00Z');
+            const { today, upcoming, overdue } = viewRanges(now, 'Europe/Berlin');
+
+            expect(today).toEqual({ from: new Date('2026-07-14T22:00:00Z'), to: new Date('2026-07-15T22:00:00Z') });
+            expect(upcoming.from).toEqual(today.to);
+            expect(upcoming.to - upcoming.from).toBe(hours(24 * upcomingDays));
+            expect(overdue).toEqual({ from: null, to: now });
+        });
+    });
+
+    describe('isOverdue', () => {
+        it('should only flag open tasks due in the past', () => {
+            const now = new Date('2026-07-15T10:00:00Z');
+            expect(isOverdue({ dueAt: '2026-07-15T09:00:00Z', isComplete: false }, now)).toBe(true);
+            expect(isOverdue({ dueAt: '2026-07-15T09:00:00Z', isComplete: true }, now)).toBe(false);
+            expect(isOverdue({ dueAt: '2026-07-15T11:00:00Z', isComplete: false }, now)).toBe(false);
+            expect(isOverdue({ dueAt: null, isComplete: false }, now)).toBe(false);
+        });
+    });
+
+    describe('isValidTimeZone', () => {
+        it('should accept IANA names only', () => {
+            expect(isValidTimeZone('Europe/Berlin')).toBe(true);
+            expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import {
+    asyncHandler,
+    errorHandler,
+    notFoundHandler,
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError
+} from '../../src/server/errors';
+
+describe('Error Handling', () => {
+    const response = () => ({
+        headersSent: false,
+        status: jest.fn().mockReturnThis(),
+        send: jest.fn()
+    });
+
+    describe('errorHandler', () => {
+        it.each([
+            [new ValidationError('Bad', [{ field: 'name', message: 'is required' }]), 400, 'validation_failed'],
+            [new AuthenticationError(), 401, 'authentication_failed'],
+            [new ForbiddenError(), 403, 'forbidden'],
+            [new NotFoundError(), 404, 'not_found'],
+            [new ConflictError(), 409, 'conflict'],
+            [new TooManyRequestsError(), 429, 'too_many_requests']
+        ])('should answer %s with its status and code', (error, status, code) => {
+            const res = response();
+
+            errorHandler(error, {}, res, jest.fn());
+
+            expect(error).toBeInstanceOf(ApiError);
+            expect(res.status).toHaveBeenCalledWith(status);
+            expect(res.send).toHaveBeenCalledWith({ error: { code, message: error.message, details: error.details } });
+        });
+
+        it('should hide unexpected errors behind a generic 500', () => {
+            const res = response();
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            errorHandler(new Error('connect ECONNREFUSED 127.0.0.1:27017'), {}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            const { error } = res.send.mock.calls[0][0];
+            expect(error.code).toBe('internal_error');
+            expect(error.message).not.toContain('ECONNREFUSED');
+            console.error.mockRestore();
+        });
+
+        it('should answer malformed JSON bodies with a validation error', () => {
+            const res = response();
+            const parseError = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' });
+
+            errorHandler(parseError, {}, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(res.send.mock.calls[0][0].error.code).toBe('validation_failed');
+        });
+
+        it('should defer to Express once the response has started', () => {
+            const res = { ...response(), headersSent: true };
+            const next = jest.fn();
+            const error = new NotFoundError();
+
+            errorHandler(error, {}, res, next);
+
+            expect(next).toHaveBeenCalledWith(error);
+            expect(res.send).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('asyncHandler', () => {
+        it('should pass rejections on to next', async () => {
+            const error = new ConflictError();
+            const next = jest.fn();
+
+            await asyncHandler(async () => { throw error; })({}, {}, next);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(next).toHaveBeenCalledWith(error);
+        });
+
+        it('should leave successful handlers alone', async () => {
+            const next = jest.fn();
+            const handler = jest.fn(async (req, res, next) => next());
+
+            asyncHandler(handler)({}, {}, next);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(handler).toHaveBeenCalled();
+            expect(next).toHaveBeenCalledTimes(1);
+            expect(next).toHaveBeenCalledWith();
+        });
+    });
+
+    describe('notFoundHandler', () => {
+        it('should pass a NotFoundError naming the route', () => {
+            const next = jest.fn();
+
+            notFoundHandler({ method: 'GET', path: '/nowhere' }, {}, next);
+
+            expect(next.mock.calls[0][0]).toBeInstanceOf(NotFoundError);
+            expect(next.mock.calls[0][0].message).toBe('Cannot GET /nowhere');
+        });
+    });
+});
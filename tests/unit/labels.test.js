@@ -0,0 +1,34 @@
+import { matchesLabels, labelTextColor, labelColors, labelColorPattern } from '../../src/shared/labels';
+
+describe('Labels', () => {
+    const task = { id: 'T1', labels: ['L1', 'L2'] };
+
+    describe('matchesLabels', () => {
+        it('should match every task when no labels are chosen', () => {
+            expect(matchesLabels(task, [])).toBe(true);
+            expect(matchesLabels({ id: 'T2' }, [], 'all')).toBe(true);
+        });
+
+        it('should match tasks with any of the labels by default', () => {
+            expect(matchesLabels(task, ['L2', 'L3'])).toBe(true);
+            expect(matchesLabels(task, ['L3'])).toBe(false);
+            expect(matchesLabels({ id: 'T2' }, ['L1'])).toBe(false);
+        });
+
+        it('should only match tasks with all of the labels in all mode', () => {
+            expect(matchesLabels(task, ['L1', 'L2'], 'all')).toBe(true);
+            expect(matchesLabels(task, ['L1', 'L3'], 'all')).toBe(false);
+        });
+    });
+
+    describe('labelTextColor', () => {
+        it('should pick dark text for light colours and light text for dark ones', () => {
+            expect(labelTextColor('#fdd835')).toBe('#212529');
+            expect(labelTextColor('#3949ab')).toBe('#ffffff');
+        });
+    });
+
+    it('should only offer colours the server accepts', () => {
+        labelColors.forEach(color => expect(color).toMatch(new RegExp(labelColorPattern)));
+    });
+});
@@ -0,0 +1,20 @@
+import { lockoutDuration, baseLockout, maxLockout } from '../../src/server/login-throttle';
+
+describe('Login Throttling', () => {
+    describe('lockoutDuration', () => {
+        it('should not lock out below the failure threshold', () => {
+            expect(lockoutDuration(0, 5)).toBe(0);
+            expect(lockoutDuration(4, 5)).toBe(0);
+        });
+
+        it('should double the lockout for every failure past the threshold', () => {
+            expect(lockoutDuration(5, 5)).toBe(baseLockout);
+            expect(lockoutDuration(6, 5)).toBe(baseLockout * 2);
+            expect(lockoutDuration(7, 5)).toBe(baseLockout * 4);
+        });
+
+        it('should cap the lockout', () => {
+            expect(lockoutDuration(100, 5)).toBe(maxLockout);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOutboxTransport, setMailTransport, sendMail } from '../../src/server/mail';
+
+describe('Mail', () => {
+    let directory;
+
+    /* fs.rmSync needs Node 14.14, newer than `engines` allows */
+    const removeDirectory = target => {
+        fs.readdirSync(target).forEach(entry => {
+            const entryPath = path.join(target, entry);
+            if (fs.lstatSync(entryPath).isDirectory()) {
+                removeDirectory(entryPath);
+            } else {
+                fs.unlinkSync(entryPath);
+            }
+        });
+        fs.rmdirSync(target);
+    };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    });
+
+    afterEach(() => {
+        removeDirectory(directory);
+    });
+
+    describe('createOutboxTransport', () => {
+        it('should write each message to its own file in the outbox', async () => {
+            const transport = createOutboxTransport(path.join(directory, 'nested'));
+
+            await transport.send({ to: 'dev@example.com', subject: 'First', text: 'One' });
+            await transport.send({ to: 'dev@example.com', subject: 'Second', text: 'Two' });
+
+            const files = fs.readdirSync(path.join(directory, 'nested'));
+            expect(files).toHaveLength(2);
+
+            const subjects = files
+                .map(file => JSON.parse(fs.readFileSync(path.join(directory, 'nested', file), 'utf8')))
+                .map(message => message.subject)
+                .sort();
+            expect(subjects).toEqual(['First', 'Second']);
+        });
+    });
+
+    describe('setMailTransport', () => {
+        it('should route sendMail through the installed transport', async () => {
+            const transport = { send: jest.fn().mockResolvedValue('sent') };
+            setMailTransport(transport);
+
+            const message = { to: 'dev@example.com', subject: 'Hello', text: 'Hi' };
+            await expect(sendMail(message)).resolves.toBe('sent');
+            expect(transport.send).toHaveBeenCalledWith(message);
+        });
+    });
+});
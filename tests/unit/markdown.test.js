@@ -0,0 +1,95 @@
+import { renderMarkdown, markdownToText, excerpt, maxQuoteDepth, maxDescriptionLength } from '../../src/shared/markdown';
+
+describe('Markdown', () => {
+    describe('renderMarkdown', () => {
+        it('should render headings, paragraphs and inline formatting', () => {
+            expect(renderMarkdown('## Plan ##\n\nShip **this** *week*, see `notes`.\nThen rest.')).toBe(
+                '<h2>Plan</h2>\n<p>Ship <strong>this</strong> <em>week</em>, see <code>notes</code>.\nThen rest.</p>'
+            );
+        });
+
+        it('should render bulleted, numbered and quoted lists', () => {
+            expect(renderMarkdown('- one\n- two\n  more\n\n3. three\n4. four')).toBe(
+                '<ul><li>one</li><li>two\nmore</li></ul>\n<ol start="3"><li>three</li><li>four</li></ol>'
+            );
+            expect(renderMarkdown('> said\n> - this')).toBe('<blockquote><p>said</p>\n<ul><li>this</li></ul></blockquote>');
+        });
+
+        it('should keep quote markers past the nesting limit as text', () => {
+            const html = renderMarkdown(`${'>'.repeat(maxQuoteDepth + 2)} deep`);
+            expect(html.match(/<blockquote>/g)).toHaveLength(maxQuoteDepth);
+            expect(html).toContain('<p>&gt;&gt; deep</p>');
+        });
+
+        it('should render the deepest quoting that fits in a description', () => {
+            const source = `${'>'.repeat(maxDescriptionLength - 5)} deep`;
+            expect(() => renderMarkdown(source)).not.toThrow();
+            expect(excerpt(source)).toMatch(/^>+/);
+        });
+
+        it('should render fenced code blocks as written', () => {
+            expect(renderMarkdown('```js\nconst a = *b*;\n\n# not a heading\n```')).toBe(
+                '<pre><code class="language-js">const a = *b*;\n\n# not a heading</code></pre>'
+            );
+        });
+
+        it('should leave underscores inside words alone', () => {
+            expect(renderMarkdown('call snake_case_name, _really_')).toBe('<p>call snake_case_name, <em>really</em></p>');
+        });
+
+        it('should only link to web, mail and relative addresses', () => {
+            expect(renderMarkdown('[docs](https://example.com/a?b=1&c=2) [mail](mailto:a@example.com) [task](/task/1)')).toBe(
+                '<p><a href="https://example.com/a?b=1&amp;c=2" rel="nofollow noopener noreferrer" target="_blank">docs</a> ' +
+                '<a href="mailto:a@example.com" rel="nofollow noopener noreferrer" target="_blank">mail</a> ' +
+                '<a href="/task/1" rel="nofollow noopener noreferrer" target="_blank">task</a></p>'
+            );
+            expect(renderMarkdown('[click](javascript:alert) [me](data:text/html,x) [or](JaVaScRiPt:alert)')).toBe('<p>click me or</p>');
+        });
+
+        it('should show HTML as text', () => {
+            const attacks = [
+                '<script>alert(1)</script>',
+                '<img src=x onerror=alert(1)>',
+                '[x](https://example.com/"onmouseover="alert(1))',
+                '# <a href="javascript:alert(1)">heading</a>',
+                '```"><script>\n</code><script>alert(1)</script>\n```'
+            ];
+            attacks.forEach(source => {
+                const html = renderMarkdown(source);
+                expect(html).not.toMatch(/<(script|img)|<a href="javascript|"on\w+=/i);
+            });
+            expect(renderMarkdown('<b>bold</b> & "quoted"')).toBe('<p>&lt;b&gt;bold&lt;/b&gt; &amp; &quot;quoted&quot;</p>');
+        });
+
+        it('should render nothing for an empty description', () => {
+            expect(renderMarkdown('')).toBe('');
+            expect(renderMarkdown(undefined)).toBe('');
+        });
+    });
+
+    describe('markdownToText', () => {
+        it('should keep the text and drop the formatting', () => {
+            expect(markdownToText('# Plan\n\n- **one**\n- [two](https://example.com)\n\n```\ncode\n```')).toBe('Plan\n\none\ntwo\n\ncode');
+        });
+    });
+
+    describe('excerpt', () => {
+        it('should put the whole text on one line when it fits', () => {
+            expect(excerpt('# Plan\n\nShip *it*.')).toBe('Plan Ship it.');
+        });
+
+        it('should cut long text at a word and mark the cut', () => {
+            const cut = excerpt('alpha beta gamma delta epsilon', 20);
+            expect(cut).toBe('alpha beta gamma…');
+            expect(cut.length).toBeLessThanOrEqual(20);
+        });
+
+        it('should not rescan the rest of a description for every unclosed marker', () => {
+            const sources = ['[', '[a](', 'a_'].map(unit => unit.repeat(maxDescriptionLength / unit.length));
+            const started = Date.now();
+            sources.forEach(source => expect(markdownToText(source)).toBe(source));
+            expect(excerpt(sources[0])).toBe(`${'['.repeat(199)}…`);
+            expect(Date.now() - started).toBeLessThan(1000);
+        });
+    });
+});
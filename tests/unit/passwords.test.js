@@ -0,0 +1,54 @@
+import md5 from 'md5';
+import { hashPassword, hashPasswordSync, verifyPassword, needsRehash } from '../../src/server/passwords';
+
+describe('Password Hashing', () => {
+    describe('hashPassword', () => {
+        it('should produce a versioned scrypt hash', async () => {
+            const hash = await hashPassword('correct horse');
+
+            expect(hash).toMatch(/^scrypt\$1\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        });
+
+        it('should salt each hash differently', async () => {
+            const first = await hashPassword('correct horse');
+            const second = await hashPassword('correct horse');
+
+            expect(first).not.toBe(second);
+        });
+
+        it('should produce hashes compatible with the synchronous variant', async () => {
+            const hash = hashPasswordSync('TUPLES');
+
+            expect(await verifyPassword('TUPLES', hash)).toBe(true);
+        });
+    });
+
+    describe('verifyPassword', () => {
+        it('should accept the correct password and reject others', async () => {
+            const hash = await hashPassword('correct horse');
+
+            expect(await verifyPassword('correct horse', hash)).toBe(true);
+            expect(await verifyPassword('battery staple', hash)).toBe(false);
+        });
+
+        it('should accept legacy md5 hashes', async () => {
+            expect(await verifyPassword('TUPLES', md5('TUPLES'))).toBe(true);
+            expect(await verifyPassword('tuples', md5('TUPLES'))).toBe(false);
+        });
+
+        it('should reject malformed input', async () => {
+            expect(await verifyPassword(undefined, md5('TUPLES'))).toBe(false);
+            expect(await verifyPassword({ $ne: null }, md5('TUPLES'))).toBe(false);
+            expect(await verifyPassword('TUPLES', undefined)).toBe(false);
+            expect(await verifyPassword('TUPLES', 'scrypt$99$abcd$abcd')).toBe(false);
+            expect(await verifyPassword('TUPLES', 'short')).toBe(false);
+        });
+    });
+
+    describe('needsRehash', () => {
+        it('should flag legacy hashes but not current ones', async () => {
+            expect(needsRehash(md5('TUPLES'))).toBe(true);
+            expect(needsRehash(await hashPassword('TUPLES'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+import {
+    leadingZeroBits,
+    meetsDifficulty,
+    solveChallenge,
+    difficultyFor,
+    baseDifficulty,
+    maxDifficulty
+} from '../../src/server/proof-of-work';
+
+jest.mock('../../src/server/connect-db');
+
+describe('Signup Proof of Work', () => {
+    describe('leadingZeroBits', () => {
+        it('should count zero bits across byte boundaries', () => {
+            expect(leadingZeroBits(Buffer.from([0xff]))).toBe(0);
+            expect(leadingZeroBits(Buffer.from([0x01]))).toBe(7);
+            expect(leadingZeroBits(Buffer.from([0x00, 0x20]))).toBe(10);
+            expect(leadingZeroBits(Buffer.from([0x00, 0x00]))).toBe(16);
+        });
+    });
+
+    describe('solveChallenge', () => {
+        it('should find a nonce whose hash meets the difficulty', () => {
+            const nonce = solveChallenge('abc123', 8);
+            const hash = crypto.createHash('sha256').update(`abc123:${nonce}`).digest();
+
+            expect(hash[0]).toBe(0);
+            expect(meetsDifficulty('abc123', nonce, 8)).toBe(true);
+        });
+    });
+
+    describe('difficultyFor', () => {
+        it('should add a bit for every few recent signups, up to the maximum', () => {
+            expect(difficultyFor(0)).toBe(baseDifficulty);
+            expect(difficultyFor(4)).toBe(baseDifficulty);
+            expect(difficultyFor(5)).toBe(baseDifficulty + 1);
+            expect(difficultyFor(12)).toBe(baseDifficulty + 2);
+            expect(difficultyFor(1000)).toBe(maxDifficulty);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { put } from 'redux-saga/effects';
+import { userAuthenticationSaga, taskCreationSaga } from '../../src/app/store/sagas';
+import * as mutations from '../../src/app/store/mutations';
+import { reducer } from '../../src/app/store/reducer';
+
+// The browser-only modules are replaced so the sagas can be stepped through under Node
+jest.mock('axios');
+jest.mock('../../src/app/store/history', () => ({
+    history: { push: jest.fn() }
+}));
+jest.mock('../../src/app/store/session-storage', () => ({
+    loadSessionToken: jest.fn(),
+    saveSessionToken: jest.fn(),
+    clearSessionToken: jest.fn()
+}));
+
+describe('Client Sagas', () => {
+    const secondUserSession = {
+        id: 'U2',
+        name: 'C. Eeyo',
+        token: 'token-for-u2',
+        expiresAt: '2030-01-01T00:00:00.000Z'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        axios.post.mockResolvedValue({});
+    });
+
+    describe('userAuthenticationSaga', () => {
+        it('should store the session returned by /authenticate rather than a hardcoded user', () => {
+            const saga = userAuthenticationSaga();
+            const state = { session: { authenticated: 'AUTHENTICATED', id: 'U2' }, tasks: [], comments: [], users: [], groups: [] };
+
+            saga.next();
+            saga.next(mutations.requestAuthenticateUser('C. Eeyo', 'PROFITING'));
+            expect(saga.next({ data: { token: secondUserSession.token, session: secondUserSession, state } }).value)
+                .toEqual(put(mutations.setState(state)));
+            expect(saga.next().value)
+                .toEqual(put(mutations.processAuthenticateUser(mutations.AUTHENTICATED, secondUserSession)));
+        });
+    });
+
+    describe('reducer', () => {
+        it('should keep the session payload as given', () => {
+            const state = reducer(undefined, mutations.processAuthenticateUser(mutations.AUTHENTICATED, secondUserSession));
+
+            expect(state.session).toEqual({ ...secondUserSession, authenticated: mutations.AUTHENTICATED });
+        });
+
+        it('should hide trashed tasks and their comments', () => {
+            const loaded = reducer(undefined, mutations.setState({
+                session: { id: 'U2' },
+                users: [],
+                groups: [],
+                tasks: [{ id: 'T1', group: 'G2' }, { id: 'T2', group: 'G2' }, { id: 'T3', group: 'G2', trashedAt: '2030-01-01' }],
+                comments: [{ id: 'C1', task: 'T1' }, { id: 'C2', task: 'T2' }]
+            }));
+            expect(loaded.tasks.map(task => task.id)).toEqual(['T1', 'T2']);
+
+            const state = reducer(loaded, mutations.trashTask('T1'));
+            expect(state.tasks.map(task => task.id)).toEqual(['T2']);
+            expect(state.comments.map(comment => comment.id)).toEqual(['C2']);
+        });
+
+        it('should take a deleted label off every task and out of the filter', () => {
+            const loaded = reducer(undefined, mutations.setState({
+                session: { id: 'U2' },
+                users: [],
+                groups: [],
+                labels: [{ id: 'L1', name: 'Home', color: '#43a047' }, { id: 'L2', name: 'Work', color: '#1e88e5' }],
+                tasks: [{ id: 'T1', labels: ['L1', 'L2'] }, { id: 'T2', labels: ['L2'] }],
+                comments: []
+            }));
+            const filtered = reducer(loaded, mutations.setLabelFilter(['L1', 'L2'], 'all'));
+
+            const state = reducer(filtered, mutations.requestLabelDeletion('L2'));
+            expect(state.labels.map(label => label.id)).toEqual(['L1']);
+            expect(state.tasks.map(task => task.labels)).toEqual([['L1'], []]);
+            expect(state.labelFilter).toEqual({ labelIDs: ['L1'], match: 'all' });
+        });
+    });
+
+    describe('taskCreationSaga', () => {
+        it('should create tasks under the logged-in user and send their token', () => {
+            const saga = taskCreationSaga();
+
+            saga.next();
+            saga.next(mutations.requestTaskCreation('G2'));
+            saga.next(secondUserSession.id);
+            saga.next(secondUserSession.token);
+
+            const [, body, config] = axios.post.mock.calls[0];
+            expect(body.task.owner).toBe('U2');
+            expect(body.task.group).toBe('G2');
+            expect(config.headers.Authorization).toBe('Bearer token-for-u2');
+        });
+    });
+});
@@ -0,0 +1,62 @@
+import { createSession, findSession, sessionLifetime } from '../../src/server/sessions';
+import { connectDB } from '../../src/server/connect-db';
+
+jest.mock('../../src/server/connect-db', () => ({
+    connectDB: jest.fn()
+}));
+
+describe('Session Store', () => {
+    let mockCollection;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        mockCollection = {
+            createIndex: jest.fn().mockResolvedValue('index'),
+            insertOne: jest.fn().mockResolvedValue({}),
+            findOneAndUpdate: jest.fn()
+        };
+
+        connectDB.mockResolvedValue({
+            collection: jest.fn(() => mockCollection)
+        });
+    });
+
+    describe('createSession', () => {
+        it('should store a session with timestamps and index it for TTL expiry', async () => {
+            const session = await createSession('user1');
+
+            expect(session.userID).toBe('user1');
+            expect(session.token).toBeDefined();
+            expect(session.createdAt).toEqual(session.lastSeenAt);
+            expect(session.expiresAt.getTime() - session.createdAt.getTime()).toBe(sessionLifetime);
+            expect(mockCollection.insertOne).toHaveBeenCalledWith(session);
+
+            // Indexes are created once per process, on first use of the collection
+            expect(mockCollection.createIndex).toHaveBeenCalledWith({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+            expect(mockCollection.createIndex).toHaveBeenCalledWith({ token: 1 }, { unique: true });
+        });
+    });
+
+    describe('findSession', () => {
+        it('should only match unexpired sessions and slide the expiry forward', async () => {
+            const stored = { token: 'abc', userID: 'user1' };
+            mockCollection.findOneAndUpdate.mockResolvedValue({ value: stored });
+
+            const session = await findSession('abc');
+
+            expect(session).toBe(stored);
+            const [filter, update] = mockCollection.findOneAndUpdate.mock.calls[0];
+            expect(filter.token).toBe('abc');
+            expect(filter.expiresAt.$gt).toBeInstanceOf(Date);
+            const { lastSeenAt, expiresAt } = update.$set;
+            expect(expiresAt.getTime() - lastSeenAt.getTime()).toBe(sessionLifetime);
+        });
+
+        it('should return null for unknown or expired tokens', async () => {
+            mockCollection.findOneAndUpdate.mockResolvedValue({ value: null });
+
+            expect(await findSession('missing')).toBeNull();
+        });
+    });
+});
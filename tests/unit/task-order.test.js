@@ -0,0 +1,49 @@
+import { sortTasks, moveTask } from '../../src/shared/task-order';
+
+describe('Task Order', () => {
+    const tasks = [
+        { id: 'T1', name: 'Write tests', priority: 'low', createdAt: '2026-01-02T00:00:00Z', dueAt: '2026-02-01T00:00:00Z' },
+        { id: 'T2', name: 'deploy', priority: 'urgent', createdAt: '2026-01-03T00:00:00Z', dueAt: null },
+        { id: 'T3', name: 'Task 10', createdAt: '2026-01-01T00:00:00Z', dueAt: '2026-01-15T00:00:00Z' },
+        { id: 'T4', name: 'Task 9', priority: 'urgent', dueAt: '2026-01-20T00:00:00Z' }
+    ];
+
+    const ids = list => list.map(task => task.id);
+
+    describe('sortTasks', () => {
+        it('should put the most pressing tasks first, then the soonest due', () => {
+            expect(ids(sortTasks(tasks, 'priority'))).toEqual(['T4', 'T2', 'T1', 'T3']);
+        });
+
+        it('should put the soonest due first and undated tasks last', () => {
+            expect(ids(sortTasks(tasks, 'dueDate'))).toEqual(['T3', 'T4', 'T1', 'T2']);
+        });
+
+        it('should put the newest first', () => {
+            expect(ids(sortTasks(tasks, 'created'))).toEqual(['T2', 'T1', 'T3', 'T4']);
+        });
+
+        it('should compare names naturally and without case', () => {
+            expect(ids(sortTasks(tasks, 'name'))).toEqual(['T2', 'T4', 'T3', 'T1']);
+        });
+
+        it('should follow positions in manual mode, then creation order', () => {
+            const positioned = tasks.map(task => task.id === 'T2' ? { ...task, position: 0 } : task);
+            expect(ids(sortTasks(positioned, 'manual'))).toEqual(['T2', 'T3', 'T1', 'T4']);
+        });
+
+        it('should not change the list it is given', () => {
+            const copy = [...tasks];
+            sortTasks(tasks, 'name');
+            expect(tasks).toEqual(copy);
+        });
+    });
+
+    describe('moveTask', () => {
+        it('should move a task within the manual order and stop at either end', () => {
+            expect(moveTask(tasks, 'T4', -1)).toEqual(['T3', 'T1', 'T4', 'T2']);
+            expect(moveTask(tasks, 'T3', -1)).toEqual(['T3', 'T1', 'T2', 'T4']);
+            expect(moveTask(tasks, 'T3', 10)).toEqual(['T1', 'T2', 'T4', 'T3']);
+        });
+    });
+});
@@ -0,0 +1,63 @@
+import { base32Encode, base32Decode, generateSecret, generateCode, verifyCode, timeStep, otpauthURI } from '../../src/server/totp';
+
+describe('TOTP', () => {
+    // The RFC 6238 appendix B secret, the ASCII string "12345678901234567890"
+    const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+    describe('base32', () => {
+        it('should round-trip arbitrary bytes', () => {
+            const bytes = Buffer.from([0, 1, 2, 250, 255, 17, 99]);
+            expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+        });
+
+        it('should encode the RFC 4648 test vectors', () => {
+            expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+            expect(base32Decode('mzxw6ytboi').toString()).toBe('foobar');
+        });
+
+        it('should generate 160-bit secrets', () => {
+            expect(base32Decode(generateSecret())).toHaveLength(20);
+        });
+    });
+
+    describe('generateCode', () => {
+        it.each([
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1111111111, '050471'],
+            [1234567890, '005924'],
+            [2000000000, '279037'],
+            [20000000000, '353130']
+        ])('should match the RFC 6238 test vector at T=%i', (seconds, expected) => {
+            expect(generateCode(rfcSecret, timeStep(seconds * 1000))).toBe(expected);
+        });
+    });
+
+    describe('verifyCode', () => {
+        const time = 1234567890 * 1000;
+
+        it('should accept the current code and return its time step', () => {
+            expect(verifyCode(rfcSecret, '005924', { time })).toBe(timeStep(time));
+        });
+
+        it('should accept codes one step either side for clock drift', () => {
+            const previous = generateCode(rfcSecret, timeStep(time) - 1);
+            expect(verifyCode(rfcSecret, previous, { time })).toBe(timeStep(time) - 1);
+        });
+
+        it('should reject codes outside the window and malformed input', () => {
+            const stale = generateCode(rfcSecret, timeStep(time) - 5);
+            expect(verifyCode(rfcSecret, stale, { time })).toBeNull();
+            expect(verifyCode(rfcSecret, '12345', { time })).toBeNull();
+            expect(verifyCode(rfcSecret, { $ne: null }, { time })).toBeNull();
+        });
+    });
+
+    describe('otpauthURI', () => {
+        it('should build a key URI authenticator apps understand', () => {
+            expect(otpauthURI('JBSWY3DPEHPK3PXP', 'Dev', 'Organizer')).toBe(
+                'otpauth://totp/Organizer:Dev?secret=JBSWY3DPEHPK3PXP&issuer=Organizer&algorithm=SHA1&digits=6&period=30'
+            );
+        });
+    });
+});
@@ -0,0 +1,46 @@
+import { purgeExpiredTrash, emptyTrash, trashRetentionDays } from '../../src/server/trash';
+import { connectDB } from '../../src/server/connect-db';
+
+jest.mock('../../src/server/connect-db', () => ({
+    connectDB: jest.fn()
+}));
+
+describe('Trash', () => {
+    let tasks;
+    let comments;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+
+        tasks = {
+            find: jest.fn().mockReturnThis(),
+            toArray: jest.fn().mockResolvedValue([{ id: 'T1' }]),
+            deleteMany: jest.fn().mockResolvedValue({})
+        };
+        comments = {
+            deleteMany: jest.fn().mockResolvedValue({})
+        };
+        connectDB.mockResolvedValue({
+            collection: name => name === 'tasks' ? tasks : comments
+        });
+    });
+
+    it('should only purge tasks trashed before the retention period', async () => {
+        const retention = trashRetentionDays * 24 * 60 * 60 * 1000;
+        const before = Date.now();
+        await purgeExpiredTrash();
+        const after = Date.now();
+
+        const { trashedAt } = tasks.find.mock.calls[0][0];
+        expect(Object.keys(trashedAt)).toEqual(['$lte']);
+        expect(trashedAt.$lte.getTime()).toBeGreaterThanOrEqual(before - retention);
+        expect(trashedAt.$lte.getTime()).toBeLessThanOrEqual(after - retention);
+        expect(comments.deleteMany).toHaveBeenCalledWith({ task: { $in: ['T1'] } });
+    });
+
+    it('should only empty the owner\'s trash', async () => {
+        await emptyTrash('U1');
+
+        expect(tasks.find).toHaveBeenCalledWith({ owner: 'U1', trashedAt: { $ne: null } });
+    });
+});
@@ -43,6 +43,9 @@ describe('Utility Functions', () => {
             const mockGroups = [
                 { id: 'group1', owner: 'user1' }
             ];
+            const mockLabels = [
+                { id: 'label1', owner: 'user1', name: 'Work', color: '#1e88e5' }
+            ];
             
             // Setup mock returns
             mockDb.collection.mockImplementation((collectionName) => {
@@ -68,6 +71,14 @@ describe('Utility Functions', () => {
                             find: jest.fn().mockReturnThis(),
                             toArray: jest.fn().mockResolvedValue(mockGroups)
                         };
+                    case 'labels':
+                        return {
+                            createIndex: jest.fn().mockResolvedValue(),
+                            find: jest.fn().mockReturnThis(),
+                            collation: jest.fn().mockReturnThis(),
+                            sort: jest.fn().mockReturnThis(),
+                            toArray: jest.fn().mockResolvedValue(mockLabels)
+                        };
                 }
             });
             
@@ -83,7 +94,8 @@ describe('Utility Functions', () => {
                 tasks: mockTasks,
                 comments: mockComments,
                 users: [mockUsers[0], mockUsers[1]],
-                groups: mockGroups
+                groups: mockGroups,
+                labels: mockLabels
             });
             
             // Verify database calls
@@ -92,6 +104,7 @@ describe('Utility Functions', () => {
             expect(mockDb.collection).toHaveBeenCalledWith('comments');
             expect(mockDb.collection).toHaveBeenCalledWith('users');
             expect(mockDb.collection).toHaveBeenCalledWith('groups');
+            expect(mockDb.collection).toHaveBeenCalledWith('labels');
         });
         
         it('should handle empty collections', async () => {
@@ -100,7 +113,10 @@ describe('Utility Functions', () => {
             
             // Setup mock returns for empty collections
             mockDb.collection.mockImplementation((collectionName) => ({
+                createIndex: jest.fn().mockResolvedValue(),
                 find: jest.fn().mockReturnThis(),
+                collation: jest.fn().mockReturnThis(),
+                sort: jest.fn().mockReturnThis(),
                 findOne: jest.fn().mockResolvedValue({ id: 'user1' }),
                 toArray: jest.fn().mockResolvedValue([])
             }));
@@ -117,7 +133,8 @@ describe('Utility Functions', () => {
                 tasks: [],
                 comments: [],
                 users: [{ id: 'user1' }],
-                groups: []
+                groups: [],
+                labels: []
             });
         });
         
@@ -0,0 +1,123 @@
+import { validate, validateBody, enforcePolicy } from '../../src/server/validate';
+import { usernameRules, passwordRules } from '../../src/shared/account-policy';
+import { ValidationError } from '../../src/server/errors';
+import * as schemas from '../../src/server/schemas';
+
+describe('Request Validation', () => {
+    describe('validate', () => {
+        it('should accept a valid body', () => {
+            expect(validate(schemas.createTask, {
+                task: { id: 'T1', name: 'Task', owner: 'U1', group: 'G1', isComplete: false }
+            })).toEqual([]);
+        });
+
+        it('should report type, length and required-field errors by field', () => {
+            const errors = validate(schemas.createTask, {
+                task: { id: '', name: 'A'.repeat(501), isComplete: 'yes' }
+            });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                { field: 'task.owner', message: 'is required' },
+                { field: 'task.id', message: 'must be at least 1 characters long' },
+                { field: 'task.name', message: 'must be at most 500 characters long' },
+                { field: 'task.isComplete', message: 'must be of type boolean' }
+            ]));
+        });
+
+        it('should accept a whole task sent back from the state', () => {
+            expect(validate(schemas.updateTask, {
+                task: { _id: '5f1d7c2e9b1e8a3d4c6b2a10', id: 'T1', name: 'Task', owner: 'U1', isComplete: true }
+            })).toEqual([]);
+        });
+
+        it('should reject unknown keys', () => {
+            expect(validate(schemas.authenticate, { username: 'Dev', password: 'TUPLES', admin: true }))
+                .toEqual([{ field: 'admin', message: 'is not allowed' }]);
+        });
+
+        it('should reject $-prefixed keys at any depth', () => {
+            const errors = validate(schemas.updateTask, { task: { id: 'T1', name: { $gt: '' } }, $where: '1' });
+
+            expect(errors).toEqual(expect.arrayContaining([
+                { field: 'task.name.$gt', message: 'must not start with $' },
+                { field: '$where', message: 'must not start with $' }
+            ]));
+        });
+
+        it('should check patterns, enums, numeric bounds and array items', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', pattern: '^[^@]+@[^@]+$' },
+                    priority: { enum: ['low', 'high'] },
+                    count: { type: 'integer', minimum: 1, maximum: 3 },
+                    tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+                }
+            };
+
+            expect(validate(schema, { email: 'nope', priority: 'medium', count: 4, tags: ['a', 1, 'c'] })).toEqual([
+                { field: 'email', message: 'is not in the expected format' },
+                { field: 'priority', message: 'must be one of low, high' },
+                { field: 'count', message: 'must be at most 3' },
+                { field: 'tags', message: 'must have at most 2 items' },
+                { field: 'tags[1]', message: 'must be of type string' }
+            ]);
+            expect(validate(schema, { count: 1.5 })).toEqual([{ field: 'count', message: 'must be of type integer' }]);
+        });
+
+        it('should accept any of a list of types', () => {
+            const schema = { type: ['string', 'null'] };
+
+            expect(validate(schema, null)).toEqual([]);
+            expect(validate(schema, 'owner')).toEqual([]);
+            expect(validate(schema, 1)).toEqual([{ field: '', message: 'must be of type string or null' }]);
+        });
+    });
+
+    describe('validateBody', () => {
+        it('should pass a ValidationError with the field errors on', () => {
+            const next = jest.fn();
+
+            validateBody(schemas.authenticate)({ body: { username: 'Dev' } }, {}, next);
+
+            const [error] = next.mock.calls[0];
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.status).toBe(400);
+            expect(error.details).toEqual([{ field: 'password', message: 'is required' }]);
+        });
+
+        it('should pass valid requests on', () => {
+            const next = jest.fn();
+
+            validateBody(schemas.authenticate)({ body: { username: 'Dev', password: 'TUPLES' } }, {}, next);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+    });
+
+    describe('enforcePolicy', () => {
+        const middleware = enforcePolicy({ username: usernameRules, password: passwordRules });
+
+        it('should pass a ValidationError listing the broken rules on', () => {
+            const next = jest.fn();
+
+            middleware({ body: { username: 'ab', password: 'password' } }, {}, next);
+
+            const [error] = next.mock.calls[0];
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.details).toEqual([
+                { field: 'username', message: 'must be 3 to 32 characters long' },
+                { field: 'password', message: 'must contain a number or symbol' },
+                { field: 'password', message: 'is too common' }
+            ]);
+        });
+
+        it('should pass compliant requests on', () => {
+            const next = jest.fn();
+
+            middleware({ body: { username: 'Morty', password: 'portal-gun-42' } }, {}, next);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+    });
+});